@@ -2,275 +2,1725 @@
  * Frontend Application for Kiwi Sports Apparel OTP System
  * ---------------------------------------------------------------------------
  * This file acts as the presentation layer that wires the browser UI to the
- * shared OTP store (see otpStore.js). Everything in here is focused on the
- * "experience": collecting form inputs, triggering business logic, and keeping
- * the interface stateful and reactive for support staff.
+ * OTP HTTP API (see server.js and otpApi.js). Everything in here is focused on
+ * the "experience": collecting form inputs, calling the API, and keeping the
+ * interface stateful and reactive for support staff.
  */
 
-// Global OTP store instance - populated once the shared module is loaded.
-let otpStore;
+// Base URL of the OTP HTTP API. Empty means "same origin", which is how
+// server.js serves this console.
+const API_BASE = '';
 
-// Map<passcode, OTPMeta> - mirrors the backend store so the UI can render
-// additional metadata (e.g., countdown timers, reused status, etc.).
+// How the console reaches the OTP store:
+//   'server'  - fetch() calls to server.js (authentication happens server-side)
+//   'offline' - an in-browser store behind the same routes, used when the page
+//               is hosted statically and no API answers
+let connectionMode;
+
+// Resolves once connectionMode is known; API calls wait on it so a form
+// submitted during start-up is not lost.
+let connectionReady;
+
+// In offline mode: this browser's console tabs share one set of stores, kept
+// by whichever tab leads (see tabSync.js); the others forward their requests.
+let tabSync;
+
+// Storefronts (GET /tenants) and the one staff are working on. Every API call
+// and the event stream are scoped to it; the choice is remembered per browser.
+let tenantList = [];
+let currentTenant = null;
+const TENANT_STORAGE_KEY = 'kiwi-otp-tenant';
+
+// Offline login links are signed with a secret kept in this browser, so
+// links survive a reload and a change of leading tab.
+const LINK_SECRET_STORAGE_KEY = 'kiwi-otp-link-secret';
+
+// A server with OTP_ADMIN_TOKEN set lists codes only for callers sending it.
+// Staff are asked once per browser session, when the server first says so.
+const OPERATOR_TOKEN_STORAGE_KEY = 'kiwi-otp-operator-token';
+let operatorTokenAsked = false;
+
+// Demo storefronts for offline mode; the server's come from its --tenants file.
+const OFFLINE_TENANTS = [
+    { id: 'kiwi', name: 'Kiwi Sports Apparel' },
+    { id: 'kiwi-teamwear', name: 'Kiwi Teamwear', policy: 'strict' }
+];
+
+// The store's policy (GET /policy): duration range, passcode length, uses.
+// Form validation reads its limits from here; policyReady resolves once loaded.
+let otpPolicy = null;
+let policyReady;
+
+// Time source for every countdown card. Developers can fast-forward it from
+// the time-travel panel (enabled with ?dev in the URL); the API's clock is
+// advanced by the same amount so both stay in lockstep.
+let appClock;
+
+// Map<entryId, OTPView> - live codes as announced by the store's events
+// (issued, reissued, consumed, expired, revoked). Nothing else writes to it,
+// so codes issued or consumed by other callers show up here too.
 let activeOTPs = new Map();
 
-// Map<passcode, IntervalId> - dedicated timers per OTP so we can cleanly cancel
-// interval updates when an OTP expires or is consumed.
-let timers = new Map();
+// In server mode: aborts the request streaming store events from /events.
+let eventStream;
+
+// Wait before reopening a dropped event stream, as EventSource would.
+const EVENT_RECONNECT_MS = 3000;
+
+// Only the soonest-expiring codes get a card: rendering tens of thousands
+// during a sale launch would freeze the page.
+const MAX_RENDERED_OTPS = 200;
+
+// Pending Active OTPs re-render; bursts of store events share one frame.
+let listRenderPending = false;
+
+// Map<entryId, { otp, item, statusEl, timeEl, barEl }> - the rendered cards,
+// whose countdowns the once-a-second tick updates in place.
+let countdownCards = new Map();
+
+// Pending audit view refresh; bursts of store events share one request.
+let auditRefreshTimer = null;
+
+// Pending metrics card refresh, likewise.
+let metricsRefreshTimer = null;
+
+// The batch on the Batch tab: { name, rows, errors, results, issued } with the
+// parsed CSV rows, lines that could not be read, and the latest per-row
+// results (a dry run until issued). Null when no file is loaded.
+let currentBatch = null;
+
+// Only this many preview rows are rendered; the results file has them all.
+const MAX_BATCH_PREVIEW_ROWS = 500;
+
+// Scenarios on the Demo Scenarios panel: [{ key, scenario }], the shipped
+// files first, then any loaded from disk during this visit.
+let scenarioList = [];
+let scenarioRunning = false;
+
+// Pause between scenario steps so an audience can follow along.
+const SCENARIO_STEP_PAUSE_MS = 600;
+
+// Map<string, { label, unlocksAt }> - lockouts reported by the API, keyed by
+// scope and id, so the status feed can announce when each one lifts.
+let lockouts = new Map();
 
 // DOM lookups for high-traffic UI elements. Keeping them as globals prevents
 // repeated querySelector calls on every render cycle.
 const issueForm = document.getElementById('issueForm');
 const authForm = document.getElementById('authForm');
+const enrollForm = document.getElementById('enrollForm');
+const totpVerifyForm = document.getElementById('totpVerifyForm');
+const enrolledAccounts = document.getElementById('enrolledAccounts');
 const durationSelect = document.getElementById('duration');
 const customDurationGroup = document.getElementById('customDurationGroup');
 const statusContent = document.getElementById('statusContent');
 const otpList = document.getElementById('otpList');
 const runDemoBtn = document.getElementById('runDemo');
+const autoGenerateBtn = document.getElementById('autoGenerate');
+const generatedCodeBox = document.getElementById('generatedCode');
+const generatedCodeValue = document.getElementById('generatedCodeValue');
+const timeTravelSection = document.getElementById('timeTravel');
+const clockOffsetEl = document.getElementById('clockOffset');
+const auditRows = document.getElementById('auditRows');
+const metricsTiles = document.getElementById('metricsTiles');
+const redeemChart = document.getElementById('redeemChart');
+const rejectionChart = document.getElementById('rejectionChart');
+const metricsSince = document.getElementById('metricsSince');
+const tenantPicker = document.getElementById('tenantPicker');
+const tenantSelect = document.getElementById('tenantSelect');
+const batchForm = document.getElementById('batchForm');
+const batchFileInput = document.getElementById('batchFile');
+const batchRows = document.getElementById('batchRows');
+const batchSummary = document.getElementById('batchSummary');
+const issueBatchBtn = document.getElementById('issueBatch');
+const downloadBatchBtn = document.getElementById('downloadBatch');
+const scenarioSelect = document.getElementById('scenarioSelect');
+const scenarioFileInput = document.getElementById('scenarioFile');
+const scenarioDescription = document.getElementById('scenarioDescription');
+const scenarioSteps = document.getElementById('scenarioSteps');
+const issueLinkCheckbox = document.getElementById('issueLink');
+const loginLinkBox = document.getElementById('loginLink');
+const loginLinkQr = document.getElementById('loginLinkQr');
+const loginLinkUrl = document.getElementById('loginLinkUrl');
+const redeemSection = document.getElementById('redeemSection');
+const redeemResult = document.getElementById('redeemResult');
+const redeemLinkBtn = document.getElementById('redeemLink');
+const downloadSnapshotBtn = document.getElementById('downloadSnapshot');
+const snapshotFileInput = document.getElementById('snapshotFile');
+const snapshotPassphraseInput = document.getElementById('snapshotPassphrase');
 
 // Bootstrapping entry-point. Once the DOM is parsed we can safely access form
 // fields and mount all event listeners in one place.
 document.addEventListener('DOMContentLoaded', function() {
-    initializeOTPStore();
+    appClock = createOffsetClock();
+    connectionReady = initializeConnection();
+    policyReady = connectionReady.then(loadPolicy);
     setupEventListeners();
-    updateStatus('OTP System Initialized', 'success');
+    setupRedeemPage();
+    loadScenarios();
 });
 
 /**
- * Initialize the OTP store and setup initial state
+ * Probe the OTP server and fall back to offline mode if it is unreachable
+ */
+async function initializeConnection() {
+    try {
+        const response = await fetch(`${API_BASE}/health`, { cache: 'no-store' });
+        const data = await response.json();
+        if (!response.ok || data.status !== 'ok') {
+            throw new Error(`Unexpected health response (${response.status})`);
+        }
+
+        connectionMode = 'server';
+    } catch (error) {
+        console.warn('OTP server unreachable, switching to offline mode:', error);
+        initializeOfflineMode();
+    }
+
+    // The storefront must be known before the first scoped request.
+    await loadTenants();
+    if (connectionMode === 'server') {
+        subscribeToServerEvents();
+        updateStatus('Connected to OTP server', 'success');
+    } else if (connectionMode === 'offline') {
+        subscribeToTabSync();
+    }
+}
+
+/**
+ * Fetch the storefronts and pick the one this browser last worked on
+ */
+async function loadTenants() {
+    try {
+        const { status, data } = await sendApiRequest('GET', '/tenants');
+        if (status >= 400) throw new Error(`Unexpected /tenants response (${status})`);
+        tenantList = data.tenants;
+    } catch (error) {
+        // Without a storefront list, requests go to the server's default one.
+        console.error('Error loading storefronts:', error);
+        tenantList = [];
+    }
+
+    let saved = null;
+    try {
+        saved = localStorage.getItem(TENANT_STORAGE_KEY);
+    } catch (error) {
+        // Storage blocked (e.g. privacy mode): start on the first storefront.
+    }
+    const initial = tenantList.find(tenant => tenant.id === saved) || tenantList[0];
+    currentTenant = initial ? initial.id : null;
+
+    tenantSelect.innerHTML = tenantList.map(tenant => `
+        <option value="${escapeHtml(tenant.id)}">${escapeHtml(tenant.name)}</option>
+    `).join('');
+    tenantSelect.value = currentTenant || '';
+    // A single storefront needs no picker.
+    tenantPicker.hidden = tenantList.length < 2;
+}
+
+/**
+ * Switch every view to another storefront
+ */
+function handleTenantChange(tenantId) {
+    const tenant = tenantList.find(candidate => candidate.id === tenantId);
+    if (!tenant || tenant.id === currentTenant) return;
+
+    currentTenant = tenant.id;
+    try {
+        localStorage.setItem(TENANT_STORAGE_KEY, tenant.id);
+    } catch (error) {
+        // Not remembered; the picker still works for this visit.
+    }
+
+    // Nothing of the previous storefront may linger on screen.
+    activeOTPs = new Map();
+    lockouts = new Map();
+    updateOTPList();
+    generatedCodeBox.style.display = 'none';
+    showLoginLink(null);
+    // A batch was checked against the previous storefront's policy.
+    batchFileInput.value = '';
+    currentBatch = null;
+    renderBatch();
+
+    policyReady = loadPolicy();
+    if (connectionMode === 'server') {
+        // The new stream reloads the list and the audit view once it connects.
+        eventStream.abort();
+        subscribeToServerEvents();
+    } else {
+        loadActiveOTPs();
+        loadAuditLog();
+        loadMetrics();
+    }
+    if (!document.getElementById('totpTab').hidden) loadEnrollments();
+
+    updateStatus(`🏬 Now managing ${tenant.name} (policy: ${tenant.policy})`, 'info');
+}
+
+/**
+ * Run the OTP routes in-browser when no server is available
+ */
+function initializeOfflineMode() {
+    try {
+        if (typeof createOtpStore !== 'function' || typeof createOtpApi !== 'function') {
+            throw new Error('OTP Store not available');
+        }
+
+        tabSync = createTabSync({ name: 'kiwi-otp', start: startOfflineStores });
+        connectionMode = 'offline';
+
+        updateStatus('Offline mode: codes stay in this browser, shared by its console tabs', 'warning');
+        showToast('OTP server unreachable - running in offline mode', 'Offline Mode', 'warning');
+    } catch (error) {
+        console.error('Failed to initialize OTP store:', error);
+        showToast('Failed to initialize OTP system', 'Error', 'error');
+    }
+}
+
+/**
+ * Build the offline stores once this tab leads (see tabSync.js)
+ */
+function startOfflineStores(publish) {
+    // The local store gets its own clock, playing the part of the server's,
+    // so time travel advances it through the API exactly like server mode.
+    const localClock = createOffsetClock();
+
+    // Persist codes in localStorage so a page reload does not silently
+    // invalidate every outstanding passcode. The demo storefronts share
+    // it, each in its own namespace.
+    const storage = createLocalStorageStorage();
+    const totpStorage = createLocalStorageStorage({ key: 'kiwi-otp-totp' });
+    const registry = createTenantRegistry({ clock: localClock, storage, tenants: OFFLINE_TENANTS });
+
+    // No mail or SMS from a browser: messages land in the console's outbox.
+    const outbox = createOutboxChannel();
+
+    // Login links lead back to this page, which redeems them.
+    const linkSecret = loadLinkSecret();
+    const linkBaseUrl = window.location.href.split(/[?#]/)[0];
+
+    return createTenantApi(registry.tenants.map(tenant => {
+        const { store } = tenant;
+
+        // The audit trail also lives in localStorage, next to the codes.
+        const audit = createAuditLog({ storage: createLocalStorageAuditStorage({ key: `kiwi-otp-audit:${tenant.id}` }) });
+        audit.attach(store);
+
+        // Authenticator enrollments hold shared secrets; fine for a demo
+        // browser, but the server keeps them out of reach of the console.
+        const totp = createTotpAuthenticator(store, {
+            clock: localClock,
+            storage: createNamespacedStorage(totpStorage, tenant.id)
+        });
+
+        const delivery = createDeliveryService({ brand: tenant.brand, channels: { email: outbox, sms: outbox } });
+        delivery.attach(store);
+
+        // Every tab hears every storefront's events and keeps those on screen.
+        const forward = (event) => publish({ tenant: tenant.id, event });
+        OTP_EVENTS.forEach(type => store.on(type, forward));
+        delivery.onStatus(forward);
+
+        const links = createLoginLinks({ secret: linkSecret, baseUrl: linkBaseUrl, tenant: tenant.id, clock: localClock });
+
+        return { ...tenant, delivery, api: createOtpApi(store, { clock: localClock, audit, totp, delivery, links }) };
+    }));
+}
+
+/**
+ * Read this browser's login link secret, creating it on first use
+ */
+function loadLinkSecret() {
+    try {
+        let secret = localStorage.getItem(LINK_SECRET_STORAGE_KEY);
+        if (!secret) {
+            secret = generateLinkSecret();
+            localStorage.setItem(LINK_SECRET_STORAGE_KEY, secret);
+        }
+        return secret;
+    } catch (error) {
+        // Storage blocked (e.g. privacy mode): links work while this tab leads.
+        return generateLinkSecret();
+    }
+}
+
+/**
+ * Follow the offline stores' events, whichever tab keeps them
+ */
+function subscribeToTabSync() {
+    tabSync.subscribe(({ tenant, event }) => {
+        if (tenant === currentTenant) applyStoreEvent(event);
+    });
+
+    // Like an event stream reconnecting: anything announced while no tab
+    // held the codes is lost, so reload the views.
+    tabSync.onLeaderChange((thisTab) => {
+        loadActiveOTPs();
+        loadAuditLog();
+        loadMetrics();
+        updateStatus(thisTab ? 'This tab now keeps the offline codes for every console tab' :
+            'Another console tab took over the offline codes', 'info');
+    });
+
+    loadActiveOTPs();
+    loadAuditLog();
+    loadMetrics();
+}
+
+/**
+ * Fetch the store's policy and apply its limits to the forms
+ */
+async function loadPolicy() {
+    try {
+        const { status, data } = await apiRequest('GET', '/policy');
+        if (status >= 400) {
+            showApiError(data, 'Loading Policy Failed');
+            return;
+        }
+
+        otpPolicy = data.policy;
+        applyPolicyToForms(otpPolicy);
+    } catch (error) {
+        console.error('Error loading policy:', error);
+        showConnectionError('loading the OTP policy');
+    }
+}
+
+/**
+ * Set input ranges, labels and selectable options from the policy
+ */
+function applyPolicyToForms(policy) {
+    const { minPasscodeLength, maxPasscodeLength, minDurationMs, maxDurationMs } = policy;
+
+    // Manually typed codes are integers, so a 6-8 digit range is 100000-99999999.
+    const passcodeInput = document.getElementById('passcode');
+    passcodeInput.min = 10 ** (minPasscodeLength - 1);
+    passcodeInput.max = 10 ** maxPasscodeLength - 1;
+    document.querySelector('label[for="passcode"]').textContent = `Passcode (${minPasscodeLength}-${maxPasscodeLength} digits)`;
+
+    const customDuration = document.getElementById('customDuration');
+    customDuration.min = minDurationMs;
+    customDuration.max = maxDurationMs;
+    document.querySelector('label[for="customDuration"]').textContent =
+        `Custom Duration (ms, ${minDurationMs.toLocaleString()}-${maxDurationMs.toLocaleString()})`;
+
+    // Preset durations and generator formats the policy would reject are disabled.
+    Array.from(durationSelect.options).forEach(option => {
+        const ms = parseInt(option.value);
+        option.disabled = !isNaN(ms) && (ms < minDurationMs || ms > maxDurationMs);
+    });
+    if (durationSelect.selectedOptions[0].disabled) {
+        durationSelect.value = Array.from(durationSelect.options).find(option => !option.disabled).value;
+    }
+    Array.from(document.getElementById('generateFormat').options).forEach(option => {
+        const length = parseInt(option.value.split(':')[1]);
+        option.disabled = length < minPasscodeLength || length > maxPasscodeLength;
+    });
+
+    const wholeMinutes = maxDurationMs % 60000 === 0 ? maxDurationMs / 60000 : null;
+    document.getElementById('policyExpiry').textContent = wholeMinutes
+        ? `${wholeMinutes}-minute expiry`
+        : `${formatDuration(maxDurationMs)} expiry`;
+    document.getElementById('policyUses').textContent = policy.maxUses === 1 ? 'Single-use only' : `Up to ${policy.maxUses} uses`;
+}
+
+/**
+ * Replace the Active OTPs list with the store's current live codes
+ */
+async function loadActiveOTPs() {
+    try {
+        const tenant = currentTenant;
+        const { status, data } = await apiRequest('GET', '/otp');
+        if (status >= 400) {
+            showApiError(data, 'Loading OTPs Failed');
+            return;
+        }
+        // The storefront was switched while the request was in flight.
+        if (tenant !== currentTenant) return;
+
+        const now = appClock.now();
+        const previous = activeOTPs;
+        activeOTPs = new Map(data.otps.map(otp => {
+            const known = previous.get(otp.id);
+            return [otp.id, {
+                id: otp.id,
+                subject: otp.subject,
+                // Hashed stores never return passcodes; keep any this console saw issued.
+                passcode: otp.passcode ?? (known ? known.passcode : null),
+                // The original duration is not stored, so the countdown
+                // restarts from the time that is left.
+                duration: known ? known.duration : otp.remainingMs,
+                expiresAt: now + otp.remainingMs,
+                uses: otp.uses,
+                delivery: otp.delivery || null
+            }];
+        }));
+
+        updateOTPList();
+        if (activeOTPs.size > 0 && previous.size === 0) {
+            updateStatus(`Loaded ${activeOTPs.size} active OTP(s)`, 'info');
+        }
+    } catch (error) {
+        console.error('Error loading OTPs:', error);
+        showConnectionError('loading active OTPs');
+    }
+}
+
+/**
+ * Follow the server's store events over Server-Sent Events
+ *
+ * The stream is read with fetch because EventSource cannot send the operator
+ * token the server asks for; it reconnects the same way.
+ */
+function subscribeToServerEvents() {
+    const controller = new AbortController();
+    eventStream = controller;
+    readServerEvents(controller.signal)
+        .catch(() => true)
+        .then((reconnect) => {
+            if (!reconnect || controller.signal.aborted) return;
+            // Just let staff know the list may lag.
+            updateStatus('Live updates interrupted - reconnecting...', 'warning');
+            setTimeout(() => {
+                if (!controller.signal.aborted) subscribeToServerEvents();
+            }, EVENT_RECONNECT_MS);
+        });
+}
+
+/**
+ * Apply store events from one /events response until it ends
+ *
+ * @returns {Promise<boolean>} Whether reconnecting may help
+ */
+async function readServerEvents(signal) {
+    const response = await fetch(`${API_BASE}${tenantPath('/events')}`, { headers: operatorHeaders(), signal });
+    if (response.status === 401) {
+        if (askForOperatorToken()) return readServerEvents(signal);
+        updateStatus('Live updates are for operators only - reload to enter the admin token', 'error');
+        return false;
+    }
+    if (!response.ok) return true;
+
+    // (Re)load the full list whenever the stream (re)connects, since events
+    // sent while disconnected are lost.
+    loadActiveOTPs();
+    loadAuditLog();
+    loadMetrics();
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffered = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return true;
+        // Messages end with a blank line; keep a partial one for the next chunk.
+        const messages = (buffered + value).split('\n\n');
+        buffered = messages.pop();
+        for (const message of messages) {
+            const data = message.split('\n')
+                .filter(line => line.startsWith('data: '))
+                .map(line => line.slice('data: '.length))
+                .join('\n');
+            if (data) applyStoreEvent(JSON.parse(data));
+        }
+    }
+}
+
+/**
+ * Update the Active OTPs view from a store event
+ */
+function applyStoreEvent(event) {
+    // Delivery progress is not audited and only touches one card.
+    if (event.type === 'delivery') {
+        applyDeliveryStatus(event);
+        return;
+    }
+
+    scheduleAuditRefresh();
+    scheduleMetricsRefresh();
+
+    switch (event.type) {
+        case 'issued':
+        case 'reissued': {
+            // Convert the store's expiry into appClock time via the event's own
+            // timestamp, so clock skew between server and browser cancels out.
+            const expiresAt = appClock.now() + (event.expiresAt - event.at);
+            if (event.previousId) activeOTPs.delete(event.previousId);
+            activeOTPs.set(event.id, {
+                id: event.id,
+                subject: event.subject,
+                passcode: event.passcode,
+                duration: event.durationMs,
+                expiresAt,
+                uses: 0,
+                // A reissue is delivered again; its status follows as events.
+                delivery: null
+            });
+            break;
+        }
+        case 'extended': {
+            const otp = activeOTPs.get(event.id);
+            if (!otp) return;
+            otp.expiresAt = appClock.now() + (event.expiresAt - event.at);
+            // Keep the progress bar meaningful when a code outlives its original duration.
+            otp.duration = Math.max(otp.duration, otp.expiresAt - appClock.now());
+            break;
+        }
+        case 'consumed': {
+            // Multi-use policies (or a grace period) keep the code live after a use.
+            const otp = activeOTPs.get(event.id);
+            if (event.spent || !otp) {
+                activeOTPs.delete(event.id);
+                break;
+            }
+            otp.uses = event.uses;
+            otp.expiresAt = appClock.now() + (event.expiresAt - event.at);
+            break;
+        }
+        case 'revoked':
+            activeOTPs.delete(event.id);
+            break;
+        case 'restored':
+            // A snapshot can touch every code; reload rather than patch the list.
+            loadActiveOTPs();
+            return;
+        case 'expired': {
+            const otp = activeOTPs.get(event.id);
+            activeOTPs.delete(event.id);
+            if (otp) {
+                const recipient = otp.subject ? ` for ${otp.subject}` : '';
+                updateStatus(`⏰ OTP ${otp.passcode}${recipient} expired`, 'info');
+            }
+            break;
+        }
+        default:
+            // 'rejected' changes nothing in the list; the verify form reports it.
+            return;
+    }
+
+    scheduleOTPListRender();
+}
+
+/**
+ * Show a code's delivery progress on its card
+ */
+function applyDeliveryStatus(event) {
+    const otp = activeOTPs.get(event.id);
+    if (!otp) return;
+
+    const { type, ...delivery } = event;
+    otp.delivery = delivery;
+
+    const card = countdownCards.get(event.id);
+    if (card) renderDelivery(card.deliveryEl, delivery);
+
+    if (delivery.state === 'failed') {
+        updateStatus(`Could not deliver OTP ${otp.passcode ?? ''} to ${delivery.to}: ${delivery.error}`, 'error');
+    }
+}
+
+/**
+ * Re-render the Active OTPs list once per frame however many events arrive
+ */
+function scheduleOTPListRender() {
+    if (listRenderPending) return;
+    listRenderPending = true;
+    requestAnimationFrame(() => {
+        listRenderPending = false;
+        updateOTPList();
+    });
+}
+
+/**
+ * Build the /audit query string from the filter controls
+ */
+function readAuditFilters() {
+    const params = new URLSearchParams();
+    const action = document.getElementById('auditAction').value;
+    const outcome = document.getElementById('auditOutcome').value;
+    const subject = document.getElementById('auditSubject').value.trim();
+    if (action) params.set('action', action);
+    if (outcome) params.set('outcome', outcome);
+    if (subject) params.set('subject', subject);
+    return params.toString();
+}
+
+/**
+ * Fetch audit records matching the current filters
+ */
+async function fetchAuditEntries() {
+    const query = readAuditFilters();
+    const { status, data } = await apiRequest('GET', `/audit${query ? `?${query}` : ''}`);
+    if (status >= 400) throw Object.assign(new Error('Audit request failed'), { data });
+    return data.entries;
+}
+
+/**
+ * Refresh the audit view shortly after store activity
+ */
+function scheduleAuditRefresh() {
+    if (auditRefreshTimer) return;
+    auditRefreshTimer = setTimeout(() => {
+        auditRefreshTimer = null;
+        loadAuditLog();
+    }, 300);
+}
+
+/**
+ * Reload and render the audit view (newest first)
+ */
+async function loadAuditLog() {
+    try {
+        const entries = await fetchAuditEntries();
+        if (entries.length === 0) {
+            auditRows.innerHTML = '<tr><td colspan="6" class="empty-state">No matching audit records</td></tr>';
+            return;
+        }
+
+        auditRows.innerHTML = entries.slice().reverse().map(entry => `
+            <tr>
+                <td>${escapeHtml(new Date(entry.timestamp).toLocaleString())}</td>
+                <td>${escapeHtml(entry.action)}</td>
+                <td class="${entry.outcome === 'rejected' ? 'text-danger' : ''}">${escapeHtml(entry.outcome)}${entry.reason ? ` (${escapeHtml(entry.reason.replace(/_/g, ' '))})` : ''}</td>
+                <td>${escapeHtml(entry.actor)}</td>
+                <td>${entry.subject ? escapeHtml(entry.subject) : '-'}</td>
+                <td class="audit-code">${escapeHtml(entry.code)}</td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+        auditRows.innerHTML = '<tr><td colspan="6" class="empty-state">Audit log unavailable</td></tr>';
+    }
+}
+
+/**
+ * Refresh the metrics card shortly after store activity
+ */
+function scheduleMetricsRefresh() {
+    if (metricsRefreshTimer) return;
+    metricsRefreshTimer = setTimeout(() => {
+        metricsRefreshTimer = null;
+        loadMetrics();
+    }, 1000);
+}
+
+/**
+ * Reload the storefront's counters and redraw the metrics card
+ */
+async function loadMetrics() {
+    try {
+        const { status, data } = await apiRequest('GET', '/stats');
+        if (status >= 400) throw Object.assign(new Error('Stats request failed'), { data });
+        renderMetrics(data.stats);
+    } catch (error) {
+        console.error('Error loading metrics:', error);
+        metricsSince.textContent = 'Metrics unavailable';
+    }
+}
+
+/**
+ * Render the metric tiles and charts (see store.stats() in otpStore.js)
+ */
+function renderMetrics(stats) {
+    const attempts = stats.consumed + stats.rejected;
+    const redeem = stats.timeToRedeemMs;
+    const tiles = [
+        ['Live codes', stats.live, ''],
+        ['Issued', stats.issued, stats.reissued ? `+${stats.reissued} reissued` : ''],
+        ['Verified', stats.consumed, ''],
+        ['Failed', stats.rejected, ''],
+        ['Success rate', attempts ? `${Math.round((stats.consumed / attempts) * 100)}%` : '-', ''],
+        ['Expired unused', stats.expiredUnused, ''],
+        ['Avg. time to redeem', redeem.count ? formatDuration(redeem.sumMs / redeem.count) : '-', '']
+    ];
+    metricsTiles.innerHTML = tiles.map(([label, value, note]) => `
+        <div class="metric-tile">
+            <span class="metric-value">${escapeHtml(value)}</span>
+            <span class="metric-label">${escapeHtml(label)}</span>
+            ${note ? `<small>${escapeHtml(note)}</small>` : ''}
+        </div>
+    `).join('');
+
+    const lastBound = redeem.bounds[redeem.bounds.length - 1];
+    renderBarChart(redeemChart, redeem.counts.map((count, i) => [
+        i < redeem.bounds.length ? `≤ ${formatDuration(redeem.bounds[i])}` : `> ${formatDuration(lastBound)}`,
+        count
+    ]), 'No codes redeemed yet');
+    renderBarChart(rejectionChart, Object.entries(stats.rejections)
+        .sort((a, b) => b[1] - a[1])
+        .map(([reason, count]) => [reason.replace(/_/g, ' '), count]), 'No failed verifications');
+
+    metricsSince.textContent = `Since ${new Date(stats.since).toLocaleString()}`;
+}
+
+/**
+ * Draw labelled horizontal bars, scaled to the largest value
+ */
+function renderBarChart(element, bars, emptyMessage) {
+    const max = Math.max(0, ...bars.map(([, count]) => count));
+    if (max === 0) {
+        element.innerHTML = `<p class="empty-state">${escapeHtml(emptyMessage)}</p>`;
+        return;
+    }
+
+    element.innerHTML = bars.map(([label, count]) => `
+        <div class="bar-row">
+            <span class="bar-label">${escapeHtml(label)}</span>
+            <span class="bar-track"><span class="bar-fill" style="width: ${(count / max) * 100}%"></span></span>
+            <span class="bar-value">${count}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Download the filtered audit records as CSV or JSON Lines
+ */
+async function handleAuditExport(format) {
+    try {
+        const entries = await fetchAuditEntries();
+        const isCsv = format === 'csv';
+        const content = isCsv ? auditToCsv(entries) : auditToJsonLines(entries);
+        const tenantPart = currentTenant && tenantList.length > 1 ? `-${currentTenant}` : '';
+        downloadFile(content, isCsv ? 'text/csv' : 'application/x-ndjson',
+            `otp-audit${tenantPart}-${new Date().toISOString().slice(0, 10)}.${isCsv ? 'csv' : 'jsonl'}`);
+
+        updateStatus(`📤 Exported ${entries.length} audit record(s) as ${isCsv ? 'CSV' : 'JSONL'}`, 'success');
+    } catch (error) {
+        console.error('Error exporting audit log:', error);
+        if (error.data) showApiError(error.data, 'Export Failed');
+        else showConnectionError('exporting the audit log');
+    }
+}
+
+/**
+ * Download the live codes as a snapshot, sealed when a passphrase is entered
+ */
+async function handleSnapshotDownload() {
+    setButtonLoading(downloadSnapshotBtn, true, 'Saving...');
+    try {
+        const { status, data } = await apiRequest('GET', '/snapshot');
+        if (status >= 400) {
+            showApiError(data, 'Snapshot Failed');
+            return;
+        }
+
+        const passphrase = snapshotPassphraseInput.value;
+        const content = passphrase ? await sealSnapshot(data, passphrase) : data;
+        const tenantPart = currentTenant && tenantList.length > 1 ? `-${currentTenant}` : '';
+        downloadFile(JSON.stringify(content, null, 2), 'application/json',
+            `otp-snapshot${tenantPart}-${new Date().toISOString().slice(0, 10)}.json`);
+
+        const sealed = passphrase ? ', sealed with the passphrase' : ' (unencrypted - keep it private)';
+        updateStatus(`📦 Saved a snapshot of ${data.entries.length} live code(s)${sealed}`, 'success');
+    } catch (error) {
+        console.error('Error saving snapshot:', error);
+        showConnectionError('saving a snapshot');
+    } finally {
+        setButtonLoading(downloadSnapshotBtn, false);
+    }
+}
+
+/**
+ * Load the codes of a snapshot file into the selected storefront
+ */
+async function handleSnapshotFile(file) {
+    if (!file) return;
+    try {
+        let snapshot;
+        try {
+            snapshot = JSON.parse(await file.text());
+            if (isSealedSnapshot(snapshot)) snapshot = await openSnapshot(snapshot, snapshotPassphraseInput.value);
+        } catch (error) {
+            showToast(`${file.name}: ${error.message}`, 'Invalid Snapshot', 'error');
+            return;
+        }
+
+        const replace = document.getElementById('snapshotReplace').checked;
+        const { status, data } = await apiRequest('POST', '/snapshot', { snapshot, replace });
+        if (status >= 400) {
+            showApiError(data, 'Restore Failed');
+            return;
+        }
+
+        const migrated = data.migratedFrom ? `, upgraded from schema version ${data.migratedFrom}` : '';
+        const dropped = data.dropped ? `; ${data.dropped} had expired or were used up` : '';
+        updateStatus(`📥 Restored ${data.restored} code(s) from ${file.name}${migrated}${dropped}`, 'success');
+        showToast(`${data.restored} code(s) restored${data.replaced ? `, replacing ${data.replaced}` : ''}`, 'Snapshot Loaded', 'success');
+    } catch (error) {
+        console.error('Error restoring snapshot:', error);
+        showConnectionError('restoring a snapshot');
+    } finally {
+        snapshotFileInput.value = '';
+    }
+}
+
+/**
+ * Save generated text as a file through the browser's download prompt
+ */
+function downloadFile(content, type, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type }));
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Send a request to the OTP API and return its status and JSON body
+ */
+async function apiRequest(method, path, body) {
+    await connectionReady;
+    return sendApiRequest(method, tenantPath(path), body);
+}
+
+/**
+ * Send a request without waiting for start-up (used while connecting)
+ */
+async function sendApiRequest(method, path, body) {
+    if (connectionMode === 'offline') {
+        const response = await tabSync.handle({ method, path, body });
+        return { status: response.status, data: response.body };
+    }
+
+    const response = await fetch(`${API_BASE}${path}`, {
+        method,
+        headers: operatorHeaders(body ? { 'Content-Type': 'application/json' } : {}),
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = response.status === 204 ? null : await response.json();
+
+    if (response.status === 401 && data && data.error && data.error.code === 'operator_required' && askForOperatorToken()) {
+        return sendApiRequest(method, path, body);
+    }
+    return { status: response.status, data };
+}
+
+/**
+ * Add the stored admin token, if any, to request headers
+ */
+function operatorHeaders(headers = {}) {
+    const operatorToken = sessionStorage.getItem(OPERATOR_TOKEN_STORAGE_KEY);
+    if (operatorToken) headers.Authorization = `Bearer ${operatorToken}`;
+    return headers;
+}
+
+/**
+ * Ask for the admin token after the server refused a request as not an operator's
+ *
+ * @returns {boolean} Whether a new token was stored, so the request is worth retrying
+ */
+function askForOperatorToken() {
+    // A token the server refused is forgotten, so a reload asks again.
+    sessionStorage.removeItem(OPERATOR_TOKEN_STORAGE_KEY);
+    if (operatorTokenAsked) return false;
+    operatorTokenAsked = true;
+    const token = window.prompt('Some routes on this server are for operators only. Admin token (OTP_ADMIN_TOKEN):');
+    if (!token || !token.trim()) return false;
+    sessionStorage.setItem(OPERATOR_TOKEN_STORAGE_KEY, token.trim());
+    return true;
+}
+
+/**
+ * Scope an API path to the selected storefront
+ */
+function tenantPath(path) {
+    return currentTenant ? `/tenants/${encodeURIComponent(currentTenant)}${path}` : path;
+}
+
+/**
+ * Setup all event listeners for the application
+ */
+function setupEventListeners() {
+    // Storefront picker - every view follows the selected tenant.
+    tenantSelect.addEventListener('change', () => handleTenantChange(tenantSelect.value));
+
+    // Duration select change handler - toggles the custom duration field when
+    // the "custom" option is chosen so we do not overwhelm users with extra
+    // inputs until necessary.
+    durationSelect.addEventListener('change', function() {
+        const isCustom = this.value === 'custom';
+        customDurationGroup.style.display = isCustom ? 'block' : 'none';
+    });
+
+    // Issue OTP form submission - orchestrates validation and store updates.
+    issueForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        handleIssueOTP();
+    });
+
+    // Auto-generate - asks the server for a CSPRNG code instead of trusting
+    // whatever the operator types.
+    autoGenerateBtn.addEventListener('click', handleAutoGenerate);
+    document.getElementById('copyGenerated').addEventListener('click', function() {
+        copyToClipboard(generatedCodeValue.textContent);
+    });
+    document.getElementById('copyLoginLink').addEventListener('click', function() {
+        copyToClipboard(loginLinkUrl.value);
+    });
+
+    // Login link page - the customer confirms before the code is used.
+    redeemLinkBtn.addEventListener('click', handleRedeemLink);
+
+    // Authentication form submission - mirrors the real login flow where an
+    // end user presents their one-time code.
+    authForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        handleAuthentication();
+    });
+
+    // Panel tabs - customer passcodes vs. staff authenticator apps.
+    document.querySelectorAll('.panel-tab').forEach(tab => {
+        tab.addEventListener('click', () => switchPanelTab(tab.dataset.tab));
+    });
+
+    // Authenticator enrollment and verification.
+    enrollForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        handleEnroll();
+    });
+    document.getElementById('copySecret').addEventListener('click', function() {
+        copyToClipboard(document.getElementById('enrollSecret').textContent.replace(/\s/g, ''));
+    });
+    enrolledAccounts.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-account]');
+        if (button) handleRemoveEnrollment(button.dataset.account);
+    });
+    totpVerifyForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        handleTotpVerification();
+    });
+
+    // Batches - choosing a file checks it; issuing and the results file follow.
+    batchFileInput.addEventListener('change', () => handleBatchFile(batchFileInput.files[0]));
+    batchForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        handleIssueBatch();
+    });
+    downloadBatchBtn.addEventListener('click', handleBatchDownload);
+
+    // Per-card Extend/Revoke buttons - delegated because cards are re-rendered
+    // every second.
+    otpList.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const card = button.closest('[data-otp-id]');
+        const otp = card && activeOTPs.get(card.dataset.otpId);
+        if (!otp) return;
+
+        if (button.dataset.action === 'extend') handleExtendOTP(otp);
+        else if (button.dataset.action === 'revoke') handleRevokeOTP(otp);
+    });
+
+    // Snapshots - download the live codes, or load a saved set (opened here
+    // when sealed, so the passphrase never leaves the browser).
+    document.getElementById('snapshotControls').addEventListener('submit', e => e.preventDefault());
+    downloadSnapshotBtn.addEventListener('click', handleSnapshotDownload);
+    snapshotFileInput.addEventListener('change', () => handleSnapshotFile(snapshotFileInput.files[0]));
+
+    // Audit view - filters re-query the log; exports download what is shown.
+    document.getElementById('auditFilters').addEventListener('input', scheduleAuditRefresh);
+    document.getElementById('auditFilters').addEventListener('submit', e => e.preventDefault());
+    document.getElementById('exportAuditCsv').addEventListener('click', () => handleAuditExport('csv'));
+    document.getElementById('exportAuditJsonl').addEventListener('click', () => handleAuditExport('jsonl'));
+
+    // Demo scenarios - scripted walk-throughs for stakeholders, checked as they run.
+    scenarioSelect.addEventListener('change', showScenario);
+    scenarioFileInput.addEventListener('change', () => handleScenarioFile(scenarioFileInput.files[0]));
+    runDemoBtn.addEventListener('click', handleRunScenario);
+
+    // Time-travel controls are developer-only; keep them hidden for support
+    // staff unless the page was opened with ?dev.
+    if (new URLSearchParams(window.location.search).has('dev')) {
+        timeTravelSection.style.display = 'block';
+        timeTravelSection.querySelectorAll('[data-advance]').forEach(btn => {
+            btn.addEventListener('click', () => handleTimeTravel(parseInt(btn.dataset.advance)));
+        });
+        document.getElementById('resetClock').addEventListener('click', handleClockReset);
+    }
+}
+
+/**
+ * Handle OTP issuance
+ */
+async function handleIssueOTP() {
+    const passcode = parseInt(document.getElementById('passcode').value);
+    const subject = readSubjectInput('subject');
+    await policyReady;
+
+    // Validate passcode against the store's policy (the server checks it too)
+    const digits = passcode > 0 ? String(passcode).length : 0;
+    const { minPasscodeLength = 1, maxPasscodeLength = Infinity } = otpPolicy || {};
+    if (!digits || digits < minPasscodeLength || digits > maxPasscodeLength) {
+        const range = otpPolicy ? `${minPasscodeLength}-${maxPasscodeLength} digit ` : '';
+        showToast(`Please enter a valid ${range}passcode`, 'Invalid Input', 'error');
+        return;
+    }
+
+    const duration = readSelectedDuration();
+    if (!duration) return;
+
+    setFormLoading(issueForm, true, 'Issuing...');
+
+    try {
+        // Core business call: the API persists the OTP and reports whether an
+        // unexpired one was already live.
+        const { status, data } = await apiRequest('POST', '/otp', {
+            passcode,
+            durationMs: duration,
+            subject,
+            link: issueLinkCheckbox.checked
+        });
+        if (status >= 400) {
+            showApiError(data, 'Issue Failed');
+            return;
+        }
+        showLoginLink(data.link);
+
+        const wasExisting = data.existed;
+
+        // Show feedback - highlight whether we extended an existing key or
+        // created a new one so analysts understand the state change. The
+        // duration shown is the one the store applied, not the one requested.
+        const recipient = data.subject ? ` for ${data.subject}` : '';
+        const applied = formatDuration(data.durationMs);
+        const message = wasExisting ?
+            `OTP ${passcode}${recipient} duration updated to ${applied}` :
+            `New OTP ${passcode}${recipient} issued for ${applied}`;
+        const clampNote = data.clamped ? ` (clamped from ${formatDuration(data.requestedMs)} by the policy)` : '';
+
+        showToast(message + clampNote, 'OTP Issued', data.clamped ? 'warning' : 'success');
+        updateStatus(`${wasExisting ? 'Updated' : 'Issued'} OTP: ${passcode}${recipient}${clampNote}`, data.clamped ? 'warning' : 'success');
+        
+        // Clear form so operators can rapidly issue multiple keys
+        document.getElementById('passcode').value = '';
+
+    } catch (error) {
+        console.error('Error issuing OTP:', error);
+        showConnectionError('issuing OTP');
+    } finally {
+        setFormLoading(issueForm, false);
+    }
+}
+
+/**
+ * Handle secure auto-generation of a passcode
+ */
+async function handleAutoGenerate() {
+    const duration = readSelectedDuration();
+    if (!duration) return;
+
+    const [alphabet, length] = document.getElementById('generateFormat').value.split(':');
+    setButtonLoading(autoGenerateBtn, true, 'Generating...');
+
+    try {
+        const { status, data } = await apiRequest('POST', '/otp/generate', {
+            durationMs: duration,
+            alphabet,
+            length: parseInt(length),
+            subject: readSubjectInput('subject'),
+            link: issueLinkCheckbox.checked
+        });
+        if (status >= 400) {
+            showApiError(data, 'Generation Failed');
+            return;
+        }
+        showLoginLink(data.link);
+
+        // Show the code prominently and put it straight on the clipboard so it
+        // can be pasted into the customer message.
+        generatedCodeValue.textContent = data.passcode;
+        generatedCodeBox.style.display = 'flex';
+        await copyToClipboard(data.passcode);
+
+        updateStatus(`Generated OTP: ${data.passcode}${data.subject ? ` for ${data.subject}` : ''}`, 'success');
+    } catch (error) {
+        console.error('Error generating OTP:', error);
+        showConnectionError('generating OTP');
+    } finally {
+        setButtonLoading(autoGenerateBtn, false);
+    }
+}
+
+/**
+ * Handle OTP authentication
+ */
+async function handleAuthentication() {
+    const passcode = readPasscodeInput(document.getElementById('authPasscode').value);
+    const subject = readSubjectInput('authSubject');
+    
+    // Basic guard to avoid unnecessary round-trips to the OTP API.
+    if (!passcode) {
+        showToast('Please enter a passcode', 'Invalid Input', 'error');
+        return;
+    }
+
+    setFormLoading(authForm, true, 'Verifying...');
+
+    try {
+        // Attempt to redeem the passcode. The server encapsulates expiry and
+        // single-use concerns so the UI simply reacts to the status code.
+        const { status, data } = await apiRequest('POST', '/otp/verify', { passcode, subject });
+        const account = subject ? ` (${subject})` : '';
+        
+        if (status === 200) {
+            // Multi-use policies leave the code live after a successful login.
+            const stillValid = data.spent ? '' : ` - still valid for ${formatTimeRemaining(data.remainingMs)}`;
+            showToast(`Authentication successful for OTP ${passcode}${account}${stillValid}`, 'Login Accepted', 'success');
+            updateStatus(`✅ Authentication successful: ${passcode}${account}${stillValid}`, 'success');
+        } else if (status === 401) {
+            const reason = describeRejection(data.error.reason);
+            showToast(`OTP ${passcode}${account} ${reason}`, 'Login Rejected', 'error');
+            updateStatus(`❌ Authentication failed: ${passcode}${account} ${reason}`, 'error');
+        } else if (status === 429) {
+            reportLockout(data.error);
+        } else {
+            showApiError(data, 'Verification Failed');
+        }
+        
+        // Clear form
+        document.getElementById('authPasscode').value = '';
+
+    } catch (error) {
+        console.error('Error during authentication:', error);
+        showConnectionError('verifying OTP');
+    } finally {
+        setFormLoading(authForm, false);
+    }
+}
+
+/**
+ * Show an issued code's login link and its QR code (null hides them)
+ */
+function showLoginLink(link) {
+    if (!link) {
+        loginLinkBox.style.display = 'none';
+        return;
+    }
+
+    // Links to the console itself are relative; a phone needs the full URL.
+    const url = new URL(link.url, window.location.href).href;
+    loginLinkUrl.value = url;
+    try {
+        loginLinkQr.innerHTML = qrCodeToSvg(encodeQrCode(url), { scale: 3 });
+    } catch (error) {
+        // Only a very long base URL overflows a QR code; the link still works.
+        loginLinkQr.innerHTML = '';
+    }
+    loginLinkBox.style.display = 'flex';
+}
+
+/**
+ * Turn the page into the customer's sign-in page when opened from a login link
+ */
+function setupRedeemPage() {
+    if (!new URLSearchParams(window.location.search).has('login')) return;
+    document.body.classList.add('redeem-page');
+    redeemSection.hidden = false;
+}
+
+/**
+ * Redeem the login link the page was opened with
+ */
+async function handleRedeemLink() {
+    const params = new URLSearchParams(window.location.search);
+    // The link names its storefront; the staff's picker does not apply here.
+    const tenant = params.get('tenant');
+    const path = `${tenant ? `/tenants/${encodeURIComponent(tenant)}` : ''}/otp/redeem`;
+
+    setButtonLoading(redeemLinkBtn, true, 'Signing in...');
+
+    try {
+        await connectionReady;
+        const { status, data } = await sendApiRequest('POST', path, { token: params.get('login') });
+
+        // Same outcomes, in the same words, as the Authenticate form.
+        if (status === 200) {
+            const stillValid = data.spent ? '' : ` - still valid for ${formatTimeRemaining(data.remainingMs)}`;
+            showRedeemResult('success', `You are signed in${stillValid}`);
+            showToast(`Authentication successful with a login link${stillValid}`, 'Login Accepted', 'success');
+            updateStatus(`✅ Authentication successful: login link${stillValid}`, 'success');
+        } else if (status === 401) {
+            const reason = describeRejection(data.error.reason);
+            showRedeemResult('error', `This login link ${reason}`);
+            showToast(`Login link ${reason}`, 'Login Rejected', 'error');
+            updateStatus(`❌ Authentication failed: login link ${reason}`, 'error');
+        } else if (status === 429) {
+            showRedeemResult('warning', data.error.message);
+            reportLockout(data.error);
+        } else {
+            showRedeemResult('error', data && data.error ? data.error.message : 'Unexpected response from OTP server');
+            showApiError(data, 'Sign-in Failed');
+        }
+
+        // A link works once: after an answer about the code, there is nothing to retry.
+        redeemLinkBtn.hidden = status === 200 || status === 401;
+    } catch (error) {
+        console.error('Error redeeming login link:', error);
+        showRedeemResult('error', 'Could not reach the OTP server - try again');
+        showConnectionError('redeeming the login link');
+    } finally {
+        setButtonLoading(redeemLinkBtn, false);
+    }
+}
+
+/**
+ * Show the outcome of a login link on its sign-in page
+ */
+function showRedeemResult(type, message) {
+    const icons = { success: 'fa-check-circle', warning: 'fa-exclamation-triangle', error: 'fa-times-circle' };
+    redeemResult.className = `redeem-result ${type}`;
+    redeemResult.innerHTML = `<i class="fas ${icons[type]}"></i> <span>${escapeHtml(message)}</span>`;
+    redeemResult.hidden = false;
+}
+
+/**
+ * Show one panel tab and hide the others
+ */
+function switchPanelTab(tabId) {
+    document.querySelectorAll('.panel-tab').forEach(tab => {
+        const isActive = tab.dataset.tab === tabId;
+        tab.classList.toggle('active', isActive);
+        tab.setAttribute('aria-selected', String(isActive));
+        document.getElementById(tab.dataset.tab).hidden = !isActive;
+    });
+
+    if (tabId === 'totpTab') loadEnrollments();
+}
+
+/**
+ * Handle authenticator enrollment for a staff account
+ */
+async function handleEnroll() {
+    const account = readSubjectInput('enrollAccount');
+    if (!account) {
+        showToast('Please enter a staff account', 'Invalid Input', 'error');
+        return;
+    }
+
+    setFormLoading(enrollForm, true, 'Enrolling...');
+
+    try {
+        const type = document.getElementById('enrollType').value;
+        const { status, data } = await apiRequest('POST', '/totp', { account, type });
+        if (status >= 400) {
+            showApiError(data, 'Enrollment Failed');
+            return;
+        }
+
+        // Grouped in fours so the key can be typed into an app by hand.
+        document.getElementById('enrollSecret').textContent = data.secret.match(/.{1,4}/g).join(' ');
+        document.getElementById('enrollUri').value = data.uri;
+        document.getElementById('enrollQr').innerHTML = qrCodeToSvg(encodeQrCode(data.uri), { scale: 3 });
+        document.getElementById('enrollmentResult').style.display = 'block';
+        document.getElementById('totpAccount').value = data.account;
+
+        showToast(`Add the key to ${data.account}'s authenticator app`, 'Account Enrolled', 'success');
+        updateStatus(`📱 Enrolled ${data.account} (${data.type.toUpperCase()})`, 'success');
+        document.getElementById('enrollAccount').value = '';
+        loadEnrollments();
+    } catch (error) {
+        console.error('Error enrolling account:', error);
+        showConnectionError('enrolling the account');
+    } finally {
+        setFormLoading(enrollForm, false);
+    }
+}
+
+/**
+ * Render the list of enrolled staff accounts
+ */
+async function loadEnrollments() {
+    try {
+        const { status, data } = await apiRequest('GET', '/totp');
+        if (status >= 400) {
+            enrolledAccounts.innerHTML = '';
+            return;
+        }
+
+        enrolledAccounts.innerHTML = data.accounts.map(enrollment => `
+            <li>
+                <span><strong>${escapeHtml(enrollment.account)}</strong> · ${enrollment.type.toUpperCase()}, ${enrollment.digits} digits</span>
+                <button type="button" class="btn btn-outline btn-sm btn-danger" data-account="${escapeHtml(enrollment.account)}" title="Remove enrollment">
+                    <i class="fas fa-user-minus"></i> Remove
+                </button>
+            </li>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading enrollments:', error);
+        showConnectionError('loading enrolled accounts');
+    }
+}
+
+/**
+ * Handle removal of a staff account's authenticator
+ */
+async function handleRemoveEnrollment(account) {
+    try {
+        const { status, data } = await apiRequest('DELETE', `/totp/${encodeURIComponent(account)}`);
+        if (status >= 400) {
+            showApiError(data, 'Remove Failed');
+            return;
+        }
+
+        document.getElementById('enrollmentResult').style.display = 'none';
+        updateStatus(`🗑️ Removed authenticator for ${account}`, 'info');
+        loadEnrollments();
+    } catch (error) {
+        console.error('Error removing enrollment:', error);
+        showConnectionError('removing the enrollment');
+    }
+}
+
+/**
+ * Handle verification of an authenticator-app code
+ */
+async function handleTotpVerification() {
+    const account = readSubjectInput('totpAccount');
+    const code = document.getElementById('totpCode').value.replace(/\s/g, '');
+    if (!account || !/^\d{6,8}$/.test(code)) {
+        showToast('Please enter the staff account and the 6-8 digit code', 'Invalid Input', 'error');
+        return;
+    }
+
+    setFormLoading(totpVerifyForm, true, 'Verifying...');
+
+    try {
+        const { status, data } = await apiRequest('POST', '/totp/verify', { account, code });
+
+        if (status === 200) {
+            showToast(`Authenticator code accepted for ${account}`, 'Login Accepted', 'success');
+            updateStatus(`✅ Authenticator login: ${account}`, 'success');
+        } else if (status === 401) {
+            const reason = data.error.reason === 'already_used'
+                ? 'was already used - wait for the next code'
+                : 'is wrong, or the account is not enrolled';
+            showToast(`Code for ${account} ${reason}`, 'Login Rejected', 'error');
+            updateStatus(`❌ Authenticator code rejected: ${account} (${describeRejection(data.error.reason)})`, 'error');
+        } else if (status === 429) {
+            reportLockout(data.error);
+        } else {
+            showApiError(data, 'Verification Failed');
+        }
+
+        document.getElementById('totpCode').value = '';
+    } catch (error) {
+        console.error('Error verifying authenticator code:', error);
+        showConnectionError('verifying the authenticator code');
+    } finally {
+        setFormLoading(totpVerifyForm, false);
+    }
+}
+
+/**
+ * Read a batch CSV file and preview what issuing it would do
+ */
+async function handleBatchFile(file) {
+    currentBatch = null;
+    renderBatch();
+    if (!file) return;
+
+    const batch = { name: file.name, rows: [], errors: [], results: [], issued: false };
+    try {
+        Object.assign(batch, parseBatchCsv(await file.text()));
+        currentBatch = batch;
+        if (batch.rows.length > 0) {
+            batchSummary.textContent = `Checking ${batch.rows.length} row(s)...`;
+            // A dry run: the store checks every row against its policy and live codes.
+            batch.results = await sendBatch(batch, true);
+        }
+        // Another file was chosen (or the storefront switched) meanwhile.
+        if (currentBatch === batch) renderBatch();
+    } catch (error) {
+        console.error('Error checking batch:', error);
+        showConnectionError('checking the batch');
+    }
+}
+
+/**
+ * Send a batch's rows to POST /otp/batch, in chunks the API accepts
+ * Rows after a failed chunk are reported as not sent rather than dropped.
+ */
+async function sendBatch(batch, dryRun) {
+    const [alphabet, length] = document.getElementById('batchFormat').value.split(':');
+    const results = [];
+
+    for (let start = 0; start < batch.rows.length; start += MAX_BATCH_ROWS) {
+        const chunk = batch.rows.slice(start, start + MAX_BATCH_ROWS);
+        let failure = null;
+        try {
+            const { status, data } = await apiRequest('POST', '/otp/batch', {
+                rows: chunk.map(({ passcode, subject, durationMs }) => ({ passcode, subject, durationMs })),
+                durationMs: parseInt(document.getElementById('batchDuration').value),
+                alphabet,
+                length: parseInt(length),
+                dryRun
+            });
+            if (status < 400) {
+                data.results.forEach(result => results.push({ ...result, line: chunk[result.row].line }));
+                continue;
+            }
+            failure = data && data.error ? data.error.message : `HTTP ${status}`;
+        } catch (error) {
+            console.error('Error sending batch:', error);
+            failure = 'the OTP service could not be reached';
+        }
+
+        batch.rows.slice(start).forEach(row => results.push({
+            line: row.line, ok: false, passcode: row.passcode, subject: row.subject, reason: 'not_sent', message: `Not sent: ${failure}`
+        }));
+        break;
+    }
+    return results;
+}
+
+/**
+ * Issue every row of the previewed batch
  */
-function initializeOTPStore() {
+async function handleIssueBatch() {
+    const batch = currentBatch;
+    if (!batch || batch.issued) return;
+
+    setButtonLoading(issueBatchBtn, true, 'Issuing...');
     try {
-        // Initialize OTP store from otpStore.js
-        if (typeof createOtpStore === 'function') {
-            otpStore = createOtpStore();
-            console.log('OTP Store initialized successfully');
-        } else {
-            throw new Error('OTP Store not available');
-        }
-    } catch (error) {
-        console.error('Failed to initialize OTP store:', error);
-        showToast('Failed to initialize OTP system', 'Error', 'error');
+        batch.results = await sendBatch(batch, false);
+        batch.issued = true;
+    } finally {
+        setButtonLoading(issueBatchBtn, false);
     }
+    if (currentBatch !== batch) return;
+    renderBatch();
+
+    const issued = batch.results.filter(result => result.ok).length;
+    const failed = batch.results.length + batch.errors.length - issued;
+    const type = failed === 0 ? 'success' : (issued === 0 ? 'error' : 'warning');
+    const message = `Issued ${issued} code(s) from ${batch.name}${failed ? `, ${failed} failed` : ''}`;
+    showToast(`${message}. Download the results for the codes.`, 'Batch Issued', type);
+    updateStatus(`📦 ${message}`, type);
 }
 
 /**
- * Setup all event listeners for the application
+ * Show the batch's rows with their check or issue results
  */
-function setupEventListeners() {
-    // Duration select change handler - toggles the custom duration field when
-    // the "custom" option is chosen so we do not overwhelm users with extra
-    // inputs until necessary.
-    durationSelect.addEventListener('change', function() {
-        const isCustom = this.value === 'custom';
-        customDurationGroup.style.display = isCustom ? 'block' : 'none';
-    });
+function renderBatch() {
+    const batch = currentBatch;
+    downloadBatchBtn.disabled = !batch || !batch.issued;
+    if (!batch) {
+        issueBatchBtn.disabled = true;
+        batchSummary.textContent = 'Choose a CSV file to check it before issuing';
+        batchRows.innerHTML = '<tr><td colspan="5" class="empty-state">No batch loaded</td></tr>';
+        return;
+    }
 
-    // Issue OTP form submission - orchestrates validation and store updates.
-    issueForm.addEventListener('submit', function(e) {
-        e.preventDefault();
-        handleIssueOTP();
-    });
+    const entries = [
+        ...batch.errors.map(error => ({ line: error.line, ok: false, passcode: null, subject: null, message: error.message })),
+        ...batch.results
+    ].sort((a, b) => a.line - b.line);
+    const good = entries.filter(entry => entry.ok).length;
+    const bad = entries.length - good;
+    issueBatchBtn.disabled = batch.issued || good === 0;
+    batchSummary.textContent = batch.issued ?
+        `${batch.name}: ${good} issued, ${bad} failed` :
+        `${batch.name}: ${good} ready to issue, ${bad} with errors`;
 
-    // Authentication form submission - mirrors the real login flow where an
-    // end user presents their one-time code.
-    authForm.addEventListener('submit', function(e) {
-        e.preventDefault();
-        handleAuthentication();
-    });
+    if (entries.length === 0) {
+        batchRows.innerHTML = '<tr><td colspan="5" class="empty-state">No codes found in this file</td></tr>';
+        return;
+    }
 
-    // Demo button - provides a guided walk-through for stakeholders.
-    runDemoBtn.addEventListener('click', handleDemo);
+    const describeStatus = (entry) => {
+        if (!entry.ok) return entry.message;
+        if (batch.issued) return entry.existed ? 'Updated a live code' : 'Issued';
+        return entry.existed ? 'Ready - will update a live code' : 'Ready';
+    };
+    const describeLength = (entry) => {
+        if (!entry.ok) return '-';
+        const clamped = entry.clamped ? ' (clamped by the policy)' : '';
+        return `${formatDuration(entry.durationMs ?? entry.requestedMs)}${clamped}`;
+    };
+
+    const hidden = entries.length - MAX_BATCH_PREVIEW_ROWS;
+    batchRows.innerHTML = entries.slice(0, MAX_BATCH_PREVIEW_ROWS).map(entry => `
+        <tr>
+            <td>${entry.line}</td>
+            <td class="audit-code">${escapeHtml(entry.passcode ?? (entry.ok ? '(generated)' : '-'))}</td>
+            <td>${entry.subject ? escapeHtml(entry.subject) : '-'}</td>
+            <td>${escapeHtml(describeLength(entry))}</td>
+            <td class="${entry.ok ? 'text-success' : 'text-danger'}">${escapeHtml(describeStatus(entry))}</td>
+        </tr>
+    `).join('') + (hidden > 0 ? `<tr><td colspan="5" class="empty-state">...and ${hidden} more</td></tr>` : '');
 }
 
 /**
- * Handle OTP issuance
+ * Download the issued batch's per-row results as CSV
  */
-function handleIssueOTP() {
-    const passcode = parseInt(document.getElementById('passcode').value);
-    const durationValue = durationSelect.value;
-    let duration;
+function handleBatchDownload() {
+    const batch = currentBatch;
+    if (!batch || !batch.issued) return;
+
+    const entries = [
+        ...batch.errors.map(error => ({ line: error.line, ok: false, message: error.message })),
+        ...batch.results
+    ].sort((a, b) => a.line - b.line);
+    const tenantPart = currentTenant && tenantList.length > 1 ? `-${currentTenant}` : '';
+    const baseName = batch.name.replace(/\.csv$/i, '');
+    downloadFile(batchResultsToCsv(entries), 'text/csv', `${baseName}-results${tenantPart}.csv`);
+    updateStatus(`📤 Downloaded results for ${entries.length} batch row(s)`, 'success');
+}
+
+/**
+ * Announce a lockout or rate limit and remember when it lifts
+ */
+function reportLockout(error) {
+    const wait = formatDuration(Math.ceil(error.retryAfterMs / 1000) * 1000);
 
-    // Validate passcode
-    if (!passcode || passcode < 100000 || passcode > 99999999) {
-        showToast('Please enter a valid 6-8 digit passcode', 'Invalid Input', 'error');
+    if (error.code !== 'locked') {
+        showToast(error.message, 'Slow Down', 'warning');
+        updateStatus(`⏳ Verification throttled for ${wait}`, 'warning');
         return;
     }
 
-    // Get duration
-    if (durationValue === 'custom') {
-        duration = parseInt(document.getElementById('customDuration').value);
-        if (!duration || duration < 1000 || duration > 300000) {
-            showToast('Custom duration must be between 1,000ms and 300,000ms (5 minutes)', 'Invalid Duration', 'error');
-            return;
-        }
-    } else {
-        duration = parseInt(durationValue);
-    }
+    const label = error.scope === 'subject' ? error.id : `Client ${error.id}`;
+    const until = new Date(Date.now() + error.retryAfterMs).toLocaleTimeString();
+    lockouts.set(`${error.scope}:${error.id}`, { label, unlocksAt: appClock.now() + error.retryAfterMs });
 
-    try {
-        // Issue OTP
-        // Core business call: delegate to the shared store to persist the OTP.
-        const wasExisting = otpStore.issue(passcode, duration);
+    showToast(error.message, 'Locked Out', 'warning');
+    updateStatus(`🔒 ${label} locked for ${wait} (until ${until})`, 'warning');
+}
 
-        // Update active OTPs tracking
-        addToActiveOTPs(passcode, duration, wasExisting);
+/**
+ * Announce lockouts whose time has passed
+ */
+function checkLockouts() {
+    const now = appClock.now();
+    lockouts.forEach((lockout, key) => {
+        if (lockout.unlocksAt <= now) {
+            lockouts.delete(key);
+            updateStatus(`🔓 ${lockout.label} unlocked`, 'info');
+        }
+    });
+}
 
-        // Show feedback - highlight whether we extended an existing key or
-        // created a new one so analysts understand the state change.
-        const message = wasExisting ?
-            `OTP ${passcode} duration updated to ${formatDuration(duration)}` :
-            `New OTP ${passcode} issued for ${formatDuration(duration)}`;
+/**
+ * Build the API path for one OTP
+ */
+function otpPath(otp) {
+    return `/otp/${encodeURIComponent(otp.passcode)}`;
+}
 
-        showToast(message, 'OTP Issued', 'success');
-        updateStatus(`${wasExisting ? 'Updated' : 'Issued'} OTP: ${passcode}`, 'success');
-        
-        // Clear form so operators can rapidly issue multiple keys
-        document.getElementById('passcode').value = '';
+/**
+ * Handle extending an OTP by one minute from its card
+ */
+async function handleExtendOTP(otp) {
+    const recipient = otp.subject ? ` for ${otp.subject}` : '';
 
-        // Update display
-        updateOTPList();
+    try {
+        const { status, data } = await apiRequest('POST', `${otpPath(otp)}/extend`, {
+            extendMs: 60000,
+            subject: otp.subject
+        });
+        if (status >= 400) {
+            showApiError(data, 'Extend Failed');
+            return;
+        }
 
+        // The card itself is updated by the store's 'extended' event.
+        updateStatus(`⏱️ OTP ${otp.passcode}${recipient} extended: ${formatTimeRemaining(data.remainingMs)} left`, 'success');
     } catch (error) {
-        console.error('Error issuing OTP:', error);
-        showToast('Failed to issue OTP', 'Error', 'error');
+        console.error('Error extending OTP:', error);
+        showConnectionError('extending OTP');
     }
 }
 
 /**
- * Handle OTP authentication
+ * Handle revoking an OTP from its card
  */
-function handleAuthentication() {
-    const passcode = parseInt(document.getElementById('authPasscode').value);
-    
-    // Basic guard to avoid unnecessary round-trips to the OTP store.
-    if (!passcode) {
-        showToast('Please enter a passcode', 'Invalid Input', 'error');
-        return;
-    }
+async function handleRevokeOTP(otp) {
+    const recipient = otp.subject ? ` for ${otp.subject}` : '';
 
     try {
-        // Attempt to redeem the passcode. The OTP store encapsulates expiry and
-        // single-use concerns so the UI simply reacts to the boolean result.
-        const isValid = otpStore.useOnce(passcode);
-        
-        if (isValid) {
-            showToast(`Authentication successful for OTP ${passcode}`, 'Login Accepted', 'success');
-            updateStatus(`✅ Authentication successful: ${passcode}`, 'success');
-            
-            // Mark as used in tracking
-            if (activeOTPs.has(passcode)) {
-                const otpData = activeOTPs.get(passcode);
-                otpData.used = true;
-                activeOTPs.set(passcode, otpData);
-            }
-        } else {
-            showToast(`Authentication failed for OTP ${passcode}`, 'Login Rejected', 'error');
-            updateStatus(`❌ Authentication failed: ${passcode}`, 'error');
+        const query = otp.subject ? `?subject=${encodeURIComponent(otp.subject)}` : '';
+        const { status, data } = await apiRequest('DELETE', `${otpPath(otp)}${query}`);
+        if (status >= 400) {
+            showApiError(data, 'Revoke Failed');
+            return;
         }
-        
-        // Clear form
-        document.getElementById('authPasscode').value = '';
-
-        // Update display
-        updateOTPList();
 
+        showToast(`OTP ${otp.passcode}${recipient} can no longer be used`, 'OTP Revoked', 'warning');
+        updateStatus(`🚫 Revoked OTP: ${otp.passcode}${recipient}`, 'warning');
     } catch (error) {
-        console.error('Error during authentication:', error);
-        showToast('Authentication error occurred', 'Error', 'error');
+        console.error('Error revoking OTP:', error);
+        showConnectionError('revoking OTP');
     }
 }
 
 /**
- * Add OTP to active tracking with timer
+ * Work out what a card's countdown should show right now
  */
-function addToActiveOTPs(passcode, duration, wasExisting) {
-    const now = Date.now();
-    const expiresAt = now + duration;
+function describeCountdown(otp) {
+    const remaining = Math.max(0, otp.expiresAt - appClock.now());
+    const progress = (remaining / otp.duration) * 100;
 
-    // Clear existing timer if any
-    if (timers.has(passcode)) {
-        clearInterval(timers.get(passcode));
+    // Consumed and revoked codes leave the list straight away; a code whose
+    // countdown ran out shows as expired until the store's event removes it.
+    let statusClass = 'text-success';
+    let statusText = '✅ Active';
+    if (remaining === 0) {
+        statusClass = 'text-danger';
+        statusText = '⏰ Expired';
+    } else if (otp.uses > 0) {
+        statusClass = 'text-warning';
+        statusText = `🔁 Used ${otp.uses}×`;
     }
 
-    // Add to active OTPs
-    activeOTPs.set(passcode, {
-        passcode: passcode,
-        duration: duration,
-        issuedAt: now,
-        expiresAt: expiresAt,
-        used: false,
-        wasExisting: wasExisting
-    });
-
-    // Setup timer for updates
-    const timer = setInterval(() => {
-        updateOTPTimer(passcode);
-    }, 1000);
-
-    timers.set(passcode, timer);
+    // Adjust progress bar color as the OTP nears expiration.
+    let progressClass = 'timer-progress';
+    if (progress < 25) progressClass += ' danger';
+    else if (progress < 50) progressClass += ' warning';
 
-    // Setup expiration cleanup - ensures the UI stays in sync even if the user
-    // never visits the authenticate tab again.
-    setTimeout(() => {
-        if (activeOTPs.has(passcode)) {
-            activeOTPs.delete(passcode);
-            if (timers.has(passcode)) {
-                clearInterval(timers.get(passcode));
-                timers.delete(passcode);
-            }
-            updateOTPList();
-        }
-    }, duration);
+    return { remaining, progress, statusClass, statusText, progressClass };
 }
 
 /**
- * Update OTP timer display
+ * Work out what a card's delivery line should show
  */
-function updateOTPTimer(passcode) {
-    const otpData = activeOTPs.get(passcode);
-    if (!otpData) return;
-
-    const now = Date.now();
-    const remaining = Math.max(0, otpData.expiresAt - now);
-
-    if (remaining === 0 || otpData.used) {
-        // Expired or used
-        activeOTPs.delete(passcode);
-        if (timers.has(passcode)) {
-            clearInterval(timers.get(passcode));
-            timers.delete(passcode);
-        }
-        updateOTPList();
-        return;
+function describeDelivery(delivery) {
+    // Unbound codes (and subjects that are not addresses) are never sent.
+    if (!delivery || (delivery.state === 'skipped' && delivery.channel === null)) {
+        return { className: '', text: '', title: '' };
     }
-    
-    // Update progress bar - visual countdown of remaining validity.
-    const element = document.querySelector(`[data-passcode="${passcode}"] .timer-progress`);
-    if (element) {
-        const progress = (remaining / otpData.duration) * 100;
-        element.style.width = `${progress}%`;
 
-        // Update color based on remaining time
-        element.className = 'timer-progress';
-        if (progress < 25) {
-            element.classList.add('danger');
-        } else if (progress < 50) {
-            element.classList.add('warning');
-        }
+    const channel = delivery.channel === 'sms' ? 'SMS' : 'email';
+    const title = delivery.error ? delivery.error : `To ${delivery.to}`;
+    switch (delivery.state) {
+        case 'sending':
+            return { className: '', text: `📤 Sending by ${channel}...`, title };
+        case 'retrying':
+            return { className: 'text-warning', text: `🔁 ${channel} failed ${delivery.attempts}×, retrying`, title };
+        case 'sent':
+            return { className: 'text-success', text: `📨 Sent by ${channel}`, title };
+        case 'failed':
+            return { className: 'text-danger', text: `⚠️ ${channel} delivery failed`, title };
+        default:
+            return { className: 'text-warning', text: `✉️ Not sent (no ${channel} channel)`, title };
     }
+}
 
-    // Update time text
-    const timeElement = document.querySelector(`[data-passcode="${passcode}"] .time-remaining`);
-    if (timeElement) {
-        timeElement.textContent = formatTimeRemaining(remaining);
-    }
+/**
+ * Fill a card's delivery line
+ */
+function renderDelivery(element, delivery) {
+    const { className, text, title } = describeDelivery(delivery);
+    element.className = `otp-delivery ${className}`;
+    element.textContent = text;
+    element.title = title;
 }
 
 /**
  * Update the OTP list display
  */
 function updateOTPList() {
+    countdownCards = new Map();
+
     if (activeOTPs.size === 0) {
         otpList.innerHTML = `
             <div class="empty-state">
@@ -282,37 +1732,20 @@ function updateOTPList() {
         return;
     }
     
-    const otpItems = Array.from(activeOTPs.values()).map(otp => {
-        const now = Date.now();
-        const remaining = Math.max(0, otp.expiresAt - now);
-        const progress = (remaining / otp.duration) * 100;
-        
-        let statusClass = '';
-        let statusText = '';
-        
-        // Derive contextual status messaging for the card so operators get an
-        // immediate visual cue about what happened to the OTP (consumed vs expired).
-        if (otp.used) {
-            statusClass = 'text-danger';
-            statusText = '🔒 Used';
-        } else if (remaining === 0) {
-            statusClass = 'text-danger';
-            statusText = '⏰ Expired';
-        } else {
-            statusClass = 'text-success';
-            statusText = '✅ Active';
-        }
+    const renderItem = otp => {
+        const { remaining, progress, statusClass, statusText, progressClass } = describeCountdown(otp);
+        const delivery = describeDelivery(otp.delivery);
 
-        // Adjust progress bar color as the OTP nears expiration.
-        let progressClass = 'timer-progress';
-        if (progress < 25) progressClass += ' danger';
-        else if (progress < 50) progressClass += ' warning';
+        // Codes are addressed by passcode, so a hidden one cannot be managed here.
+        const hidden = otp.passcode === null;
+        const actionsDisabled = hidden || remaining === 0 ? ' disabled' : '';
         
         return `
-            <div class="otp-item" data-passcode="${otp.passcode}">
+            <div class="otp-item" data-otp-id="${escapeHtml(otp.id)}">
                 <div class="otp-info">
-                    <div class="otp-code">${otp.passcode}</div>
+                    <div class="otp-code"${hidden ? ' title="Hashed storage never reveals passcodes"' : ''}>${hidden ? '••••••' : escapeHtml(otp.passcode)}</div>
                     <div class="otp-status ${statusClass}">${statusText}</div>
+                    <div class="otp-delivery ${delivery.className}" title="${escapeHtml(delivery.title)}">${delivery.text}</div>
                 </div>
                 <div class="otp-timer">
                     <span class="time-remaining">${formatTimeRemaining(remaining)}</span>
@@ -320,79 +1753,275 @@ function updateOTPList() {
                         <div class="${progressClass}" style="width: ${progress}%"></div>
                     </div>
                 </div>
+                <div class="otp-actions">
+                    <button type="button" class="btn btn-outline btn-sm" data-action="extend"${actionsDisabled}
+                        title="Add 1 minute (up to the ${otpPolicy ? `${formatDuration(otpPolicy.maxDurationMs)} ` : ''}cap)"><i class="fas fa-clock"></i> +1m</button>
+                    <button type="button" class="btn btn-outline btn-danger btn-sm" data-action="revoke"${actionsDisabled}
+                        title="Cancel this code"><i class="fas fa-ban"></i> Revoke</button>
+                </div>
             </div>
         `;
-    }).join('');
-    
-    otpList.innerHTML = otpItems;
+    };
+
+    let shown = Array.from(activeOTPs.values());
+    if (shown.length > MAX_RENDERED_OTPS) {
+        shown = shown.sort((a, b) => a.expiresAt - b.expiresAt).slice(0, MAX_RENDERED_OTPS);
+    }
+
+    // Group cards by subject so support staff can see everything a single
+    // customer currently holds; unbound codes are listed last.
+    const groups = new Map();
+    for (const otp of shown) {
+        if (!groups.has(otp.subject)) groups.set(otp.subject, []);
+        groups.get(otp.subject).push(otp);
+    }
+    const subjects = Array.from(groups.keys()).sort((a, b) => {
+        if (a === null) return 1;
+        if (b === null) return -1;
+        return a.localeCompare(b);
+    });
+
+    const overflow = activeOTPs.size > shown.length ? `
+        <div class="otp-list-overflow">
+            Showing the ${shown.length} soonest-expiring of ${activeOTPs.size.toLocaleString()} active codes
+        </div>
+    ` : '';
+
+    otpList.innerHTML = overflow + subjects.map(subject => `
+        <div class="otp-group">
+            <div class="otp-group-header">
+                <i class="fas ${subject ? 'fa-user' : 'fa-globe'}"></i>
+                <span>${subject ? escapeHtml(subject) : 'Unassigned codes'}</span>
+                <span class="otp-group-count">${groups.get(subject).length}</span>
+            </div>
+            ${groups.get(subject).map(renderItem).join('')}
+        </div>
+    `).join('');
+
+    // Remember each card's moving parts for the countdown tick.
+    otpList.querySelectorAll('.otp-item').forEach(item => {
+        countdownCards.set(item.dataset.otpId, {
+            otp: activeOTPs.get(item.dataset.otpId),
+            item,
+            statusEl: item.querySelector('.otp-status'),
+            deliveryEl: item.querySelector('.otp-delivery'),
+            timeEl: item.querySelector('.time-remaining'),
+            barEl: item.querySelector('.timer-bar > div')
+        });
+    });
+}
+
+/**
+ * Advance every rendered countdown in place, without rebuilding the list
+ */
+function updateCountdowns() {
+    countdownCards.forEach(card => {
+        const { remaining, progress, statusClass, statusText, progressClass } = describeCountdown(card.otp);
+        card.timeEl.textContent = formatTimeRemaining(remaining);
+        card.barEl.className = progressClass;
+        card.barEl.style.width = `${progress}%`;
+        card.statusEl.className = `otp-status ${statusClass}`;
+        card.statusEl.textContent = statusText;
+        if (remaining === 0) {
+            card.item.querySelectorAll('.otp-actions button').forEach(button => { button.disabled = true; });
+        }
+    });
 }
 
 /**
- * Handle demo functionality
+ * Fetch the shipped demo scenarios (see SCENARIO_FILES in otpScenarios.js)
  */
-async function handleDemo() {
-    const btn = runDemoBtn;
-    const originalText = btn.innerHTML;
+async function loadScenarios() {
+    const shipped = await Promise.all(SCENARIO_FILES.map(async (file) => {
+        try {
+            const response = await fetch(`scenarios/${file}`, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`Unexpected response (${response.status})`);
+            return { key: file, scenario: validateScenario(await response.json()) };
+        } catch (error) {
+            // e.g. opened from file://; scenarios can still be loaded by hand.
+            console.error(`Error loading scenario ${file}:`, error);
+            return null;
+        }
+    }));
+    scenarioList = [...shipped.filter(Boolean), ...scenarioList];
+    renderScenarioOptions();
+}
 
+/**
+ * Add a scenario from a JSON file chosen by the user and select it
+ */
+async function handleScenarioFile(file) {
+    if (!file) return;
     try {
-        // Lock the button so the scenario cannot be triggered multiple times.
-        btn.disabled = true;
-        btn.innerHTML = '<i class="fas fa-spinner spinner"></i> Running Demo...';
-        
-        // Step 1: Issue demo OTP
-        showToast('Demo Step 1: Issuing OTP 999888', 'Demo', 'success');
-        await delay(1000);
-        
-        const demoPasscode = 999888;
-        const demoDuration = 30000; // 30 seconds
-        
-        otpStore.issue(demoPasscode, demoDuration);
-        addToActiveOTPs(demoPasscode, demoDuration, false);
-        updateOTPList();
-        updateStatus(`Demo: Issued OTP ${demoPasscode}`, 'success');
-        
-        await delay(2000);
-        
-        // Step 2: Authenticate with demo OTP
-        showToast('Demo Step 2: Authenticating with OTP', 'Demo', 'success');
-        await delay(1000);
-        
-        // Use the shared logic to simulate the real authentication flow.
-        const authResult = otpStore.useOnce(demoPasscode);
-        if (authResult) {
-            if (activeOTPs.has(demoPasscode)) {
-                const otpData = activeOTPs.get(demoPasscode);
-                otpData.used = true;
-                activeOTPs.set(demoPasscode, otpData);
+        const scenario = validateScenario(JSON.parse(await file.text()));
+        const key = `file:${file.name}`;
+        scenarioList = [...scenarioList.filter(item => item.key !== key), { key, scenario }];
+        renderScenarioOptions(key);
+        updateStatus(`📂 Loaded scenario "${scenario.name}" from ${file.name}`, 'info');
+    } catch (error) {
+        showToast(`${file.name}: ${error.message}`, 'Invalid Scenario', 'error');
+    } finally {
+        scenarioFileInput.value = '';
+    }
+}
+
+/**
+ * Fill the scenario picker, keeping (or setting) the selection
+ */
+function renderScenarioOptions(selectedKey) {
+    const previous = scenarioSelect.value;
+    if (scenarioList.length === 0) {
+        scenarioSelect.innerHTML = '<option value="">No scenarios found - load a JSON file</option>';
+    } else {
+        scenarioSelect.innerHTML = scenarioList.map(({ key, scenario }) => `
+            <option value="${escapeHtml(key)}">${escapeHtml(scenario.name)}</option>
+        `).join('');
+        const keep = scenarioList.some(item => item.key === previous) ? previous : scenarioList[0].key;
+        scenarioSelect.value = selectedKey || keep;
+    }
+    showScenario();
+}
+
+/**
+ * Find the scenario chosen in the picker
+ */
+function selectedScenario() {
+    const selected = scenarioList.find(item => item.key === scenarioSelect.value);
+    return selected ? selected.scenario : null;
+}
+
+/**
+ * Show the chosen scenario's description and steps, none run yet
+ */
+function showScenario() {
+    const scenario = selectedScenario();
+    scenarioDescription.textContent = scenario ? scenario.description || '' : '';
+    scenarioSteps.innerHTML = scenario ? scenario.steps.map(step => `
+        <li class="scenario-step">
+            <i class="far fa-circle"></i>
+            <span>${escapeHtml(describeStep(step))}</span>
+        </li>
+    `).join('') : '';
+    runDemoBtn.disabled = !scenario || scenarioRunning;
+}
+
+/**
+ * Mark a finished step passed, failed or skipped, with what went wrong
+ */
+function renderScenarioStep(result) {
+    const item = scenarioSteps.children[result.index - 1];
+    if (!item) return;
+
+    const icons = { passed: 'fa-check-circle', failed: 'fa-times-circle', skipped: 'fa-minus-circle' };
+    item.className = `scenario-step ${result.status}`;
+    item.innerHTML = `
+        <i class="fas ${icons[result.status]}"></i>
+        <span>${escapeHtml(result.label)}${result.message ? `<small>${escapeHtml(result.message)}</small>` : ''}</span>
+    `;
+}
+
+/**
+ * Run the chosen scenario through the API, step by step
+ */
+async function handleRunScenario() {
+    const scenario = selectedScenario();
+    if (!scenario || scenarioRunning) return;
+
+    showScenario();
+    scenarioRunning = true;
+    scenarioSelect.disabled = true;
+    setButtonLoading(runDemoBtn, true, 'Running...');
+
+    try {
+        // The scenario says which policy its expectations assume.
+        await policyReady;
+        const target = createApiTarget(async (method, path, body) => {
+            const { status, data } = await apiRequest(method, path, body);
+            return { status, body: data };
+        }, {
+            policy: otpPolicy ? otpPolicy.preset : null,
+            onAdvance: (ms) => {
+                // Move the countdowns with the store, as the Time Travel panel does.
+                appClock.advance(ms);
+                updateOTPList();
+                updateClockOffset();
+                checkLockouts();
             }
-            updateOTPList();
-            updateStatus(`Demo: Authentication successful`, 'success');
-            showToast('Demo Step 2: Authentication successful!', 'Demo', 'success');
+        });
+
+        const result = await runScenario(scenario, target, { onStep: renderScenarioStep, pauseMs: SCENARIO_STEP_PAUSE_MS });
+        const problems = [
+            result.failed ? `${result.failed} failed` : '',
+            result.skipped ? `${result.skipped} skipped` : ''
+        ].filter(Boolean).join(', ');
+        const summary = `${result.passed} of ${result.steps.length} step(s) passed${problems ? ` (${problems})` : ''}`;
+        const type = result.failed ? 'error' : (result.skipped ? 'warning' : 'success');
+        updateStatus(`🎬 ${result.name}: ${summary}`, type);
+        showToast(summary, `Scenario: ${result.name}`, type);
+    } catch (error) {
+        console.error('Scenario error:', error);
+        showToast(error.message, 'Scenario Error', 'error');
+    } finally {
+        scenarioRunning = false;
+        scenarioSelect.disabled = false;
+        setButtonLoading(runDemoBtn, false);
+        runDemoBtn.disabled = !selectedScenario();
+    }
+}
+
+/**
+ * Fast-forward the API clock and every countdown in lockstep
+ */
+async function handleTimeTravel(ms) {
+    try {
+        const { status, data } = await apiRequest('POST', '/dev/clock', { advanceMs: ms });
+        if (status >= 400) {
+            showApiError(data, 'Time Travel Failed');
+            return;
         }
-        
-        await delay(2000);
-        
-        // Step 3: Try to use again
-        showToast('Demo Step 3: Attempting to reuse OTP', 'Demo', 'warning');
-        await delay(1000);
-        
-        const secondAuth = otpStore.useOnce(demoPasscode);
-        if (!secondAuth) {
-            updateStatus(`Demo: Second authentication rejected (single-use)`, 'warning');
-            showToast('Demo Step 3: Second use rejected - Single use enforced!', 'Demo', 'warning');
+
+        // The API announces codes the jump expired; re-render the rest so their
+        // countdowns jump too.
+        appClock.advance(ms);
+        updateOTPList();
+        updateClockOffset();
+        updateStatus(`⏩ Time travelled +${formatDuration(ms)}`, 'warning');
+        checkLockouts();
+    } catch (error) {
+        console.error('Error during time travel:', error);
+        showConnectionError('time travelling');
+    }
+}
+
+/**
+ * Return the API clock and countdowns to real time
+ */
+async function handleClockReset() {
+    try {
+        const { status, data } = await apiRequest('POST', '/dev/clock', { reset: true });
+        if (status >= 400) {
+            showApiError(data, 'Clock Reset Failed');
+            return;
         }
-        
-        showToast('Demo completed successfully!', 'Demo Finished', 'success');
-        
+
+        appClock.reset();
+        updateOTPList();
+        updateClockOffset();
+        updateStatus('Clock reset to real time', 'info');
     } catch (error) {
-        console.error('Demo error:', error);
-        showToast('Demo encountered an error', 'Demo Error', 'error');
-    } finally {
-        btn.disabled = false;
-        btn.innerHTML = originalText;
+        console.error('Error resetting clock:', error);
+        showConnectionError('resetting the clock');
     }
 }
 
+/**
+ * Update the time-travel offset readout
+ */
+function updateClockOffset() {
+    const offset = appClock.getOffset();
+    clockOffsetEl.textContent = offset > 0 ? `+${formatDuration(offset)}` : 'Real time';
+}
+
 /**
  * Update status display
  */
@@ -421,7 +2050,7 @@ function updateStatus(message, type = 'info') {
     
     statusItem.innerHTML = `
         <i class="${icon} ${textClass}"></i>
-        <span>${message}</span>
+        <span>${escapeHtml(message)}</span>
         <small>${new Date().toLocaleTimeString()}</small>
     `;
     
@@ -480,6 +2109,122 @@ function hideToast() {
     toast.classList.remove('show');
 }
 
+/**
+ * Read the duration selected in the Issue form, or null if it is invalid
+ */
+function readSelectedDuration() {
+    if (durationSelect.value !== 'custom') {
+        return parseInt(durationSelect.value);
+    }
+
+    const duration = parseInt(document.getElementById('customDuration').value);
+    const { minDurationMs = 1, maxDurationMs = Infinity } = otpPolicy || {};
+    if (!duration || duration < minDurationMs || duration > maxDurationMs) {
+        const range = otpPolicy
+            ? `between ${minDurationMs.toLocaleString()}ms and ${maxDurationMs.toLocaleString()}ms (${formatDuration(maxDurationMs)})`
+            : 'a positive number of milliseconds';
+        showToast(`Custom duration must be ${range}`, 'Invalid Duration', 'error');
+        return null;
+    }
+    return duration;
+}
+
+/**
+ * Normalise a typed passcode: digits become an integer, generated
+ * alphanumeric codes are upper-cased to match how they were issued
+ */
+function readPasscodeInput(value) {
+    const trimmed = value.trim();
+    if (/^\d+$/.test(trimmed)) return parseInt(trimmed);
+    return trimmed.toUpperCase();
+}
+
+/**
+ * Read an optional customer identifier field (blank means an unbound code)
+ */
+function readSubjectInput(id) {
+    return document.getElementById(id).value.trim() || null;
+}
+
+/**
+ * Escape user-supplied text before it is placed in innerHTML
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Copy text to the clipboard with toast feedback
+ */
+async function copyToClipboard(text) {
+    try {
+        await navigator.clipboard.writeText(String(text));
+        showToast(`${text} copied to clipboard`, 'Copied', 'success');
+    } catch (error) {
+        // Clipboard access needs a secure context and user permission.
+        showToast(`Copy ${text} manually - clipboard access was blocked`, 'Copy Failed', 'warning');
+    }
+}
+
+/**
+ * Surface a JSON error returned by the OTP API
+ */
+function showApiError(data, title) {
+    const message = data && data.error ? data.error.message : 'Unexpected response from OTP server';
+    showToast(message, title, 'error');
+    updateStatus(`❌ ${title}: ${message}`, 'error');
+}
+
+/**
+ * Describe why the store rejected a code (see OTP_REJECT_REASONS in otpStore.js)
+ */
+function describeRejection(reason) {
+    switch (reason) {
+        case 'expired': return 'has expired';
+        case 'already_used': return 'was already used';
+        case 'revoked': return 'was revoked';
+        case 'locked': return 'was refused (locked out)';
+        case 'rate_limited': return 'was refused (rate limited)';
+        case 'invalid_format': return 'has the wrong format';
+        default: return 'is not a valid code';
+    }
+}
+
+/**
+ * Surface a network failure talking to the OTP API
+ */
+function showConnectionError(action) {
+    showToast(`Could not reach the OTP server while ${action}`, 'Connection Error', 'error');
+    updateStatus(`❌ Connection error while ${action}`, 'error');
+}
+
+/**
+ * Toggle a form's loading state while its API request is in flight
+ */
+function setFormLoading(form, isLoading, label) {
+    setButtonLoading(form.querySelector('button[type="submit"]'), isLoading, label);
+    form.classList.toggle('loading', isLoading);
+}
+
+/**
+ * Swap a button for a spinner while its request is in flight
+ */
+function setButtonLoading(button, isLoading, label) {
+    if (isLoading) {
+        button.dataset.originalHtml = button.innerHTML;
+        button.innerHTML = `<i class="fas fa-spinner spinner"></i> ${label}`;
+    } else if (button.dataset.originalHtml) {
+        button.innerHTML = button.dataset.originalHtml;
+    }
+
+    button.disabled = isLoading;
+}
+
 /**
  * Format duration in a human-readable way
  */
@@ -502,17 +2247,14 @@ function formatTimeRemaining(ms) {
     return formatDuration(ms);
 }
 
-/**
- * Utility function for delays
- */
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-// Auto-refresh OTP list every second - keeps card timers accurate even when
-// nothing else triggers a re-render.
+// The one scheduler behind every countdown: each second the rendered cards'
+// timers are updated in place (the list itself is only rebuilt when codes
+// come or go), and lockouts are announced as they lift.
 setInterval(() => {
-    if (activeOTPs.size > 0) {
-        updateOTPList();
+    if (lockouts.size > 0) {
+        checkLockouts();
+    }
+    if (countdownCards.size > 0) {
+        updateCountdowns();
     }
 }, 1000);
\ No newline at end of file
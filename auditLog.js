@@ -0,0 +1,272 @@
+/**
+ * Audit Log for the OTP Management System
+ *
+ * Keeps a structured, append-only trail of everything that happens to a
+ * passcode - issue, reissue, extension, successful and failed verification,
+ * revocation and expiry, and snapshot restores - for compliance reviews. Records are built from the
+ * OTP store's events (see otpStore.js), so no state change can bypass the log.
+ *
+ * Each record: { seq, timestamp, action, outcome, reason, actor, subject, code }
+ * - timestamp: ISO 8601 time on the store's clock
+ * - reason:    why a verification was rejected (expired, already_used, locked...), else null
+ * - actor:     the caller's client identity (e.g. IP address), 'local' for
+ *              in-process callers, 'system' for expiries
+ * - code:      the passcode masked to its last two characters
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Column order for exports
+ */
+const AUDIT_FIELDS = ['seq', 'timestamp', 'action', 'outcome', 'reason', 'actor', 'subject', 'code'];
+
+/**
+ * Store event type -> [action, outcome]
+ */
+const AUDIT_ACTIONS = {
+  issued: ['issue', 'issued'],
+  reissued: ['issue', 'reissued'],
+  extended: ['extend', 'extended'],
+  consumed: ['verify', 'accepted'],
+  rejected: ['verify', 'rejected'],
+  revoked: ['revoke', 'revoked'],
+  expired: ['expire', 'expired'],
+  restored: ['restore', 'restored']
+};
+
+/**
+ * Masks a passcode for the audit trail, keeping only its last two characters
+ *
+ * @param {number|string|null} passcode - Raw passcode (null when hashing hides it)
+ * @returns {string} e.g. '****56', or '(hidden)' when unknown
+ *
+ * @example
+ * maskPasscode(123456);     // '****56'
+ * maskPasscode('K7RM3XQ9'); // '******Q9'
+ */
+function maskPasscode(passcode) {
+  if (passcode === null || passcode === undefined) return '(hidden)';
+  const code = String(passcode);
+  const visible = code.length > 2 ? code.slice(-2) : '';
+  return '*'.repeat(code.length - visible.length) + visible;
+}
+
+/**
+ * Creates a volatile audit storage (default)
+ *
+ * @returns {{ append: function(Object): void, read: function(): Object[] }}
+ */
+function createMemoryAuditStorage() {
+  const records = [];
+  return {
+    append: (record) => { records.push(record); },
+    read: () => records.slice()
+  };
+}
+
+/**
+ * Creates an audit storage backed by window.localStorage
+ * Only the most recent `maxRecords` are kept to stay within the quota.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.key='kiwi-otp-audit'] - localStorage key
+ * @param {Storage} [options.storage=window.localStorage] - Web Storage object
+ * @param {number} [options.maxRecords=1000] - Records kept before the oldest are dropped
+ * @returns {{ append: function(Object): void, read: function(): Object[] }}
+ */
+function createLocalStorageAuditStorage(options = {}) {
+  const key = options.key || 'kiwi-otp-audit';
+  const storage = options.storage || window.localStorage;
+  const maxRecords = options.maxRecords || 1000;
+
+  const load = () => {
+    try {
+      return JSON.parse(storage.getItem(key)) || [];
+    } catch (error) {
+      // A corrupted trail should not take the console down with it.
+      return [];
+    }
+  };
+
+  return {
+    append: (record) => {
+      const records = load();
+      records.push(record);
+      storage.setItem(key, JSON.stringify(records.slice(-maxRecords)));
+    },
+    read: load
+  };
+}
+
+/**
+ * Creates an audit storage that appends JSON Lines to a file (Node.js only)
+ * The file is never rewritten; a torn final line from a crash is skipped.
+ *
+ * @param {string} filePath - Path of the audit file (created if missing)
+ * @returns {{ append: function(Object): void, read: function(): Object[] }}
+ */
+function createFileAuditStorage(filePath) {
+  const fs = require('fs');
+
+  const records = [];
+  if (fs.existsSync(filePath)) {
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // Torn write from a crash - ignore it.
+      }
+    }
+  }
+
+  return {
+    append: (record) => {
+      fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+      records.push(record);
+    },
+    read: () => records.slice()
+  };
+}
+
+/**
+ * Creates an audit log
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Audit storage (defaults to in-memory)
+ * @returns {Object} Audit log with attach, record and query methods
+ *
+ * @example
+ * const audit = createAuditLog({ storage: createFileAuditStorage('./otp-audit.jsonl') });
+ * audit.attach(otpStore);
+ * audit.query({ action: 'verify', outcome: 'rejected', limit: 50 });
+ */
+function createAuditLog(options = {}) {
+  const storage = options.storage || createMemoryAuditStorage();
+
+  // Continue numbering after records persisted by a previous run.
+  const existing = storage.read();
+  let seq = existing.length > 0 ? existing[existing.length - 1].seq : 0;
+
+  /**
+   * Appends the record for one store event
+   * @param {Object} event - Event delivered by store.on()
+   * @returns {Object|null} The record, or null for event types that are not audited
+   */
+  const record = (event) => {
+    const mapping = AUDIT_ACTIONS[event.type];
+    if (!mapping) return null;
+
+    const entry = {
+      seq: ++seq,
+      timestamp: new Date(event.at).toISOString(),
+      action: mapping[0],
+      outcome: mapping[1],
+      reason: event.reason || null,
+      actor: event.client || (event.type === 'expired' ? 'system' : 'local'),
+      subject: event.subject || null,
+      code: maskPasscode(event.passcode)
+    };
+    storage.append(entry);
+    return entry;
+  };
+
+  /**
+   * Records every audited event of an OTP store
+   * @param {Object} store - Instance returned by createOtpStore()
+   * @returns {function(): void} Detach function
+   */
+  const attach = (store) => {
+    const unsubscribers = Object.keys(AUDIT_ACTIONS).map(type => store.on(type, record));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  };
+
+  /**
+   * Returns matching records, oldest first
+   * @param {Object} [filter]
+   * @param {string} [filter.action] - issue, extend, verify, revoke, expire or restore
+   * @param {string} [filter.outcome] - e.g. accepted, rejected, expired
+   * @param {string} [filter.reason] - Rejection reason, e.g. expired or locked
+   * @param {string} [filter.subject] - Exact subject
+   * @param {string} [filter.actor] - Exact actor
+   * @param {number} [filter.since] - Earliest time (ms since epoch, inclusive)
+   * @param {number} [filter.until] - Latest time (ms since epoch, inclusive)
+   * @param {number} [filter.limit] - Keep only the most recent N matches
+   * @returns {Object[]} Matching records
+   */
+  const query = (filter = {}) => {
+    const matches = storage.read().filter(entry => {
+      const time = Date.parse(entry.timestamp);
+      return (!filter.action || entry.action === filter.action) &&
+        (!filter.outcome || entry.outcome === filter.outcome) &&
+        (!filter.reason || entry.reason === filter.reason) &&
+        (!filter.subject || entry.subject === filter.subject) &&
+        (!filter.actor || entry.actor === filter.actor) &&
+        (filter.since === undefined || time >= filter.since) &&
+        (filter.until === undefined || time <= filter.until);
+    });
+    return filter.limit ? matches.slice(-filter.limit) : matches;
+  };
+
+  return { attach, record, query };
+}
+
+/**
+ * Formats one CSV (RFC 4180) cell
+ * Text that a spreadsheet would run as a formula is prefixed with a quote.
+ *
+ * @param {*} value - Cell value (null and undefined become empty cells)
+ * @returns {string} The cell, quoted when needed
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialises audit records as CSV (RFC 4180) with a header row
+ *
+ * @param {Object[]} records - Audit records
+ * @returns {string} CSV text
+ */
+function auditToCsv(records) {
+  const rows = records.map(record => AUDIT_FIELDS.map(field => csvCell(record[field])).join(','));
+  return [AUDIT_FIELDS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialises audit records as JSON Lines
+ *
+ * @param {Object[]} records - Audit records
+ * @returns {string} One JSON object per line
+ */
+function auditToJsonLines(records) {
+  return records.map(record => JSON.stringify(record) + '\n').join('');
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createAuditLog,
+    createMemoryAuditStorage,
+    createLocalStorageAuditStorage,
+    createFileAuditStorage,
+    maskPasscode,
+    csvCell,
+    auditToCsv,
+    auditToJsonLines,
+    AUDIT_FIELDS
+  };
+} else if (typeof window !== 'undefined') {
+  window.createAuditLog = createAuditLog;
+  window.createMemoryAuditStorage = createMemoryAuditStorage;
+  window.createLocalStorageAuditStorage = createLocalStorageAuditStorage;
+  window.maskPasscode = maskPasscode;
+  window.csvCell = csvCell;
+  window.auditToCsv = auditToCsv;
+  window.auditToJsonLines = auditToJsonLines;
+  window.AUDIT_FIELDS = AUDIT_FIELDS;
+}
@@ -0,0 +1,109 @@
+/**
+ * OTP Store Benchmark
+ *
+ * Measures store throughput with a sale-launch volume of live codes (100,000
+ * by default). Expiry bookkeeping goes through an index (see expiryIndex.js),
+ * so the cost of an operation should not grow with the number of live codes:
+ * the time taken to issue the last 10% of codes is compared with the first
+ * 10% to make that visible.
+ *
+ * Time is simulated with a manual clock, so the numbers measure the store
+ * itself rather than timers. Brute-force limits are off; every verification
+ * would otherwise count against the same client.
+ *
+ * Usage:
+ *   node benchmark.js [--codes 100000] [--hashed]
+ *
+ *   --codes   Number of live codes to build up (default: 100000)
+ *   --hashed  Use keyed-HMAC storage (see passcodeHasher.js)
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+const { performance } = require('perf_hooks');
+
+const { createOtpStore } = require('./otpStore');
+const { createManualClock } = require('./clock');
+const { parseArgs } = require('./server');
+
+const FIRST_CODE = 10_000_000; // 8-digit codes, so every one is distinct and fits the policy
+
+/**
+ * Times a batch of operations
+ *
+ * @param {number} count - Number of operations
+ * @param {function(number): void} operation - Called with 0..count-1
+ * @returns {{ ms: number, perSecond: number }}
+ */
+function time(count, operation) {
+  const started = performance.now();
+  for (let i = 0; i < count; i++) operation(i);
+  const ms = performance.now() - started;
+  return { ms, perSecond: Math.round(count / (ms / 1000)) };
+}
+
+/**
+ * Prints one result row
+ *
+ * @param {string} label - What was measured
+ * @param {number} count - Operations performed
+ * @param {{ ms: number, perSecond: number }} result - Result of time()
+ */
+function report(label, count, { ms, perSecond }) {
+  console.log(`   ${label.padEnd(34)} ${String(count).padStart(8)} ops ${ms.toFixed(0).padStart(7)} ms ${perSecond.toLocaleString('en-US').padStart(12)} ops/s`);
+}
+
+// --- run when invoked directly ---
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const codes = Number(args.codes || 100_000);
+  if (!Number.isSafeInteger(codes) || codes < 10) {
+    console.error('--codes must be an integer of at least 10');
+    process.exit(1);
+  }
+
+  const clock = createManualClock(0);
+  const hashing = args.hashed ? { secret: 'benchmark-secret-not-for-production' } : undefined;
+  const otp = createOtpStore({ clock, hashing, limits: false });
+
+  // Durations spread over the policy's range, so expiries interleave.
+  const maxDurationMs = otp.getPolicy().maxDurationMs;
+  const durationOf = (i) => 1000 + ((i * 7919) % (maxDurationMs - 1000));
+  const tenth = Math.floor(codes / 10);
+
+  console.log(`🏁 OTP store benchmark: ${codes.toLocaleString('en-US')} live codes${hashing ? ' (hashed storage)' : ''}\n`);
+
+  // Warm up the JIT on a throwaway store so the first batch is not penalised.
+  const warmup = createOtpStore({ clock, hashing, limits: false });
+  time(tenth, i => warmup.issue(FIRST_CODE + i, durationOf(i)));
+  time(tenth, i => warmup.useOnce(FIRST_CODE + i));
+
+  const firstTenth = time(tenth, i => otp.issue(FIRST_CODE + i, durationOf(i)));
+  time(codes - 2 * tenth, i => otp.issue(FIRST_CODE + tenth + i, durationOf(tenth + i)));
+  const lastTenth = time(tenth, i => otp.issue(FIRST_CODE + codes - tenth + i, durationOf(codes - tenth + i)));
+  report('issue (first 10%)', tenth, firstTenth);
+  report('issue (last 10%)', tenth, lastTenth);
+
+  report('get (live)', codes, time(codes, i => otp.get(FIRST_CODE + i)));
+  report('reissue', tenth, time(tenth, i => otp.issue(FIRST_CODE + i, maxDurationMs)));
+  report('verify unknown code', tenth, time(tenth, i => otp.useOnce(FIRST_CODE + codes + i)));
+  report('verify live code', tenth, time(tenth, i => otp.useOnce(FIRST_CODE + tenth + i)));
+
+  // Half the durations run out; each sweep pays only for what is due.
+  let expired = 0;
+  otp.on('expired', () => { expired++; });
+  clock.advance(maxDurationMs / 2);
+  const sweep = time(1, () => otp.sweep());
+  report('expire (one sweep)', expired, { ms: sweep.ms, perSecond: Math.round(expired / (sweep.ms / 1000)) });
+
+  report('issue into the expiring store', tenth, time(tenth, i => {
+    clock.advance(1);
+    otp.issue(FIRST_CODE + 2 * codes + i, durationOf(i));
+  }));
+
+  const ratio = lastTenth.ms / firstTenth.ms;
+  console.log(`\n   Live codes left: ${otp.list().length.toLocaleString('en-US')}, expired: ${expired.toLocaleString('en-US')}`);
+  console.log(`   Heap used: ${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(1)} MB`);
+  console.log(`   Issue time, last 10% vs first 10%: ${ratio.toFixed(2)}x (a scan of every code per call would grow this with the store)`);
+}
@@ -0,0 +1,168 @@
+/**
+ * Brute-Force Guard for the OTP Management System
+ *
+ * A 6-digit code space can be enumerated in minutes if wrong guesses cost
+ * nothing. This module provides the two throttles the OTP store applies to
+ * every verification attempt:
+ *
+ * - Attempt limiter: counts consecutive failures per identity (a subject or
+ *   a client such as an IP address). Reaching `maxFailures` locks the
+ *   identity; every further failure after the lock lifts doubles the lockout
+ *   (exponential back-off) up to `maxLockoutMs`. A success clears the record.
+ * - Token bucket: a global cap on verification throughput across all
+ *   identities, so spreading guesses over many subjects or clients does not
+ *   help either.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Default attempt-limiter settings
+ */
+const DEFAULT_ATTEMPT_LIMITS = {
+  maxFailures: 5,                 // Consecutive failures before the first lockout
+  lockoutMs: 30 * 1000,           // Length of the first lockout
+  maxLockoutMs: 15 * 60 * 1000,   // Cap for the doubling back-off
+  forgetAfterMs: 60 * 60 * 1000   // Idle time after which a failure record is dropped
+};
+
+// Stale records are swept at most this often so the sweep stays cheap.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Creates a per-identity failed-attempt limiter
+ *
+ * @param {Object} [options] - Overrides for DEFAULT_ATTEMPT_LIMITS
+ * @param {{ now: function(): number }} options.clock - Time source
+ * @returns {Object} Limiter with getLockout, recordFailure and recordSuccess methods
+ *
+ * @example
+ * const limiter = createAttemptLimiter({ clock: systemClock, maxFailures: 3 });
+ * limiter.recordFailure('subject:alice'); // x3
+ * limiter.getLockout('subject:alice');    // { unlocksAt, retryAfterMs }
+ */
+function createAttemptLimiter(options = {}) {
+  const settings = { ...DEFAULT_ATTEMPT_LIMITS, ...options };
+  const { clock } = settings;
+
+  // Map<identity, { failures: number, lockedUntil: number, lastFailureAt: number }>
+  const records = new Map();
+  let lastSweep = clock.now();
+
+  const sweep = (now) => {
+    if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = now;
+    for (const [identity, record] of records) {
+      if (record.lockedUntil <= now && now - record.lastFailureAt >= settings.forgetAfterMs) {
+        records.delete(identity);
+      }
+    }
+  };
+
+  /**
+   * Returns the active lockout for an identity, if any
+   * @param {string} identity - e.g. 'subject:alice@example.com' or 'client:203.0.113.7'
+   * @returns {{ unlocksAt: number, retryAfterMs: number }|null}
+   */
+  const getLockout = (identity) => {
+    const now = clock.now();
+    sweep(now);
+
+    const record = records.get(identity);
+    if (!record || record.lockedUntil <= now) return null;
+    return { unlocksAt: record.lockedUntil, retryAfterMs: record.lockedUntil - now };
+  };
+
+  /**
+   * Counts a failed attempt and locks the identity once over the limit
+   * @param {string} identity
+   * @returns {{ failures: number, unlocksAt: number|null }} unlocksAt is set when this failure caused a lockout
+   */
+  const recordFailure = (identity) => {
+    const now = clock.now();
+    const record = records.get(identity) || { failures: 0, lockedUntil: 0, lastFailureAt: now };
+
+    // Long-idle records start over rather than punishing an old typo.
+    if (now - record.lastFailureAt >= settings.forgetAfterMs) record.failures = 0;
+
+    record.failures++;
+    record.lastFailureAt = now;
+
+    let unlocksAt = null;
+    if (record.failures >= settings.maxFailures) {
+      const doublings = record.failures - settings.maxFailures;
+      const lockoutMs = Math.min(settings.lockoutMs * 2 ** doublings, settings.maxLockoutMs);
+      record.lockedUntil = now + lockoutMs;
+      unlocksAt = record.lockedUntil;
+    }
+
+    records.set(identity, record);
+    return { failures: record.failures, unlocksAt };
+  };
+
+  /**
+   * Clears the failure record after a successful attempt
+   * @param {string} identity
+   */
+  const recordSuccess = (identity) => {
+    records.delete(identity);
+  };
+
+  return { getLockout, recordFailure, recordSuccess };
+}
+
+/**
+ * Creates a token-bucket rate limiter
+ *
+ * The bucket starts full; each attempt takes one token and tokens refill
+ * continuously at `refillPerSecond`.
+ *
+ * @param {Object} options
+ * @param {number} options.capacity - Maximum burst size
+ * @param {number} options.refillPerSecond - Sustained attempts per second
+ * @param {{ now: function(): number }} options.clock - Time source
+ * @returns {Object} Bucket with retryAfterMs and take methods
+ */
+function createTokenBucket(options) {
+  const { capacity, refillPerSecond, clock } = options;
+  let tokens = capacity;
+  let updatedAt = clock.now();
+
+  const refill = () => {
+    const now = clock.now();
+    tokens = Math.min(capacity, tokens + ((now - updatedAt) / 1000) * refillPerSecond);
+    updatedAt = now;
+  };
+
+  return {
+    /**
+     * Milliseconds until a token is available (0 if one is available now)
+     * @returns {number}
+     */
+    retryAfterMs: () => {
+      refill();
+      return tokens >= 1 ? 0 : Math.ceil(((1 - tokens) / refillPerSecond) * 1000);
+    },
+
+    /**
+     * Takes a token if one is available
+     * @returns {boolean} true if the attempt may proceed
+     */
+    take: () => {
+      refill();
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    }
+  };
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createAttemptLimiter, createTokenBucket, DEFAULT_ATTEMPT_LIMITS };
+} else if (typeof window !== 'undefined') {
+  window.createAttemptLimiter = createAttemptLimiter;
+  window.createTokenBucket = createTokenBucket;
+  window.DEFAULT_ATTEMPT_LIMITS = DEFAULT_ATTEMPT_LIMITS;
+}
@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+/**
+ * OTP Command-Line Tool
+ *
+ * Lets the ops team issue, verify, list and revoke codes in a file-persisted
+ * store from a shell or script. Commands go through the routes of otpApi.js
+ * in-process, so validation, clamping and error messages are exactly those
+ * of the server and the web console.
+ *
+ * Usage:
+ *   node cli.js <command> [arguments] [options]
+ *
+ * Commands:
+ *   issue <passcode> [--duration ms] [--subject s]   Issue a code, or give a live one a new duration
+ *   issue --generate [--length n] [--alphabet a] [--duration ms] [--subject s]
+ *                                                    Issue a secure random code and print it
+ *   verify <passcode> [--subject s]                  Verify (and use up) a code
+ *   list [--subject s]                               Live codes, soonest expiry first
+ *   revoke <passcode> [--subject s]                  Cancel a live code
+ *   stats                                            Live-code counts (and audit totals with --audit)
+ *   selftest                                         Run the compliance self-test (see selfTest.js)
+ *   scenarios [file.json ...]                        Run scenario files (default: the shipped ones)
+ *                                                    against a fresh store each (see otpScenarios.js)
+ *
+ * Options:
+ *   --store   JSON Lines file holding the codes (default: ./otp-store.jsonl)
+ *   --audit   Append every action to this audit file (see auditLog.js)
+ *   --policy  OTP policy preset (default: standard)
+ *   --tenant  Storefront whose codes to use, in a store file shared by
+ *             several (see server.js --tenants)
+ *   --shared  Open the store file for use alongside other processes, such
+ *             as servers started with --shared
+ *   --json    Print the result as JSON instead of text
+ *
+ * Environment:
+ *   OTP_HASH_SECRET, OTP_PREVIOUS_HASH_SECRETS  As for server.js (with
+ *   --tenant, OTP_HASH_SECRET_<ID> and OTP_PREVIOUS_HASH_SECRETS_<ID> first)
+ *
+ * Exit codes (see EXIT_CODES): 0 success, 1 rejected or not found (a code
+ * used or revoked by an earlier run included), 2 usage error or invalid
+ * input, 3 expired, 4 used up by another process during this run (--shared).
+ * `scenarios` exits 1 when a step fails and 2 when a file is unreadable.
+ *
+ * Each run loads the store file, acts and exits, so lockouts and the reasons
+ * remembered for dead codes last for one run only. Point the tool at the file
+ * of a running server only with --shared on both sides: otherwise each
+ * process keeps its own copy in memory.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { createOtpStore } = require('./otpStore');
+const { createOtpApi } = require('./otpApi');
+const { createFileStorage, createNamespacedStorage } = require('./storageAdapters');
+const { systemClock, createManualClock } = require('./clock');
+const { createAuditLog, createFileAuditStorage } = require('./auditLog');
+const { runScenario, validateScenario, createStoreTarget, SCENARIO_FILES } = require('./otpScenarios');
+
+/**
+ * Process exit code per outcome
+ * Verification reasons a run can report map to their own codes so scripts
+ * can branch on them. A used or revoked code is deleted, and the reason is
+ * only remembered by the process that saw it, so the next run finds it
+ * unknown; a run reports already_used only when another process sharing the
+ * file uses the code while this one is verifying it. A run makes one attempt
+ * on a store without a rate limit, so it is never locked out or throttled.
+ * 5, 6 and 7 (revoked, locked, rate_limited) are left unassigned.
+ */
+const EXIT_CODES = {
+  ok: 0,
+  rejected: 1,       // Unknown code (used or revoked by an earlier run too), nothing to revoke, or any other failure
+  usage: 2,          // Bad command line or input (including invalid_format)
+  expired: 3,
+  already_used: 4    // Used up by another process between this run's read and its write (--shared)
+};
+
+const DEFAULT_STORE_FILE = './otp-store.jsonl';
+const DEFAULT_DURATION_MS = 60 * 1000; // Same default as the console's duration picker
+
+// Flags that never take a value, so `--json 123456` keeps 123456 positional.
+const BOOLEAN_FLAGS = new Set(['json', 'generate', 'help', 'shared']);
+
+const USAGE = `Usage: node cli.js <command> [arguments] [options]
+
+Commands:
+  issue <passcode> [--duration ms] [--subject s]
+  issue --generate [--length n] [--alphabet numeric|alphanumeric|unambiguous] [--duration ms] [--subject s]
+  verify <passcode> [--subject s]
+  list [--subject s]
+  revoke <passcode> [--subject s]
+  stats
+  selftest
+  scenarios [file.json ...]
+
+Options: --store <file> (default ${DEFAULT_STORE_FILE}), --audit <file>, --policy <preset>, --tenant <id>, --shared, --json`;
+
+/**
+ * Splits the command line into a command, positional arguments and flags
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{ command: string|undefined, positional: string[], flags: Object }}
+ *
+ * @example
+ * parseCommandLine(['verify', '123456', '--subject', 'alice@example.com', '--json']);
+ * // { command: 'verify', positional: ['123456'], flags: { subject: 'alice@example.com', json: true } }
+ */
+function parseCommandLine(argv) {
+  const [command, ...rest] = argv;
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    if (!rest[i].startsWith('--')) {
+      positional.push(rest[i]);
+      continue;
+    }
+    const name = rest[i].slice(2);
+    const next = rest[i + 1];
+    if (!BOOLEAN_FLAGS.has(name) && next !== undefined && !next.startsWith('--')) {
+      flags[name] = next;
+      i++;
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return { command, positional, flags };
+}
+
+/**
+ * Maps an API response to the process exit code
+ *
+ * @param {{ status: number, body: Object }} response - Result of api.handle()
+ * @returns {number} One of EXIT_CODES
+ */
+function exitCodeFor(response) {
+  if (response.status < 400) return EXIT_CODES.ok;
+  if (response.status === 400) return EXIT_CODES.usage;
+
+  const { reason } = response.body.error;
+  if (reason && EXIT_CODES[reason] !== undefined) return EXIT_CODES[reason];
+  return EXIT_CODES.rejected;
+}
+
+/**
+ * Formats milliseconds as e.g. '4m 30s'
+ *
+ * @param {number} ms - Duration
+ * @returns {string}
+ */
+function formatMs(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  const minutes = Math.floor(seconds / 60);
+  if (minutes === 0) return `${seconds}s`;
+  return seconds % 60 ? `${minutes}m ${seconds % 60}s` : `${minutes}m`;
+}
+
+/**
+ * Describes a code and its owner for text output
+ *
+ * @param {*} passcode - Passcode (null with hashed storage)
+ * @param {string|null} subject - Subject the code is bound to
+ * @returns {string} e.g. '123456 for alice@example.com'
+ */
+function describeCode(passcode, subject) {
+  return `${passcode === null ? '(hidden)' : passcode}${subject ? ` for ${subject}` : ''}`;
+}
+
+/**
+ * Builds the text report for a command's API response
+ *
+ * @param {string} command - Command that ran
+ * @param {{ status: number, body: Object }} response - Result of api.handle()
+ * @param {string} passcode - Passcode argument, for messages about it
+ * @param {string|null} subject - Subject argument
+ * @returns {string} Lines to print
+ */
+function describeResponse(command, response, passcode, subject) {
+  const { status, body } = response;
+  if (status >= 400) {
+    const reason = body.error.reason ? ` (${body.error.reason})` : '';
+    return `✗ ${body.error.message}${reason}`;
+  }
+
+  switch (command) {
+    case 'issue': {
+      const clamped = body.clamped ? ` - clamped from ${formatMs(body.requestedMs)} by the policy` : '';
+      const verb = body.existed ? 'Reissued' : 'Issued';
+      const duration = body.durationMs === undefined ? formatMs(body.remainingMs) : formatMs(body.durationMs);
+      return `✓ ${verb} ${describeCode(body.passcode, body.subject)}, valid for ${duration}${clamped}`;
+    }
+    case 'verify': {
+      const stillValid = body.spent ? '' : `, still valid for ${formatMs(body.remainingMs)}`;
+      return `✓ Accepted ${describeCode(passcode, subject)}${stillValid}`;
+    }
+    case 'revoke':
+      return `✓ Revoked ${describeCode(passcode, subject)}`;
+    case 'list':
+      if (body.otps.length === 0) return 'No live codes';
+      return body.otps.map(otp =>
+        `${String(otp.passcode === null ? '(hidden)' : otp.passcode).padEnd(14)}` +
+        `${(otp.subject || '-').padEnd(32)}${formatMs(otp.remainingMs).padStart(8)}  ${otp.uses} use(s)`
+      ).join('\n');
+    default:
+      return JSON.stringify(body);
+  }
+}
+
+/**
+ * Summarises the store (and audit trail, when one is kept)
+ *
+ * @param {Object} store - OTP store
+ * @param {Object|null} audit - Audit log, or null
+ * @returns {Object} { policy, live, bound, unbound, subjects, used, expiringWithinMinute, nextExpiryMs, audit? }
+ */
+function collectStats(store, audit) {
+  const live = store.list();
+  const subjects = new Set(live.filter(otp => otp.subject !== null).map(otp => otp.subject));
+  const stats = {
+    policy: store.getPolicy().preset,
+    live: live.length,
+    bound: live.filter(otp => otp.subject !== null).length,
+    unbound: live.filter(otp => otp.subject === null).length,
+    subjects: subjects.size,
+    used: live.filter(otp => otp.uses > 0).length,
+    expiringWithinMinute: live.filter(otp => otp.remainingMs <= 60 * 1000).length,
+    nextExpiryMs: live.length > 0 ? live[0].remainingMs : null
+  };
+
+  if (audit) {
+    const outcomes = {};
+    const rejections = {};
+    for (const entry of audit.query()) {
+      outcomes[entry.outcome] = (outcomes[entry.outcome] || 0) + 1;
+      if (entry.reason) rejections[entry.reason] = (rejections[entry.reason] || 0) + 1;
+    }
+    stats.audit = { outcomes, rejections };
+  }
+  return stats;
+}
+
+/**
+ * Renders collectStats() output as text
+ *
+ * @param {Object} stats - Result of collectStats()
+ * @returns {string}
+ */
+function describeStats(stats) {
+  const lines = [
+    `Policy:             ${stats.policy}`,
+    `Live codes:         ${stats.live} (${stats.bound} bound to ${stats.subjects} subject(s), ${stats.unbound} unbound)`,
+    `Used at least once: ${stats.used}`,
+    `Expiring within 1m: ${stats.expiringWithinMinute}`,
+    `Next expiry:        ${stats.nextExpiryMs === null ? '-' : `in ${formatMs(stats.nextExpiryMs)}`}`
+  ];
+  if (stats.audit) {
+    const counts = (map) => Object.entries(map).map(([name, count]) => `${name} ${count}`).join(', ') || '-';
+    lines.push(`Audit outcomes:     ${counts(stats.audit.outcomes)}`);
+    lines.push(`Rejection reasons:  ${counts(stats.audit.rejections)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Runs scenario files as a conformance suite, each against a fresh store
+ * on a manual clock, so waits take no real time
+ *
+ * @param {string[]} files - Scenario files; empty for the shipped ones (scenarios/)
+ * @returns {Promise<Object[]>} runScenario() results with their `file`, or
+ *   { file, ok: false, error } for files that could not be read
+ */
+async function runScenarioSuite(files) {
+  const paths = files.length > 0 ? files : SCENARIO_FILES.map(file => path.join(__dirname, 'scenarios', file));
+  const results = [];
+  for (const file of paths) {
+    let scenario;
+    try {
+      scenario = validateScenario(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+      results.push({ file, ok: false, error: error.message });
+      continue;
+    }
+    const clock = createManualClock(0);
+    const store = createOtpStore({ clock, policy: scenario.policy });
+    results.push({ file, ...(await runScenario(scenario, createStoreTarget(store, clock))) });
+  }
+  return results;
+}
+
+/**
+ * Renders runScenarioSuite() results as text, detailing failed steps
+ *
+ * @param {Object[]} results - Result of runScenarioSuite()
+ * @returns {string}
+ */
+function describeScenarioResults(results) {
+  const lines = results.flatMap((result) => {
+    if (result.error) return [`✗ ${result.file}: ${result.error}`];
+    const problems = result.steps
+      .filter(step => step.status !== 'passed')
+      .map(step => `    ${step.index}. ${step.label}: ${step.status} - ${step.message}`);
+    return [`${result.ok ? '✓' : '✗'} ${result.name} (${result.passed}/${result.steps.length} steps)`, ...problems];
+  });
+  const passed = results.filter(result => result.ok).length;
+  return [...lines, `${passed} of ${results.length} scenario(s) passed`].join('\n');
+}
+
+/**
+ * Runs one CLI invocation
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} [env=process.env] - Environment (hashing secrets)
+ * @returns {Promise<number>} Exit code (see EXIT_CODES)
+ *
+ * @example
+ * await runCli(['issue', '123456', '--duration', '60000', '--store', './otp-store.jsonl']); // 0
+ * await runCli(['verify', '123456', '--store', './otp-store.jsonl']);                       // 0, then 1 (unknown)
+ */
+async function runCli(argv, env = process.env) {
+  const { command, positional, flags } = parseCommandLine(argv);
+  const print = (textOutput, jsonOutput) => console.log(flags.json ? JSON.stringify(jsonOutput, null, 2) : textOutput);
+
+  if (!command || command === 'help' || flags.help) {
+    console.log(USAGE);
+    return command ? EXIT_CODES.ok : EXIT_CODES.usage;
+  }
+
+  if (command === 'selftest') {
+    // Required here so ordinary commands do not load the whole suite.
+    const { runSelfTest } = require('./selfTest');
+    return (await runSelfTest()) ? EXIT_CODES.ok : EXIT_CODES.rejected;
+  }
+
+  if (command === 'scenarios') {
+    const results = await runScenarioSuite(positional);
+    print(describeScenarioResults(results), results);
+    if (results.some(result => result.error)) return EXIT_CODES.usage;
+    return results.every(result => result.ok) ? EXIT_CODES.ok : EXIT_CODES.rejected;
+  }
+
+  const needsPasscode = ['verify', 'revoke'].includes(command) || (command === 'issue' && !flags.generate);
+  if (!['issue', 'verify', 'list', 'revoke', 'stats'].includes(command) || (needsPasscode && positional.length !== 1)) {
+    console.error(USAGE);
+    return EXIT_CODES.usage;
+  }
+
+  // Secrets come from the environment so they never appear in `ps` output.
+  const tenant = typeof flags.tenant === 'string' ? flags.tenant : null;
+  const hashingFromEnv = (suffix) => (env[`OTP_HASH_SECRET${suffix}`] ? {
+    secret: env[`OTP_HASH_SECRET${suffix}`],
+    previousSecrets: (env[`OTP_PREVIOUS_HASH_SECRETS${suffix}`] || '').split(',').filter(Boolean)
+  } : undefined);
+  const hashing = (tenant && hashingFromEnv(`_${tenant.toUpperCase().replace(/-/g, '_')}`)) || hashingFromEnv('');
+
+  const storeFile = typeof flags.store === 'string' ? flags.store : DEFAULT_STORE_FILE;
+  const policy = typeof flags.policy === 'string' ? flags.policy : undefined;
+  let store;
+  try {
+    const file = createFileStorage(storeFile, { shared: Boolean(flags.shared) });
+    const storage = tenant ? createNamespacedStorage(file, tenant) : file;
+    store = createOtpStore({ clock: systemClock, storage, hashing, policy });
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    return EXIT_CODES.usage;
+  }
+
+  // Attached before the first operation, so codes found expired are audited too.
+  const audit = typeof flags.audit === 'string'
+    ? createAuditLog({ storage: createFileAuditStorage(flags.audit) })
+    : null;
+  if (audit) audit.attach(store);
+
+  if (command === 'stats') {
+    const stats = collectStats(store, audit);
+    print(describeStats(stats), stats);
+    return EXIT_CODES.ok;
+  }
+
+  // The audit trail names the operator running the command.
+  const client = `cli:${env.USER || env.USERNAME || 'unknown'}`;
+  const api = createOtpApi(store, { clock: systemClock, audit });
+  const passcode = positional[0];
+  const subject = typeof flags.subject === 'string' ? flags.subject : null;
+  const subjectQuery = subject ? `?subject=${encodeURIComponent(subject)}` : '';
+  const durationMs = flags.duration === undefined ? DEFAULT_DURATION_MS : Number(flags.duration);
+
+  let request;
+  if (command === 'issue' && flags.generate) {
+    const length = flags.length === undefined ? undefined : Number(flags.length);
+    request = { method: 'POST', path: '/otp/generate', body: { durationMs, length, alphabet: flags.alphabet, subject } };
+  } else if (command === 'issue') {
+    request = { method: 'POST', path: '/otp', body: { passcode, durationMs, subject } };
+  } else if (command === 'verify') {
+    request = { method: 'POST', path: '/otp/verify', body: { passcode, subject } };
+  } else if (command === 'revoke') {
+    request = { method: 'DELETE', path: `/otp/${encodeURIComponent(passcode)}${subjectQuery}` };
+  } else {
+    request = { method: 'GET', path: `/otp${subjectQuery}` };
+  }
+
+  const response = api.handle({ ...request, client });
+  print(describeResponse(command, response, passcode, subject), response.body || { revoked: true });
+  return exitCodeFor(response);
+}
+
+// --- run when invoked directly ---
+if (require.main === module) {
+  runCli(process.argv.slice(2)).then((code) => { process.exitCode = code; });
+}
+
+module.exports = { runCli, parseCommandLine, runScenarioSuite, exitCodeFor, EXIT_CODES };
@@ -0,0 +1,110 @@
+/**
+ * Clock Sources for the OTP Management System
+ *
+ * Every time-dependent decision in the OTP store (expiry, duration caps,
+ * reissue checks) goes through a clock object exposing `now()`. Swapping the
+ * clock lets tests and demos move time forward without real sleeps.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Default clock backed by the system wall time
+ *
+ * @type {{ now: function(): number }}
+ */
+const systemClock = {
+  now: () => Date.now()
+};
+
+/**
+ * Creates a frozen clock that only moves when told to
+ *
+ * Intended for deterministic tests: time stands still between calls, so an
+ * expiry check can be asserted at exact millisecond boundaries.
+ *
+ * @param {number} [startMs=Date.now()] - Initial timestamp in milliseconds
+ * @returns {Object} Clock with now, advance and set methods
+ *
+ * @example
+ * const clock = createManualClock(0);
+ * const otp = createOtpStore({ clock });
+ * otp.issue(123456, 30000);
+ * clock.advance(30000);
+ * otp.useOnce(123456); // false (expired)
+ */
+function createManualClock(startMs = Date.now()) {
+  let current = Number(startMs) || 0;
+
+  return {
+    now: () => current,
+
+    /**
+     * Moves the clock forward
+     * @param {number} ms - Milliseconds to advance (negative values are ignored)
+     * @returns {number} The new current time
+     */
+    advance: (ms) => {
+      current += Math.max(0, Number(ms) || 0);
+      return current;
+    },
+
+    /**
+     * Jumps the clock to an absolute timestamp
+     * @param {number} ms - New current time in milliseconds
+     * @returns {number} The new current time
+     */
+    set: (ms) => {
+      current = Number(ms) || 0;
+      return current;
+    }
+  };
+}
+
+/**
+ * Creates a clock that follows real time plus an adjustable offset
+ *
+ * Used by the web console's time-travel panel: countdowns keep ticking in
+ * real time, while "fast-forward" shifts both the store and the UI at once.
+ *
+ * @param {{ now: function(): number }} [base=systemClock] - Underlying clock
+ * @returns {Object} Clock with now, advance, reset and getOffset methods
+ */
+function createOffsetClock(base = systemClock) {
+  let offset = 0;
+
+  return {
+    now: () => base.now() + offset,
+
+    /**
+     * Fast-forwards the clock
+     * @param {number} ms - Milliseconds to skip ahead (negative values are ignored)
+     * @returns {number} The accumulated offset
+     */
+    advance: (ms) => {
+      offset += Math.max(0, Number(ms) || 0);
+      return offset;
+    },
+
+    /**
+     * Returns to real time
+     * @returns {number} The accumulated offset (always 0)
+     */
+    reset: () => {
+      offset = 0;
+      return offset;
+    },
+
+    getOffset: () => offset
+  };
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { systemClock, createManualClock, createOffsetClock };
+} else if (typeof window !== 'undefined') {
+  window.systemClock = systemClock;
+  window.createManualClock = createManualClock;
+  window.createOffsetClock = createOffsetClock;
+}
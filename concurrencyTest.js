@@ -0,0 +1,254 @@
+/**
+ * OTP Concurrency Test
+ *
+ * Proves single use across processes: several worker processes open the
+ * same shared storage, wait for a common start signal and then all verify
+ * the same codes, in the same order, as fast as they can. Each code must be
+ * accepted by exactly one worker - a code accepted twice means two workers
+ * both passed the "not used yet" check, which the storage's compareAndSet
+ * (see storageAdapters.js) exists to prevent.
+ *
+ * Once the workers are open, the parent also issues codes that have already
+ * expired, so they never enter the workers' expiry indexes. After the race
+ * every worker tries them and then lists the live codes: none may be
+ * accepted or listed, and each must be announced as expired by exactly one
+ * worker.
+ *
+ * Backends:
+ * - file:  a shared JSON Lines file (createFileStorage with shared: true)
+ * - redis: the server at $OTP_REDIS_URL, or a stand-in started for the run
+ *          (see redisStandIn.js)
+ *
+ * Usage:
+ *   node concurrencyTest.js [--backend file|redis] [--workers 4] [--codes 200]
+ *
+ * Exits 0 when every code was accepted exactly once, 1 otherwise and 2 if
+ * the run could not be set up.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+
+const { createOtpStore } = require('./otpStore');
+const { createFileStorage } = require('./storageAdapters');
+const { createRedisStorage } = require('./redisStorage');
+const { createManualClock } = require('./clock');
+
+const FIRST_CODE = 10_000_000; // 8-digit codes, as in benchmark.js
+const FIRST_EXPIRED_CODE = 20_000_000; // Issued already expired, above the raced codes
+const EXPIRED_CODES = 20;
+const BACKENDS = ['file', 'redis'];
+
+/**
+ * Opens the storage every process of a run shares
+ *
+ * @param {Object} target - { backend: 'file', file } or { backend: 'redis', url, prefix }
+ * @returns {Object} Storage adapter
+ */
+const openStorage = (target) => (target.backend === 'file'
+  ? createFileStorage(target.file, { shared: true })
+  : createRedisStorage({ url: target.url, prefix: target.prefix }));
+
+/**
+ * Waits for the next message from a child process
+ *
+ * @param {ChildProcess} child - Forked process
+ * @returns {Promise<Object>} The message
+ * @throws {Error} If the child exits first
+ */
+const nextMessage = (child) => new Promise((resolve, reject) => {
+  const onExit = (code) => reject(new Error(`Worker exited with code ${code} before answering`));
+  child.once('exit', onExit);
+  child.once('message', (message) => {
+    child.off('exit', onExit);
+    resolve(message);
+  });
+});
+
+/**
+ * Starts a Redis stand-in in a child process
+ *
+ * @returns {Promise<{ url: string, stop: function(): void }>}
+ */
+const startStandIn = async () => {
+  const child = fork(path.join(__dirname, 'redisStandIn.js'), ['--port', '0'], { stdio: 'ignore' });
+  const { port } = await nextMessage(child);
+  return { url: `redis://127.0.0.1:${port}`, stop: () => child.kill() };
+};
+
+/**
+ * Races worker processes for the same codes and checks each was accepted once
+ *
+ * @param {Object} [options]
+ * @param {string} [options.backend='file'] - 'file' or 'redis'
+ * @param {number} [options.workers=4] - Worker processes
+ * @param {number} [options.codes=200] - Codes to race for
+ * @param {string} [options.url] - Redis URL (a stand-in is started when omitted)
+ * @returns {Promise<Object>} { ok, backend, workers, codes, exactlyOnce, duplicates, missing,
+ *   rejections, ms, expiry } - duplicates and missing list the offending codes; expiry is
+ *   { ok, codes, accepted, listed, announced } for the codes issued already expired
+ * @throws {RangeError} If the backend is unknown or the counts are not positive integers
+ *
+ * @example
+ * const result = await runConcurrencyTest({ backend: 'file', workers: 4, codes: 200 });
+ * result.ok; // true: 200 codes, each accepted by exactly one of the 4 workers
+ */
+async function runConcurrencyTest(options = {}) {
+  const backend = options.backend || 'file';
+  const workers = options.workers ?? 4;
+  const codes = options.codes ?? 200;
+  if (!BACKENDS.includes(backend)) throw new RangeError(`backend must be one of ${BACKENDS.join(', ')}`);
+  if (![workers, codes].every(count => Number.isSafeInteger(count) && count > 0)) {
+    throw new RangeError('workers and codes must be positive integers');
+  }
+
+  const cleanups = [];
+  const children = [];
+  try {
+    let target;
+    if (backend === 'file') {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kiwi-otp-race-'));
+      cleanups.push(() => fs.rmSync(directory, { recursive: true, force: true }));
+      target = { backend, file: path.join(directory, 'otp-store.jsonl') };
+    } else {
+      const standIn = options.url ? null : await startStandIn();
+      if (standIn) cleanups.push(standIn.stop);
+      // A fresh prefix per run, so a real server's other keys are never touched.
+      target = { backend, url: options.url || standIn.url, prefix: `kiwi-otp-race:${process.pid}:${Date.now()}:` };
+    }
+
+    const storage = openStorage(target);
+    if (storage.close) cleanups.push(storage.close);
+    const store = createOtpStore({ storage, limits: false });
+    const maxDurationMs = store.getPolicy().maxDurationMs;
+    for (let i = 0; i < codes; i++) store.issue(FIRST_CODE + i, maxDurationMs);
+    // Issued by a store whose clock runs a little more than their duration behind:
+    // a second past expiry on arrival, well within the Redis adapter's expiry margin.
+    const lateStore = createOtpStore({ storage, clock: createManualClock(Date.now() - maxDurationMs - 1000), limits: false });
+
+    // Every worker opens its store first; the race starts once all are ready.
+    for (let i = 0; i < workers; i++) {
+      const child = fork(__filename, ['--worker'], { stdio: 'inherit' });
+      children.push(child);
+      const ready = nextMessage(child);
+      child.send({ target, codes });
+      await ready;
+    }
+    for (let i = 0; i < EXPIRED_CODES; i++) lateStore.issue(FIRST_EXPIRED_CODE + i, maxDurationMs);
+
+    const started = Date.now();
+    const results = await Promise.all(children.map((child) => {
+      const result = nextMessage(child);
+      child.send({ go: true });
+      return result;
+    }));
+    const ms = Date.now() - started;
+
+    const acceptedBy = new Array(codes).fill(0);
+    const rejections = {};
+    for (const result of results) {
+      result.accepted.forEach((code) => { acceptedBy[code - FIRST_CODE]++; });
+      for (const [reason, count] of Object.entries(result.rejections)) rejections[reason] = (rejections[reason] || 0) + count;
+    }
+    const codesWhere = (test) => acceptedBy.flatMap((count, i) => (test(count) ? [FIRST_CODE + i] : []));
+    const duplicates = codesWhere(count => count > 1);
+    const missing = codesWhere(count => count === 0);
+
+    const total = (field) => results.reduce((sum, result) => sum + result.expiry[field], 0);
+    const expiry = { codes: EXPIRED_CODES, accepted: total('accepted'), listed: total('listed'), announced: total('announced') };
+    expiry.ok = expiry.accepted === 0 && expiry.listed === 0 && expiry.announced === EXPIRED_CODES;
+
+    return {
+      ok: duplicates.length === 0 && missing.length === 0 && expiry.ok,
+      backend,
+      workers,
+      codes,
+      exactlyOnce: codes - duplicates.length - missing.length,
+      duplicates,
+      missing,
+      rejections,
+      ms,
+      expiry
+    };
+  } finally {
+    children.forEach(child => child.connected && child.disconnect());
+    cleanups.reverse().forEach(cleanup => cleanup());
+  }
+}
+
+/**
+ * Worker process: opens the shared store, then verifies every code on "go",
+ * followed by the codes issued already expired
+ *
+ * @private
+ */
+const runWorker = () => {
+  process.once('message', ({ target, codes }) => {
+    const storage = openStorage(target);
+    const store = createOtpStore({ storage, limits: false });
+
+    process.once('message', () => {
+      const accepted = [];
+      const rejections = {};
+      for (let i = 0; i < codes; i++) {
+        const result = store.verify(FIRST_CODE + i);
+        if (result.ok) accepted.push(FIRST_CODE + i);
+        else rejections[result.reason] = (rejections[result.reason] || 0) + 1;
+      }
+
+      const expiry = { accepted: 0, listed: 0, announced: 0 };
+      store.on('expired', () => { expiry.announced++; });
+      for (let i = 0; i < EXPIRED_CODES; i++) {
+        if (store.verify(FIRST_EXPIRED_CODE + i).ok) expiry.accepted++;
+      }
+      expiry.listed = store.list().filter(otp => otp.passcode >= FIRST_EXPIRED_CODE).length;
+
+      if (storage.close) storage.close();
+      process.send({ accepted, rejections, expiry }, () => process.disconnect());
+    });
+    process.send({ ready: true });
+  });
+};
+
+// --- run when invoked directly ---
+if (require.main === module) {
+  if (process.argv[2] === '--worker') {
+    runWorker();
+  } else {
+    const { parseArgs } = require('./server');
+    const args = parseArgs(process.argv.slice(2));
+    const options = {
+      backend: typeof args.backend === 'string' ? args.backend : 'file',
+      workers: Number(args.workers ?? 4),
+      codes: Number(args.codes ?? 200),
+      url: process.env.OTP_REDIS_URL
+    };
+
+    const where = options.backend === 'redis' ? (options.url ? 'Redis' : 'Redis stand-in') : 'shared file';
+    console.log(`🏁 Concurrency test: ${options.workers} workers racing for ${options.codes} codes (${where})\n`);
+    runConcurrencyTest(options).then((result) => {
+      const rejections = Object.entries(result.rejections).map(([reason, count]) => `${reason} ${count}`).join(', ');
+      console.log(`   Accepted exactly once:  ${result.exactlyOnce}/${result.codes}`);
+      console.log(`   Accepted more than once: ${result.duplicates.length}${result.duplicates.length ? ` (${result.duplicates.slice(0, 10).join(', ')})` : ''}`);
+      console.log(`   Never accepted:          ${result.missing.length}${result.missing.length ? ` (${result.missing.slice(0, 10).join(', ')})` : ''}`);
+      console.log(`   Rejections:              ${rejections || 'none'}`);
+      console.log(`   Race took ${result.ms} ms`);
+      const { expiry } = result;
+      console.log(`   Issued already expired:  ${expiry.codes}, accepted ${expiry.accepted}, listed ${expiry.listed}, announced ${expiry.announced} time(s)\n`);
+      console.log(result.ok
+        ? '✅ Every code was accepted exactly once, and expired codes were refused and announced once'
+        : '❌ Single use or expiry was broken');
+      process.exitCode = result.ok ? 0 : 1;
+    }, (error) => {
+      console.error(`✗ ${error.message}`);
+      process.exitCode = 2;
+    });
+  }
+}
+
+module.exports = { runConcurrencyTest };
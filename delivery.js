@@ -0,0 +1,569 @@
+/**
+ * Passcode Delivery for the OTP Management System
+ *
+ * Gets an issued code to the customer. A delivery service attached to an OTP
+ * store renders a message from a template for every issued (or reissued)
+ * code and hands it to the channel that matches the code's subject: email
+ * addresses go to the email channel, phone numbers to the SMS channel.
+ * Unbound codes and other subjects have no recipient and are skipped.
+ *
+ * Channels are plain objects with a `send(message)` method returning a
+ * promise; this module provides an SMTP sender and an SMS gateway adapter
+ * (Node.js only) and an outbox stand-in for development. Failed sends are
+ * retried with exponential back-off unless the channel marks the error as
+ * permanent (`error.permanent = true`, e.g. a rejected address).
+ *
+ * Delivery status is kept in memory while the code is live:
+ * { id, state, channel, to, attempts, error } with state one of
+ * DELIVERY_STATES.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Delivery states
+ * - sending:  an attempt is in flight
+ * - retrying: the last attempt failed; another is scheduled
+ * - sent:     the channel accepted the message
+ * - failed:   every attempt failed, or the failure was permanent
+ * - skipped:  no recipient or no channel for it
+ */
+const DELIVERY_STATES = ['sending', 'retrying', 'sent', 'failed', 'skipped'];
+
+const DEFAULT_BRAND = 'Kiwi Sports Apparel';
+
+/**
+ * Default message templates
+ * Placeholders: {{brand}}, {{code}}, {{expiry}} (e.g. '5 minutes').
+ */
+const DEFAULT_MESSAGE_TEMPLATES = {
+  email: {
+    subject: 'Your {{brand}} verification code',
+    text: 'Your {{brand}} verification code is {{code}}.\n\n' +
+      'It expires in {{expiry}} and can only be used once. ' +
+      'If you did not ask for a code, you can ignore this email.\n\n' +
+      '{{brand}} will never ask you for this code.'
+  },
+  sms: {
+    text: '{{brand}}: your verification code is {{code}}. It expires in {{expiry}}. Never share it.'
+  }
+};
+
+const TEMPLATE_PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Formats a duration in words for customer-facing messages
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. '5 minutes', '1 minute 30 seconds', '45 seconds'
+ *
+ * @example
+ * formatDurationWords(90000); // '1 minute 30 seconds'
+ */
+function formatDurationWords(ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const parts = [
+    [Math.floor(totalSeconds / 3600), 'hour'],
+    [Math.floor((totalSeconds % 3600) / 60), 'minute'],
+    [totalSeconds % 60, 'second']
+  ].filter(([count]) => count > 0);
+
+  if (parts.length === 0) return '0 seconds';
+  return parts.map(([count, unit]) => `${count} ${unit}${count === 1 ? '' : 's'}`).join(' ');
+}
+
+/**
+ * Fills a template's {{placeholders}}
+ *
+ * @param {string} template - Template text
+ * @param {Object<string, string>} values - Placeholder values
+ * @returns {string} Rendered text
+ * @throws {TypeError} If the template uses a placeholder without a value
+ *
+ * @example
+ * renderTemplate('{{brand}} code: {{code}}', { brand: 'Kiwi', code: '123456' }); // 'Kiwi code: 123456'
+ */
+function renderTemplate(template, values) {
+  return String(template).replace(TEMPLATE_PLACEHOLDER, (placeholder, name) => {
+    if (!Object.prototype.hasOwnProperty.call(values, name)) {
+      throw new TypeError(`Unknown template placeholder ${placeholder}`);
+    }
+    return values[name];
+  });
+}
+
+/**
+ * Works out where a code for a subject should be delivered
+ *
+ * @param {string|null} subject - Subject the code is bound to
+ * @returns {{ channel: 'email'|'sms', to: string }|null} null when the subject is not an address
+ *
+ * @example
+ * routeRecipient('alice@example.com'); // { channel: 'email', to: 'alice@example.com' }
+ * routeRecipient('+64 21 555 0123');   // { channel: 'sms', to: '+64215550123' }
+ * routeRecipient('session-42');        // null
+ */
+function routeRecipient(subject) {
+  if (typeof subject !== 'string') return null;
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(subject)) return { channel: 'email', to: subject };
+
+  // Phone numbers: 7-15 digits (E.164), with the usual separators allowed.
+  if (/^\+?[\d\s().-]+$/.test(subject)) {
+    const digits = subject.replace(/\D/g, '');
+    if (digits.length >= 7 && digits.length <= 15) {
+      return { channel: 'sms', to: `${subject.trim().startsWith('+') ? '+' : ''}${digits}` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Creates an outbox channel that records messages instead of sending them
+ * For development and demos: every message is kept in memory (most recent
+ * `maxMessages`), logged to the console, and appended as JSON Lines to
+ * `file` when one is given (Node.js only).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.file] - Append messages to this file
+ * @param {boolean} [options.log=true] - Log each message to the console
+ * @param {number} [options.maxMessages=100] - Messages kept in memory
+ * @returns {{ send: function(Object): Promise<void>, list: function(): Object[] }}
+ *
+ * @example
+ * const outbox = createOutboxChannel({ file: './otp-outbox.jsonl' });
+ * createDeliveryService({ channels: { email: outbox, sms: outbox } });
+ */
+function createOutboxChannel(options = {}) {
+  const fs = options.file ? require('fs') : null;
+  const log = options.log !== false;
+  const maxMessages = options.maxMessages || 100;
+  const messages = [];
+
+  const send = async (message) => {
+    const record = { at: new Date().toISOString(), ...message };
+    messages.push(record);
+    if (messages.length > maxMessages) messages.shift();
+    if (fs) fs.appendFileSync(options.file, JSON.stringify(record) + '\n');
+    if (log) console.info(`📨 [outbox] ${message.channel} to ${message.to}: ${message.text}`);
+  };
+
+  return { send, list: () => messages.slice() };
+}
+
+/**
+ * Creates an SMS channel that posts to an HTTP gateway
+ * Sends `{ to, from, text }` as JSON with a bearer token. Gateways that
+ * expect another payload need their own channel (any `send(message)` works).
+ * 4xx answers other than 408 and 429 are permanent; the rest are retried.
+ *
+ * @param {Object} options
+ * @param {string} options.url - Gateway endpoint
+ * @param {string} [options.token] - Bearer token
+ * @param {string} [options.from] - Sender id or number
+ * @param {number} [options.timeoutMs=10000] - Give up on a request after this long
+ * @param {Function} [options.fetch=globalThis.fetch] - fetch implementation
+ * @returns {{ send: function(Object): Promise<void> }}
+ * @throws {TypeError} If no url is given
+ *
+ * @example
+ * createSmsGatewayChannel({ url: 'https://sms.example.com/messages', token: process.env.OTP_SMS_TOKEN, from: 'KIWI' });
+ */
+function createSmsGatewayChannel(options = {}) {
+  if (!options.url) throw new TypeError('SMS gateway channel needs a url');
+  const fetchImpl = options.fetch || globalThis.fetch;
+  const timeoutMs = options.timeoutMs || 10000;
+
+  const send = async (message) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let response;
+    try {
+      response = await fetchImpl(options.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(options.token ? { Authorization: `Bearer ${options.token}` } : {})
+        },
+        body: JSON.stringify({ to: message.to, from: options.from, text: message.text }),
+        signal: controller.signal
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      const error = new Error(`SMS gateway answered ${response.status}`);
+      error.permanent = response.status >= 400 && response.status < 500 &&
+        response.status !== 408 && response.status !== 429;
+      throw error;
+    }
+  };
+
+  return { send };
+}
+
+/**
+ * Creates an email channel that talks SMTP directly (Node.js only)
+ * Uses implicit TLS when `secure` is set (port 465), otherwise upgrades with
+ * STARTTLS when the server offers it. Credentials are never sent over an
+ * unencrypted connection. 5xx replies are permanent; the rest are retried.
+ *
+ * @param {Object} options
+ * @param {string} options.host - SMTP server
+ * @param {number} [options.port] - Defaults to 465 with `secure`, else 587
+ * @param {boolean} [options.secure=false] - Connect with TLS from the start
+ * @param {string} options.from - Sender address
+ * @param {{ user: string, pass: string }} [options.auth] - AUTH PLAIN credentials
+ * @param {number} [options.timeoutMs=15000] - Give up on a silent server after this long
+ * @param {Object} [options.tls] - Extra options for tls.connect (e.g. { rejectUnauthorized: false } for a dev relay)
+ * @returns {{ send: function(Object): Promise<void> }}
+ * @throws {TypeError} If host or from is missing
+ *
+ * @example
+ * createSmtpChannel({ host: 'smtp.example.com', from: 'no-reply@kiwisports.example', auth: { user, pass } });
+ */
+function createSmtpChannel(options = {}) {
+  if (!options.host || !options.from) throw new TypeError('SMTP channel needs a host and a from address');
+  const net = require('net');
+  const tls = require('tls');
+  const os = require('os');
+  const crypto = require('crypto');
+
+  const port = options.port || (options.secure ? 465 : 587);
+  const timeoutMs = options.timeoutMs || 15000;
+
+  // Header values come from configuration and validated addresses, but a
+  // line break must never reach the wire.
+  const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ');
+  const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+  const formatMessage = (message) => {
+    const domain = options.from.split('@')[1] || os.hostname();
+    const body = Buffer.from(message.text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+      `From: ${headerValue(options.from)}`,
+      `To: ${headerValue(message.to)}`,
+      `Subject: ${encodeHeader(headerValue(message.subject || ''))}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      body
+    ].join('\r\n');
+  };
+
+  // Reads SMTP replies (possibly multi-line) off a socket, one per call.
+  const replyReader = (socket) => {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+    let failure = null;
+
+    const settle = () => {
+      while (waiting.length > 0 && (replies.length > 0 || failure)) {
+        const { resolve, reject } = waiting.shift();
+        if (replies.length > 0) resolve(replies.shift());
+        else reject(failure);
+      }
+    };
+
+    const onData = (chunk) => {
+      buffer += chunk.toString('utf8');
+      let newline;
+      while ((newline = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, newline).replace(/\r$/, '');
+        buffer = buffer.slice(newline + 1);
+        lines.push(line);
+        // '250-...' continues a reply; '250 ...' ends it.
+        if (/^\d{3}(?: |$)/.test(line)) {
+          replies.push({ code: Number(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join('\n') });
+          lines = [];
+        }
+      }
+      settle();
+    };
+    const onError = (error) => {
+      failure = failure || error;
+      settle();
+    };
+    const onClose = () => onError(new Error('SMTP connection closed unexpectedly'));
+
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+
+    return {
+      next: () => new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+      }),
+      detach: () => {
+        socket.off('data', onData);
+        socket.off('error', onError);
+        socket.off('close', onClose);
+      }
+    };
+  };
+
+  const connect = () => new Promise((resolve, reject) => {
+    const socket = options.secure
+      ? tls.connect({ host: options.host, port, servername: options.host, ...options.tls }, () => resolve(socket))
+      : net.connect({ host: options.host, port }, () => resolve(socket));
+    socket.once('error', reject);
+  });
+
+  const send = async (message) => {
+    let socket = await connect();
+    const arm = (target) => target.setTimeout(timeoutMs, () => target.destroy(new Error('SMTP server timed out')));
+    arm(socket);
+    let reader = replyReader(socket);
+    let encrypted = Boolean(options.secure);
+
+    const expect = async (codes, line) => {
+      if (line !== undefined) socket.write(`${line}\r\n`);
+      const reply = await reader.next();
+      if (!codes.includes(reply.code)) {
+        const error = new Error(`SMTP server answered ${reply.code}: ${reply.text}`);
+        error.permanent = reply.code >= 500;
+        throw error;
+      }
+      return reply;
+    };
+
+    try {
+      const hello = `EHLO ${os.hostname()}`;
+      await expect([220]);
+      let features = await expect([250], hello);
+
+      if (!encrypted && /^STARTTLS$/mi.test(features.text)) {
+        await expect([220], 'STARTTLS');
+        reader.detach();
+        socket = await new Promise((resolve, reject) => {
+          const upgraded = tls.connect({ socket, servername: options.host, ...options.tls }, () => resolve(upgraded));
+          upgraded.once('error', reject);
+        });
+        arm(socket);
+        reader = replyReader(socket);
+        encrypted = true;
+        features = await expect([250], hello);
+      }
+
+      if (options.auth) {
+        if (!encrypted) {
+          throw Object.assign(new Error('Refusing to send SMTP credentials without TLS'), { permanent: true });
+        }
+        const token = Buffer.from(`\0${options.auth.user}\0${options.auth.pass}`, 'utf8').toString('base64');
+        await expect([235], `AUTH PLAIN ${token}`);
+      }
+
+      await expect([250], `MAIL FROM:<${headerValue(options.from)}>`);
+      await expect([250, 251], `RCPT TO:<${headerValue(message.to)}>`);
+      await expect([354], 'DATA');
+      // Dot-stuffing: a line starting with '.' gets a second one.
+      await expect([250], `${formatMessage(message).replace(/^\./gm, '..')}\r\n.`);
+      socket.write('QUIT\r\n');
+    } finally {
+      reader.detach();
+      socket.end();
+    }
+  };
+
+  return { send };
+}
+
+/**
+ * Creates a delivery service
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.channels] - { email, sms } channels; a missing one skips those recipients
+ * @param {string} [options.brand='Kiwi Sports Apparel'] - Brand name for {{brand}}
+ * @param {Object} [options.templates] - { email: { subject, text }, sms: { text } } overrides
+ * @param {Object} [options.retry] - { attempts: 3, initialDelayMs: 1000 }; the delay doubles per retry
+ * @returns {Object} Delivery service with attach, deliver, status and onStatus methods
+ * @throws {TypeError} If a template uses an unknown placeholder
+ *
+ * @example
+ * const delivery = createDeliveryService({
+ *   channels: { email: createSmtpChannel({ host: 'smtp.example.com', from: 'no-reply@kiwisports.example' }) }
+ * });
+ * delivery.attach(otpStore);
+ * otpStore.issueFor('alice@example.com', 123456, 60000); // emailed: "... expires in 1 minute ..."
+ * delivery.status(id); // { id, state: 'sending', channel: 'email', to: 'alice@example.com', attempts: 0, error: null }
+ */
+function createDeliveryService(options = {}) {
+  const channels = options.channels || {};
+  const brand = options.brand || DEFAULT_BRAND;
+  const overrides = options.templates || {};
+  const templates = {
+    email: { ...DEFAULT_MESSAGE_TEMPLATES.email, ...overrides.email },
+    sms: { ...DEFAULT_MESSAGE_TEMPLATES.sms, ...overrides.sms }
+  };
+  const retry = { attempts: 3, initialDelayMs: 1000, ...options.retry };
+
+  // Catch template typos at startup rather than on the first customer.
+  const sample = { brand, code: '123456', expiry: formatDurationWords(60000) };
+  Object.values(templates).forEach(template => Object.values(template).forEach(text => renderTemplate(text, sample)));
+
+  const statuses = new Map();
+  // Each delivery holds a token; a reissue or the end of the code replaces
+  // or removes it, which tells in-flight attempts and retries to stop.
+  const current = new Map();
+  const listeners = new Set();
+
+  const publish = (status) => {
+    statuses.set(status.id, status);
+    for (const listener of Array.from(listeners)) {
+      try {
+        listener({ type: 'delivery', ...status });
+      } catch (error) {
+        console.error('Delivery status listener failed:', error);
+      }
+    }
+  };
+
+  const forget = (id) => {
+    current.delete(id);
+    statuses.delete(id);
+  };
+
+  const compose = (route, event) => {
+    const values = { brand, code: String(event.passcode), expiry: formatDurationWords(event.durationMs) };
+    const template = templates[route.channel];
+    return {
+      channel: route.channel,
+      to: route.to,
+      ...(template.subject !== undefined ? { subject: renderTemplate(template.subject, values) } : {}),
+      text: renderTemplate(template.text, values)
+    };
+  };
+
+  const wait = (ms) => new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    if (typeof timer.unref === 'function') timer.unref();
+  });
+
+  /**
+   * Delivers the code of an issued or reissued event
+   * The first status is recorded at once, so the issuing call can report it,
+   * but announced only once every store listener has seen the event: status
+   * updates never overtake the issue itself.
+   * @param {Object} event - Store event with id, subject, passcode and durationMs
+   * @returns {Promise<Object|null>} Final status (sent, failed or skipped), or
+   *   null if the code was reissued or ended meanwhile
+   */
+  const deliver = async (event) => {
+    const token = {};
+    current.set(event.id, token);
+    const stale = () => current.get(event.id) !== token;
+
+    const route = routeRecipient(event.subject);
+    const channel = route && channels[route.channel];
+    const base = { id: event.id, channel: route ? route.channel : null, to: route ? route.to : null };
+    const first = channel
+      ? { ...base, state: 'sending', attempts: 0, error: null }
+      : { ...base, state: 'skipped', attempts: 0, error: route ? `No ${route.channel} channel configured` : 'Subject is not an email address or phone number' };
+    statuses.set(event.id, first);
+
+    await Promise.resolve();
+    if (stale()) return null;
+    publish(first);
+    if (!channel) return status(event.id);
+
+    const message = compose(route, event);
+    let attempts = 0;
+    let error = null;
+    for (;;) {
+      if (attempts > 0) publish({ ...base, state: 'sending', attempts, error });
+      attempts++;
+      try {
+        await channel.send(message);
+        if (stale()) return null;
+        publish({ ...base, state: 'sent', attempts, error: null });
+        return status(event.id);
+      } catch (failure) {
+        if (stale()) return null;
+        error = failure.message;
+        if (failure.permanent || attempts >= retry.attempts) break;
+        publish({ ...base, state: 'retrying', attempts, error });
+        await wait(retry.initialDelayMs * 2 ** (attempts - 1));
+        if (stale()) return null;
+      }
+    }
+
+    console.error(`OTP delivery to ${route.to} failed: ${error}`);
+    publish({ ...base, state: 'failed', attempts, error });
+    return status(event.id);
+  };
+
+  /**
+   * Delivers every code the store issues, until detached
+   * @param {Object} store - Instance returned by createOtpStore()
+   * @returns {function(): void} Detach function
+   */
+  const attach = (store) => {
+    const onIssue = (event) => {
+      if (event.previousId) forget(event.previousId);
+      deliver(event);
+    };
+    const unsubscribers = [
+      store.on('issued', onIssue),
+      store.on('reissued', onIssue),
+      store.on('consumed', (event) => { if (event.spent) forget(event.id); }),
+      store.on('revoked', (event) => forget(event.id)),
+      store.on('expired', (event) => forget(event.id))
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  };
+
+  /**
+   * Returns the delivery status of a live code
+   * @param {string} id - Code id (as in store events and list())
+   * @returns {Object|null} { id, state, channel, to, attempts, error }, or null if none
+   */
+  const status = (id) => {
+    const found = statuses.get(id);
+    return found ? { ...found } : null;
+  };
+
+  /**
+   * Subscribes to status changes
+   * @param {function(Object): void} listener - Called with { type: 'delivery', ...status }
+   * @returns {function(): void} Unsubscribe function
+   */
+  const onStatus = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { attach, deliver, status, onStatus };
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createDeliveryService,
+    createOutboxChannel,
+    createSmsGatewayChannel,
+    createSmtpChannel,
+    formatDurationWords,
+    renderTemplate,
+    routeRecipient,
+    DEFAULT_MESSAGE_TEMPLATES,
+    DELIVERY_STATES
+  };
+} else if (typeof window !== 'undefined') {
+  window.createDeliveryService = createDeliveryService;
+  window.createOutboxChannel = createOutboxChannel;
+  window.createSmsGatewayChannel = createSmsGatewayChannel;
+  window.formatDurationWords = formatDurationWords;
+  window.renderTemplate = renderTemplate;
+  window.routeRecipient = routeRecipient;
+  window.DEFAULT_MESSAGE_TEMPLATES = DEFAULT_MESSAGE_TEMPLATES;
+  window.DELIVERY_STATES = DELIVERY_STATES;
+}
@@ -0,0 +1,114 @@
+/**
+ * Expiry Index for the OTP Management System
+ *
+ * A binary min-heap of (key, expiresAt) pairs ordered by expiry, so the
+ * store can find what has expired without scanning every live code: each
+ * sweep pops only the entries that are due, O(log n) apiece.
+ *
+ * The index never updates or removes pairs in place. When a code's expiry
+ * changes (reissue, extend, grace period) or it is deleted early (use,
+ * revoke), the store simply adds the new pair; outdated pairs are recognised
+ * and skipped when they reach the top, because their expiresAt no longer
+ * matches the stored entry. Outdated pairs live at most as long as the
+ * longest duration the policy allows.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Creates an empty expiry index
+ *
+ * @returns {Object} Index with add, peek, pop, size and clear methods
+ *
+ * @example
+ * const index = createExpiryIndex();
+ * index.add('123456', 30000);
+ * index.add('654321', 10000);
+ * index.peek(); // { key: '654321', expiresAt: 10000 }
+ */
+function createExpiryIndex() {
+  // heap[0] expires first; the children of i are 2i+1 and 2i+2.
+  const heap = [];
+
+  const swap = (i, j) => {
+    const held = heap[i];
+    heap[i] = heap[j];
+    heap[j] = held;
+  };
+
+  const siftUp = (i) => {
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].expiresAt <= heap[i].expiresAt) return;
+      swap(i, parent);
+      i = parent;
+    }
+  };
+
+  const siftDown = (i) => {
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left].expiresAt < heap[smallest].expiresAt) smallest = left;
+      if (right < heap.length && heap[right].expiresAt < heap[smallest].expiresAt) smallest = right;
+      if (smallest === i) return;
+      swap(i, smallest);
+      i = smallest;
+    }
+  };
+
+  /**
+   * Records that a key expires at a given time
+   * @param {*} key - Storage key of the code
+   * @param {number} expiresAt - Expiry (ms since epoch, store clock)
+   */
+  const add = (key, expiresAt) => {
+    heap.push({ key, expiresAt });
+    siftUp(heap.length - 1);
+  };
+
+  /**
+   * Returns the pair that expires first without removing it
+   * @returns {{ key: *, expiresAt: number }|undefined}
+   */
+  const peek = () => heap[0];
+
+  /**
+   * Removes and returns the pair that expires first
+   * @returns {{ key: *, expiresAt: number }|undefined}
+   */
+  const pop = () => {
+    if (heap.length === 0) return undefined;
+    const first = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      siftDown(0);
+    }
+    return first;
+  };
+
+  /**
+   * Number of pairs held, outdated ones included
+   * @returns {number}
+   */
+  const size = () => heap.length;
+
+  /**
+   * Removes every pair
+   */
+  const clear = () => {
+    heap.length = 0;
+  };
+
+  return { add, peek, pop, size, clear };
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createExpiryIndex };
+} else if (typeof window !== 'undefined') {
+  window.createExpiryIndex = createExpiryIndex;
+}
@@ -0,0 +1,284 @@
+/**
+ * Login Links for the OTP Management System
+ *
+ * An alternative to typing a code: when a code is issued with a link, the
+ * customer gets a one-time login URL - and the console a QR code of it (see
+ * qrCode.js) - that signs them in with a tap or a scan.
+ *
+ * The link carries the code itself, the customer it is bound to and when
+ * it expires, signed with HMAC-SHA256 so it cannot be altered or forged.
+ * Redeeming it (POST /otp/redeem, see otpApi.js) checks the signature and
+ * then verifies the code through the store like any typed code, so the
+ * single-use rule, expiry, revocation, lockouts and audit trail all apply.
+ * A link is therefore exactly as secret as its code, and never outlives the
+ * expiry the code had when the link was made.
+ *
+ * Link URL: <baseUrl>?login=<token>[&tenant=<id>]
+ * Token:    base64url(JSON { p: passcode, s: subject, e: expiresAt, t: tenant }) "." base64url(MAC)
+ *
+ * Secrets can be rotated like hashing secrets: links are signed with the
+ * current secret and accepted under previous ones until they expire. Node
+ * uses its crypto module; the browser (offline mode) uses the small
+ * synchronous SHA-256 below, since SubtleCrypto is async-only.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+const linkDeps = typeof require !== 'undefined' ? require('./clock') : window;
+
+// Prefixed to every signed payload so a link MAC can never be mistaken for
+// any other HMAC made with the same secret.
+const LOGIN_LINK_CONTEXT = 'kiwi-otp-login-link:v1:';
+
+// SHA-256 round constants (first 32 bits of the cube roots of the first 64 primes).
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * SHA-256 digest (browser fallback for hmacSha256)
+ *
+ * @private
+ * @param {Uint8Array} message - Bytes to hash
+ * @returns {Uint8Array} 32-byte digest
+ */
+const sha256 = (message) => {
+  const padded = new Uint8Array((((message.length + 8) >> 6) + 1) * 64);
+  padded.set(message);
+  padded[message.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(message.length / 0x20000000));
+  view.setUint32(padded.length - 4, (message.length * 8) >>> 0);
+
+  const rotate = (x, n) => (x >>> n) | (x << (32 - n));
+  const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const w = new Uint32Array(64);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotate(w[i - 15], 7) ^ rotate(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotate(w[i - 2], 17) ^ rotate(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (hh + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) >>> 0;
+      const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+      hh = g;
+      g = f;
+      f = e;
+      e = (d + t1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) >>> 0;
+    }
+    [a, b, c, d, e, f, g, hh].forEach((word, i) => {
+      h[i] = (h[i] + word) >>> 0;
+    });
+  }
+
+  const digest = new Uint8Array(32);
+  const out = new DataView(digest.buffer);
+  h.forEach((word, i) => out.setUint32(i * 4, word));
+  return digest;
+};
+
+/**
+ * HMAC-SHA256 (RFC 2104)
+ *
+ * @param {string|Uint8Array} key - Secret (strings are UTF-8 encoded)
+ * @param {string|Uint8Array} message - Message (strings are UTF-8 encoded)
+ * @returns {Uint8Array} 32-byte MAC
+ *
+ * @example
+ * hmacSha256('secret', 'payload').length; // 32
+ */
+function hmacSha256(key, message) {
+  const keyBytes = typeof key === 'string' ? new TextEncoder().encode(key) : key;
+  const messageBytes = typeof message === 'string' ? new TextEncoder().encode(message) : message;
+  if (typeof require !== 'undefined') {
+    return new Uint8Array(require('crypto').createHmac('sha256', keyBytes).update(messageBytes).digest());
+  }
+
+  const block = new Uint8Array(64);
+  block.set(keyBytes.length > 64 ? sha256(keyBytes) : keyBytes);
+  const inner = new Uint8Array(64 + messageBytes.length);
+  const outer = new Uint8Array(64 + 32);
+  for (let i = 0; i < 64; i++) {
+    inner[i] = block[i] ^ 0x36;
+    outer[i] = block[i] ^ 0x5c;
+  }
+  inner.set(messageBytes, 64);
+  outer.set(sha256(inner), 64);
+  return sha256(outer);
+}
+
+/**
+ * Encodes bytes as unpadded base64url (RFC 4648 section 5)
+ *
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string} URL-safe text (A-Z, a-z, 0-9, -, _)
+ */
+function base64UrlEncode(bytes) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = ((buffer << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 6) {
+      output += alphabet[(buffer >>> (bits - 6)) & 63];
+      bits -= 6;
+    }
+  }
+  if (bits > 0) output += alphabet[(buffer << (6 - bits)) & 63];
+  return output;
+}
+
+/**
+ * Decodes unpadded base64url
+ *
+ * @param {string} text - base64url text
+ * @returns {Uint8Array|null} Decoded bytes, or null if the text is not base64url
+ */
+function base64UrlDecode(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text) || text.length % 4 === 1) return null;
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text) {
+    buffer = ((buffer << 6) | alphabet.indexOf(char)) & 0xffff;
+    bits += 6;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Generates a random secret for signing links
+ *
+ * @param {number} [bytes=32] - Secret length in bytes
+ * @returns {string} base64url secret
+ */
+function generateLinkSecret(bytes = 32) {
+  const secret = new Uint8Array(bytes);
+  if (typeof require !== 'undefined') {
+    secret.set(require('crypto').randomBytes(bytes));
+  } else {
+    window.crypto.getRandomValues(secret);
+  }
+  return base64UrlEncode(secret);
+}
+
+/**
+ * Creates a signer and reader of one-time login links
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Current signing secret (see generateLinkSecret)
+ * @param {string[]} [options.previousSecrets=[]] - Retired secrets whose links are still accepted
+ * @param {string} [options.baseUrl='/'] - Page that redeems links: the console, or an absolute
+ *   URL so links work outside it (in messages, QR codes on other screens)
+ * @param {string} [options.tenant] - Storefront the links belong to; a link is only accepted
+ *   by the storefront that made it, and its URL says which one to redeem it at
+ * @param {{ now: function(): number }} [options.clock] - Time source; pass the store's clock
+ * @returns {{ create: function(Object): Object, read: function(string): Object }}
+ * @throws {Error} If no secret is configured
+ *
+ * @example
+ * const links = createLoginLinks({ secret: process.env.OTP_LINK_SECRET, baseUrl: 'https://otp.kiwi.example/' });
+ * const { url } = links.create({ passcode: 123456, subject: 'alice@example.com', expiresAt });
+ * // 'https://otp.kiwi.example/?login=eyJwIjoxMjM0NTYs...'
+ * links.read(token); // { ok: true, passcode: 123456, subject: 'alice@example.com', expiresAt }
+ */
+function createLoginLinks(options = {}) {
+  if (!options.secret) {
+    throw new Error('Login links require a signing secret');
+  }
+
+  const secrets = [options.secret, ...(options.previousSecrets || [])];
+  const baseUrl = options.baseUrl || '/';
+  const tenant = options.tenant || null;
+  const clock = options.clock || linkDeps.systemClock;
+
+  const sign = (secret, payload) => base64UrlEncode(hmacSha256(secret, LOGIN_LINK_CONTEXT + payload));
+
+  // Constant-time comparison, so response timing says nothing about a MAC.
+  const macsMatch = (expected, presented) => {
+    if (expected.length !== presented.length) return false;
+    let difference = 0;
+    for (let i = 0; i < expected.length; i++) difference |= expected.charCodeAt(i) ^ presented.charCodeAt(i);
+    return difference === 0;
+  };
+
+  /**
+   * Signs a link for an issued code
+   *
+   * @param {Object} code
+   * @param {number|string} code.passcode - The issued code
+   * @param {string|null} [code.subject] - Customer the code is bound to
+   * @param {number} code.expiresAt - When the code expires (epoch ms)
+   * @returns {{ url: string, token: string, expiresAt: number }}
+   */
+  const create = ({ passcode, subject = null, expiresAt }) => {
+    const fields = { p: passcode, s: subject, e: expiresAt, ...(tenant ? { t: tenant } : {}) };
+    const payload = base64UrlEncode(new TextEncoder().encode(JSON.stringify(fields)));
+    const token = `${payload}.${sign(secrets[0], payload)}`;
+    const separator = baseUrl.includes('?') ? '&' : '?';
+    const tenantPart = tenant ? `&tenant=${encodeURIComponent(tenant)}` : '';
+    return { url: `${baseUrl}${separator}login=${token}${tenantPart}`, token, expiresAt };
+  };
+
+  /**
+   * Checks a link token
+   *
+   * @param {string} token - Token from a link's login parameter
+   * @returns {Object} { ok: true, passcode, subject, expiresAt } or
+   *   { ok: false, reason: 'invalid' | 'expired' } - invalid covers malformed,
+   *   altered and forged tokens and links made for another storefront
+   */
+  const read = (token) => {
+    const invalid = { ok: false, reason: 'invalid' };
+    const parts = String(token).split('.');
+    if (parts.length !== 2) return invalid;
+    const [payload, mac] = parts;
+    if (!secrets.some(secret => macsMatch(sign(secret, payload), mac))) return invalid;
+
+    let fields;
+    try {
+      fields = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+    } catch (error) {
+      return invalid;
+    }
+    if (!fields || typeof fields.e !== 'number' || (fields.t || null) !== tenant) return invalid;
+    if (clock.now() >= fields.e) return { ok: false, reason: 'expired' };
+    return { ok: true, passcode: fields.p, subject: fields.s ?? null, expiresAt: fields.e };
+  };
+
+  return { create, read };
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createLoginLinks, generateLinkSecret, hmacSha256, base64UrlEncode, base64UrlDecode };
+} else if (typeof window !== 'undefined') {
+  window.createLoginLinks = createLoginLinks;
+  window.generateLinkSecret = generateLinkSecret;
+  window.hmacSha256 = hmacSha256;
+  window.base64UrlEncode = base64UrlEncode;
+  window.base64UrlDecode = base64UrlDecode;
+}
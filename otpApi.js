@@ -0,0 +1,707 @@
+/**
+ * OTP HTTP API Routes
+ *
+ * Transport-agnostic request handler for the OTP store. server.js feeds it
+ * real HTTP requests; the web console can also call it in-process when no
+ * server is reachable (offline mode). Keeping the routes here means both
+ * paths share exactly the same validation, status codes and error shapes.
+ *
+ * Routes:
+ *   GET    /otp[?subject=]                        -> 200 { otps: [...] } live codes (operators only)
+ *   POST   /otp          { passcode, durationMs, subject?, link? } -> 201 new | 200 reissued (with clamped duration)
+ *   POST   /otp/generate { durationMs, length, alphabet, subject?, link? } -> 201 generated code
+ *   POST   /otp/batch   { rows: [{ passcode?, subject?, durationMs? }], durationMs?, length?, alphabet?, dryRun? }
+ *                                                -> 200 { issued, failed, results } one result per row
+ *   POST   /otp/verify   { passcode, subject? }   -> 200 accepted | 401 rejected | 429 locked/throttled
+ *   POST   /otp/redeem   { token }                -> same as /otp/verify, for the code a login link carries
+ *   GET    /otp/:id[?subject=]                    -> 200 details | 404 | 429 locked/throttled
+ *   DELETE /otp/:id[?subject=]                    -> 204 | 404
+ *   POST   /otp/:id/extend { extendMs, subject? } -> 200 details | 404
+ *   GET    /audit[?action=&outcome=&reason=&subject=&actor=&since=&until=&limit=] -> 200 { entries } (operators only)
+ *   POST   /tokens       { passcode?, durationMs, subject?, length?, alphabet? } -> 201 code and stateless token
+ *   POST   /tokens/verify { token, passcode, subject? } -> 200 accepted | 401 rejected
+ *   GET    /totp                                  -> 200 { accounts } enrolled staff accounts (operators only)
+ *   POST   /totp        { account, type? }        -> 201 { account, type, secret, uri, ... } (operators only)
+ *   POST   /totp/verify { account, code }         -> 200 accepted | 401 rejected | 429 locked/throttled
+ *   DELETE /totp/:account                         -> 204 | 404 (operators only)
+ *   GET    /policy                                -> 200 { policy } limits the store enforces
+ *   GET    /stats                                 -> 200 { stats } counters and time-to-redeem (see store.stats)
+ *   GET    /snapshot                              -> 200 snapshot document of the live codes (operators only)
+ *   POST   /snapshot    { snapshot, replace? }    -> 200 { restored, dropped, replaced, migratedFrom } (operators only)
+ *   GET    /health                                -> 200
+ *   GET    /dev/clock, POST /dev/clock            -> time travel (dev clocks only)
+ *
+ * `subject` binds a code to one customer (id, email or session); omit it for
+ * unbound codes. With a delivery service (see delivery.js), code details and
+ * listed codes carry a `delivery` status. With login links (see loginLinks.js),
+ * `link: true` adds a signed one-time login URL to the issue response:
+ * link: { url, token, expiresAt }. With stateless tokens (see statelessTokens.js),
+ * /tokens issues and verifies codes without the store: the token carries the
+ * code's hash, subject and expiry. Errors are always JSON: { error: { code, message } }; 401
+ * rejections add the store's reason (expired, already_used, revoked, unknown),
+ * 429 errors carry retryAfterMs (and, for lockouts, who is locked and until when).
+ *
+ * Looking a code up answers whether it exists, so GET /otp/:id counts a miss
+ * as a failed attempt and is refused while locked out, like /otp/verify.
+ * With requireOperator, the routes that hand out or replace every live code
+ * (GET /otp, /snapshot), reveal who did what (/audit) or manage staff
+ * enrollments (/totp, except verify) answer 401 operator_required unless the
+ * request is marked as an operator's.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+// Largest batch POST /otp/batch accepts; bigger imports are split by the caller.
+const MAX_BATCH_ROWS = 1000;
+
+/**
+ * Builds a JSON error response
+ *
+ * @private
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable explanation
+ * @param {Object} [details] - Extra machine-readable fields for the error object
+ * @returns {{ status: number, body: Object }}
+ */
+const apiError = (status, code, message, details) => ({
+  status,
+  body: { error: { code, message, ...details } }
+});
+
+/**
+ * Error returned whenever a passcode field fails parsePasscode
+ *
+ * @private
+ * @returns {{ status: number, body: Object }}
+ */
+const invalidPasscode = () =>
+  apiError(400, 'invalid_passcode', 'passcode must be a positive integer or alphanumeric code');
+
+/**
+ * Parses a passcode from a request body or path segment
+ * Digit-only values become integers, except with a leading zero: numeric
+ * codes never start with one, so "012345" stays a string rather than
+ * turning into the different code 12345. Generated alphanumeric codes are
+ * upper-cased so customers can type them in either case.
+ *
+ * @private
+ * @param {*} value - Raw passcode value
+ * @returns {number|string|null} Normalised passcode, or null if invalid
+ */
+const parsePasscode = (value) => {
+  if (typeof value === 'string') {
+    if (/^[1-9]\d*$/.test(value)) return parsePasscode(Number(value));
+    return /^[A-Za-z0-9]{1,32}$/.test(value) ? value.toUpperCase() : null;
+  }
+  return Number.isSafeInteger(value) && value > 0 ? value : null;
+};
+
+/**
+ * Parses an optional subject field
+ *
+ * @private
+ * @param {*} value - Raw subject value
+ * @returns {string|null|undefined} Trimmed subject, null when absent, undefined if
+ *   invalid - including blank, which would otherwise leave a code unbound
+ */
+const parseSubject = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || value.length > 254) return undefined;
+  return value.trim() || undefined;
+};
+
+/**
+ * Validates a durationMs field
+ *
+ * @private
+ * @param {*} value - Raw duration value
+ * @returns {number|null} Positive finite number, or null if invalid
+ */
+const parseDuration = (value) => {
+  const durationMs = Number(value);
+  return Number.isFinite(durationMs) && durationMs > 0 ? durationMs : null;
+};
+
+/**
+ * Creates the API request handler around an OTP store
+ *
+ * @param {Object} store - Instance returned by createOtpStore()
+ * @param {Object} [options]
+ * @param {Object} [options.clock] - The store's clock; time-travel routes are
+ *   enabled only when it supports advance() and reset() (see createOffsetClock)
+ * @param {Object} [options.audit] - Audit log attached to the store (see auditLog.js);
+ *   /audit answers 404 without one
+ * @param {Object} [options.totp] - Authenticator built on the store (see totp.js);
+ *   /totp routes answer 404 without one
+ * @param {Object} [options.delivery] - Delivery service attached to the store (see delivery.js)
+ * @param {Object} [options.links] - Login links signer (see loginLinks.js); `link: true`
+ *   and /otp/redeem answer 400 and 404 without one
+ * @param {Object} [options.tokens] - Stateless token issuer and verifier (see statelessTokens.js);
+ *   /tokens routes answer 404 without one
+ * @param {boolean} [options.requireOperator=false] - Answer GET /otp, /snapshot, /audit and /totp (except verify)
+ *   only for requests with `operator: true`; server.js sets both, in-process callers need neither
+ * @returns {{ handle: function({ method: string, path: string, body: *, client: string, operator: boolean }): { status: number, body: * } }}
+ *
+ * @example
+ * const api = createOtpApi(createOtpStore());
+ * api.handle({ method: 'POST', path: '/otp', body: { passcode: 123456, durationMs: 30000 } });
+ * // { status: 201, body: { passcode: 123456, existed: false, expiresAt: ..., remainingMs: 30000, clamped: false, ... } }
+ */
+function createOtpApi(store, options = {}) {
+  const clock = options.clock;
+  const audit = options.audit;
+  const totp = options.totp;
+  const delivery = options.delivery;
+  const links = options.links;
+  const tokens = options.tokens;
+  const requireOperator = options.requireOperator === true;
+  const timeTravel = Boolean(clock && typeof clock.advance === 'function' && typeof clock.reset === 'function');
+
+  const invalidSubject = () => apiError(400, 'invalid_subject', 'subject must be a non-blank string of at most 254 characters');
+
+  const operatorRequired = () => apiError(401, 'operator_required', 'Only operators may use this route');
+
+  // Store API scoped to the request's subject (unbound when none is given).
+  const scopeFor = (subject) => store.forSubject(subject);
+
+  // Code details plus how far its delivery has got, when codes are delivered.
+  const withDelivery = (details) => (delivery && details ? { ...details, delivery: delivery.status(details.id) } : details);
+
+  // Checked before issuing, so a request for a link never issues a code without one.
+  const linkUnavailable = (body) => (body.link === true && !links
+    ? apiError(400, 'links_unavailable', 'Login links are not configured')
+    : null);
+  // The raw code comes from the request: with hashed storage the store cannot tell it.
+  const withLink = (body, passcode, details) => (body.link === true
+    ? { ...details, link: links.create({ passcode, subject: details.subject, expiresAt: details.expiresAt }) }
+    : details);
+
+  const issue = (body, client) => {
+    const passcode = parsePasscode(body.passcode);
+    const durationMs = parseDuration(body.durationMs);
+    const subject = parseSubject(body.subject);
+    if (passcode === null) return invalidPasscode();
+    if (subject === undefined) return invalidSubject();
+    if (durationMs === null) {
+      return apiError(400, 'invalid_duration', 'durationMs must be a positive number of milliseconds');
+    }
+    const noLinks = linkUnavailable(body);
+    if (noLinks) return noLinks;
+
+    const scope = scopeFor(subject);
+    const result = scope.issueDetailed(passcode, durationMs, { client });
+    if (!result.ok) return apiError(400, 'invalid_passcode', result.message, { reason: result.reason });
+
+    const { existed, requestedMs, durationMs: appliedMs, clamped } = result;
+    const details = withLink(body, passcode, withDelivery(scope.get(passcode)));
+    return {
+      status: existed ? 200 : 201,
+      body: { ...details, existed, requestedMs, durationMs: appliedMs, clamped }
+    };
+  };
+
+  const generate = (body, client) => {
+    const durationMs = parseDuration(body.durationMs);
+    const subject = parseSubject(body.subject);
+    if (subject === undefined) return invalidSubject();
+    if (durationMs === null) {
+      return apiError(400, 'invalid_duration', 'durationMs must be a positive number of milliseconds');
+    }
+    const noLinks = linkUnavailable(body);
+    if (noLinks) return noLinks;
+
+    const scope = scopeFor(subject);
+    let passcode;
+    try {
+      passcode = scope.issueGenerated(durationMs, { length: body.length, alphabet: body.alphabet }, { client });
+    } catch (error) {
+      if (error instanceof RangeError) return apiError(400, 'invalid_generator_options', error.message);
+      return apiError(503, 'code_space_exhausted', error.message);
+    }
+    return { status: 201, body: { ...withLink(body, passcode, withDelivery(scope.get(passcode))), existed: false } };
+  };
+
+  const issueBatch = (body, client) => {
+    if (!Array.isArray(body.rows) || body.rows.length === 0 || body.rows.length > MAX_BATCH_ROWS) {
+      return apiError(400, 'invalid_batch', `rows must be an array of 1-${MAX_BATCH_ROWS} codes`);
+    }
+    const sharedMs = body.durationMs === undefined || body.durationMs === null ? undefined : parseDuration(body.durationMs);
+    if (sharedMs === null) {
+      return apiError(400, 'invalid_duration', 'durationMs must be a positive number of milliseconds');
+    }
+
+    // Rows the API cannot even parse are answered here; the store judges the rest.
+    const results = new Array(body.rows.length);
+    const parsed = [];
+    body.rows.forEach((raw, row) => {
+      const fields = raw && typeof raw === 'object' ? raw : {};
+      const blank = fields.passcode === undefined || fields.passcode === null || fields.passcode === '';
+      const passcode = blank ? null : parsePasscode(fields.passcode);
+      // An empty CSV cell means an unbound row, as for passcode and durationMs.
+      const subject = fields.subject === '' ? null : parseSubject(fields.subject);
+      const durationMs = fields.durationMs === undefined || fields.durationMs === null || fields.durationMs === ''
+        ? undefined
+        : parseDuration(fields.durationMs);
+
+      const fail = (reason, message) => {
+        results[row] = { row, ok: false, subject: subject || null, passcode: blank ? null : fields.passcode, reason, message };
+      };
+      if (!blank && passcode === null) fail('invalid_passcode', 'passcode must be a positive integer or alphanumeric code');
+      else if (subject === undefined) fail('invalid_subject', 'subject must be a non-blank string of at most 254 characters');
+      else if (durationMs === null) fail('invalid_duration', 'durationMs must be a positive number of milliseconds');
+      else parsed.push({ row, passcode, subject, durationMs });
+    });
+
+    const dryRun = body.dryRun === true;
+    const outcomes = store.issueBatch(parsed, {
+      durationMs: sharedMs,
+      generator: { length: body.length, alphabet: body.alphabet },
+      dryRun,
+      context: { client }
+    });
+    outcomes.forEach((outcome, i) => {
+      const { row } = parsed[i];
+      const details = outcome.ok && !dryRun ? withDelivery(scopeFor(outcome.subject).get(outcome.passcode)) : null;
+      results[row] = { row, ok: outcome.ok, ...details, ...outcome };
+    });
+
+    const issued = results.filter(result => result.ok).length;
+    return { status: 200, body: { dryRun, issued, failed: results.length - issued, results } };
+  };
+
+  const lockedOut = ({ scope, id, unlocksAt, retryAfterMs }) => apiError(
+    429,
+    'locked',
+    `Too many failed attempts for this ${scope === 'subject' ? 'customer' : 'client'}; try again in ${Math.ceil(retryAfterMs / 1000)}s`,
+    { scope, id, unlocksAt, retryAfterMs }
+  );
+
+  /**
+   * Maps a verification result (see the store's verifyFor) to a response
+   *
+   * @private
+   * @param {string|null} subject - Subject (or staff account) presenting the code
+   * @param {Object} context - { client }
+   * @param {Object} result - { ok, reason, ... } from the store or authenticator
+   * @param {string} rejectedCode - Error code for a 401 rejection
+   * @param {Object<string, string>} messages - 401 message per rejection reason
+   * @returns {{ status: number, body: Object }}
+   */
+  const verificationResponse = (subject, context, result, rejectedCode, messages) => {
+    if (result.ok) {
+      const { ok, reason, ...details } = result;
+      return { status: 200, body: { accepted: true, ...details } };
+    }
+
+    if (result.reason === 'locked') return lockedOut(result);
+    if (result.reason === 'rate_limited') {
+      return apiError(429, 'rate_limited', 'Too many verification attempts; slow down', { retryAfterMs: result.retryAfterMs });
+    }
+    if (result.reason === 'invalid_format') {
+      return apiError(400, 'invalid_passcode', result.message, { reason: result.reason });
+    }
+
+    // The failure that trips a lockout is reported as the lockout itself.
+    const newLockout = store.getLockout(subject, context);
+    if (newLockout) return lockedOut(newLockout);
+    return apiError(401, rejectedCode, messages[result.reason] || messages.unknown, { reason: result.reason });
+  };
+
+  // The reason is returned so operators can tell a late customer from a
+  // mistyped code. It does reveal that a code once existed for the subject;
+  // lockouts still bound how much guessing that can help.
+  const otpRejections = {
+    expired: 'Passcode has expired',
+    already_used: 'Passcode was already used',
+    revoked: 'Passcode was revoked',
+    unknown: 'Passcode is not valid'
+  };
+
+  const verify = (body, client) => {
+    const passcode = parsePasscode(body.passcode);
+    const subject = parseSubject(body.subject);
+    if (passcode === null) return invalidPasscode();
+    if (subject === undefined) return invalidSubject();
+
+    const context = { client };
+    const result = scopeFor(subject).verify(passcode, context);
+    return verificationResponse(subject, context, result, 'otp_rejected', otpRejections);
+  };
+
+  // A link only gets the code to the store: once its signature checks out,
+  // the code is verified exactly as if it had been typed.
+  const redeem = (body, client) => {
+    if (typeof body.token !== 'string' || !body.token) {
+      return apiError(400, 'invalid_token', 'token must be the login parameter of a login link');
+    }
+
+    const link = links.read(body.token);
+    if (!link.ok) {
+      return link.reason === 'expired'
+        ? apiError(401, 'otp_rejected', 'Login link has expired', { reason: 'expired' })
+        : apiError(401, 'otp_rejected', 'Login link is not valid', { reason: 'unknown' });
+    }
+
+    const context = { client };
+    const result = scopeFor(link.subject).verify(link.passcode, context);
+    return verificationResponse(link.subject, context, result, 'otp_rejected', otpRejections);
+  };
+
+  // Issued codes are never stored: the caller delivers the code and keeps the token.
+  const issueToken = (body) => {
+    const blank = body.passcode === undefined || body.passcode === null || body.passcode === '';
+    const passcode = blank ? null : parsePasscode(body.passcode);
+    const durationMs = parseDuration(body.durationMs);
+    const subject = parseSubject(body.subject);
+    if (!blank && passcode === null) return invalidPasscode();
+    if (subject === undefined) return invalidSubject();
+    if (durationMs === null) {
+      return apiError(400, 'invalid_duration', 'durationMs must be a positive number of milliseconds');
+    }
+
+    let result;
+    if (blank) {
+      try {
+        result = tokens.issueGenerated(durationMs, { length: body.length, alphabet: body.alphabet }, { subject });
+      } catch (error) {
+        return apiError(400, 'invalid_generator_options', error.message);
+      }
+    } else {
+      result = { passcode, ...tokens.issue(passcode, durationMs, { subject }) };
+    }
+    if (!result.ok) return apiError(400, 'invalid_passcode', result.message, { reason: result.reason });
+
+    const { ok, ...issued } = result;
+    return { status: 201, body: issued };
+  };
+
+  const tokenRejections = {
+    invalid: 'Token is not valid',
+    expired: 'Passcode has expired',
+    already_used: 'Passcode was already used',
+    too_many_attempts: 'Too many wrong passcodes for this token; request a new code',
+    unknown: 'Passcode is not valid'
+  };
+
+  const verifyToken = (body) => {
+    const passcode = parsePasscode(body.passcode);
+    const subject = parseSubject(body.subject);
+    if (typeof body.token !== 'string' || !body.token) {
+      return apiError(400, 'invalid_token', 'token must be the token the code was issued with');
+    }
+    if (passcode === null) return invalidPasscode();
+    if (subject === undefined) return invalidSubject();
+
+    // Without a subject the token's own binding is trusted.
+    const result = tokens.verify(body.token, passcode, subject === null ? {} : { subject });
+    if (result.ok) return { status: 200, body: { accepted: true, subject: result.subject, expiresAt: result.expiresAt } };
+    if (result.reason === 'invalid_format') {
+      return apiError(400, 'invalid_passcode', result.message, { reason: result.reason });
+    }
+    return apiError(401, 'token_rejected', tokenRejections[result.reason], { reason: result.reason });
+  };
+
+  const invalidAccount = () => apiError(400, 'invalid_account', 'account must be a non-empty string of at most 254 characters');
+
+  const listEnrollments = () => ({ status: 200, body: { accounts: totp.list() } });
+
+  const enroll = (body) => {
+    const account = parseSubject(body.account);
+    if (!account) return invalidAccount();
+    if (body.type !== undefined && body.type !== 'totp' && body.type !== 'hotp') {
+      return apiError(400, 'invalid_type', 'type must be "totp" or "hotp"');
+    }
+
+    return { status: 201, body: totp.enroll(account, { type: body.type }) };
+  };
+
+  const totpRejections = {
+    already_used: 'Code was already used',
+    unknown: 'Code is not valid for this account'
+  };
+
+  const verifyTotp = (body, client) => {
+    const account = parseSubject(body.account);
+    if (!account) return invalidAccount();
+    // Kept as a string: authenticator codes may start with 0.
+    const code = String(body.code === undefined || body.code === null ? '' : body.code).replace(/\s/g, '');
+    if (!/^\d{6,8}$/.test(code)) return apiError(400, 'invalid_code', 'code must be 6 to 8 digits');
+
+    // Unknown accounts get the same answer as wrong codes.
+    const context = { client };
+    return verificationResponse(account, context, totp.verify(account, code, context), 'totp_rejected', totpRejections);
+  };
+
+  const unenroll = (segment) => {
+    let account;
+    try {
+      account = parseSubject(decodeURIComponent(segment));
+    } catch (error) {
+      account = null;
+    }
+    if (!account) return invalidAccount();
+
+    return totp.remove(account)
+      ? { status: 204, body: null }
+      : apiError(404, 'not_found', 'No enrollment for that account');
+  };
+
+  const inspect = (id, query, client) => {
+    const passcode = parsePasscode(id);
+    const subject = parseSubject(query.get('subject'));
+    if (passcode === null) return invalidPasscode();
+    if (subject === undefined) return invalidSubject();
+
+    const result = scopeFor(subject).lookup(passcode, { client });
+    if (result.ok) return { status: 200, body: withDelivery(result.otp) };
+    if (result.reason === 'locked') return lockedOut(result);
+    if (result.reason === 'rate_limited') {
+      return apiError(429, 'rate_limited', 'Too many verification attempts; slow down', { retryAfterMs: result.retryAfterMs });
+    }
+    if (result.reason === 'invalid_format') {
+      return apiError(400, 'invalid_passcode', result.message, { reason: result.reason });
+    }
+
+    // As for verify, the miss that trips a lockout is reported as the lockout.
+    const newLockout = store.getLockout(subject, { client });
+    return newLockout ? lockedOut(newLockout) : apiError(404, 'not_found', 'No live passcode with that value');
+  };
+
+  const listLive = (query) => {
+    const subject = parseSubject(query.get('subject'));
+    if (subject === undefined) return invalidSubject();
+
+    const otps = query.has('subject') && subject !== null ? store.list({ subject }) : store.list();
+    return { status: 200, body: { otps: otps.map(withDelivery) } };
+  };
+
+  const extend = (id, body, client) => {
+    const passcode = parsePasscode(id);
+    const subject = parseSubject(body.subject);
+    const extendMs = parseDuration(body.extendMs);
+    if (passcode === null) return invalidPasscode();
+    if (subject === undefined) return invalidSubject();
+    if (extendMs === null) {
+      return apiError(400, 'invalid_duration', 'extendMs must be a positive number of milliseconds');
+    }
+
+    const details = scopeFor(subject).extend(passcode, extendMs, { client });
+    return details
+      ? { status: 200, body: details }
+      : apiError(404, 'not_found', 'No live passcode with that value');
+  };
+
+  const revoke = (id, query, client) => {
+    const passcode = parsePasscode(id);
+    const subject = parseSubject(query.get('subject'));
+    if (passcode === null) return invalidPasscode();
+    if (subject === undefined) return invalidSubject();
+
+    return scopeFor(subject).revoke(passcode, { client })
+      ? { status: 204, body: null }
+      : apiError(404, 'not_found', 'No live passcode with that value');
+  };
+
+  const auditTrail = (query) => {
+    // since/until accept ISO 8601 or milliseconds since the epoch.
+    const parseTime = (value) => {
+      if (value === null) return undefined;
+      const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+      return Number.isFinite(time) ? time : null;
+    };
+
+    const since = parseTime(query.get('since'));
+    const until = parseTime(query.get('until'));
+    if (since === null || until === null) {
+      return apiError(400, 'invalid_time', 'since and until must be ISO 8601 dates or epoch milliseconds');
+    }
+
+    const limit = query.has('limit') ? Number(query.get('limit')) : undefined;
+    if (limit !== undefined && (!Number.isSafeInteger(limit) || limit <= 0)) {
+      return apiError(400, 'invalid_limit', 'limit must be a positive integer');
+    }
+
+    const entries = audit.query({
+      action: query.get('action') || undefined,
+      outcome: query.get('outcome') || undefined,
+      reason: query.get('reason') || undefined,
+      subject: query.get('subject') || undefined,
+      actor: query.get('actor') || undefined,
+      since,
+      until,
+      limit
+    });
+    return { status: 200, body: { entries } };
+  };
+
+  // Sealed snapshots are opened by the caller: the passphrase never reaches the server.
+  const restoreSnapshot = (body, client) => {
+    if (!body.snapshot || typeof body.snapshot !== 'object') {
+      return apiError(400, 'invalid_snapshot', 'snapshot must be a snapshot document');
+    }
+    try {
+      return { status: 200, body: store.restore(body.snapshot, { replace: body.replace === true }, { client }) };
+    } catch (error) {
+      if (error instanceof TypeError || error instanceof RangeError) return apiError(400, 'invalid_snapshot', error.message);
+      throw error;
+    }
+  };
+
+  const travel = (body) => {
+    if (body.reset) {
+      clock.reset();
+    } else {
+      const advanceMs = Number(body.advanceMs);
+      if (!Number.isFinite(advanceMs) || advanceMs <= 0) {
+        return apiError(400, 'invalid_duration', 'advanceMs must be a positive number of milliseconds');
+      }
+      clock.advance(advanceMs);
+    }
+
+    // Announce codes the jump has expired now rather than on the next sweep.
+    store.sweep();
+    return { status: 200, body: { offsetMs: clock.getOffset() } };
+  };
+
+  /**
+   * Routes a single request
+   *
+   * @param {Object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - URL path, optionally with a query string
+   * @param {*} [request.body] - Parsed JSON body
+   * @param {string} [request.client] - Caller identity (e.g. remote IP) for attempt limits and events
+   * @param {boolean} [request.operator] - The caller is an operator (see options.requireOperator)
+   * @returns {{ status: number, body: * }} Response status and JSON body (null for 204)
+   */
+  const handle = ({ method, path, body, client, operator }) => {
+    const payload = body && typeof body === 'object' ? body : {};
+    const [pathname, search = ''] = path.split('?');
+    const query = new URLSearchParams(search);
+    const segments = pathname.split('/').filter(Boolean);
+
+    if (pathname === '/health') {
+      return method === 'GET'
+        ? { status: 200, body: { status: 'ok', timeTravel } }
+        : apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+    }
+
+    if (pathname === '/policy') {
+      return method === 'GET'
+        ? { status: 200, body: { policy: store.getPolicy() } }
+        : apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+    }
+
+    if (pathname === '/stats') {
+      return method === 'GET'
+        ? { status: 200, body: { stats: store.stats() } }
+        : apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+    }
+
+    if (pathname === '/snapshot') {
+      if (requireOperator && operator !== true) return operatorRequired();
+      if (method === 'GET') return { status: 200, body: store.snapshot() };
+      if (method === 'POST') return restoreSnapshot(payload, client);
+      return apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+    }
+
+    if (pathname === '/audit') {
+      if (!audit) return apiError(404, 'not_found', 'No audit log is configured');
+      if (requireOperator && operator !== true) return operatorRequired();
+      return method === 'GET'
+        ? auditTrail(query)
+        : apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+    }
+
+    if (segments[0] === 'tokens' && segments.length <= 2) {
+      if (!tokens) return apiError(404, 'not_found', 'Stateless tokens are not configured');
+      if (segments.length === 2 && segments[1] !== 'verify') return apiError(404, 'not_found', `No route for ${pathname}`);
+      if (method !== 'POST') return apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+      return segments.length === 1 ? issueToken(payload) : verifyToken(payload);
+    }
+
+    if (segments[0] === 'totp' && segments.length <= 2) {
+      if (!totp) return apiError(404, 'not_found', 'Authenticator codes are not configured');
+      // Enrolling replaces an account's secret, so only staff signing in skip the check.
+      if (segments[1] !== 'verify' && requireOperator && operator !== true) return operatorRequired();
+      if (segments.length === 1) {
+        if (method === 'GET') return listEnrollments();
+        if (method === 'POST') return enroll(payload);
+        return apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+      }
+      if (segments[1] === 'verify') {
+        return method === 'POST'
+          ? verifyTotp(payload, client)
+          : apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+      }
+      return method === 'DELETE'
+        ? unenroll(segments[1])
+        : apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+    }
+
+    if (segments[0] === 'dev' && segments[1] === 'clock' && segments.length === 2) {
+      if (!timeTravel) return apiError(404, 'not_found', 'Time travel is only available in dev mode');
+      if (method === 'GET') return { status: 200, body: { offsetMs: clock.getOffset() } };
+      if (method === 'POST') return travel(payload);
+      return apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+    }
+
+    if (segments[0] !== 'otp' || segments.length > 3) {
+      return apiError(404, 'not_found', `No route for ${pathname}`);
+    }
+
+    if (segments.length === 1) {
+      if (method === 'GET') return requireOperator && operator !== true ? operatorRequired() : listLive(query);
+      if (method === 'POST') return issue(payload, client);
+      return apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+    }
+
+    if (segments.length === 3) {
+      if (segments[2] !== 'extend') return apiError(404, 'not_found', `No route for ${pathname}`);
+      return method === 'POST'
+        ? extend(segments[1], payload, client)
+        : apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+    }
+
+    if (segments[1] === 'generate') {
+      return method === 'POST'
+        ? generate(payload, client)
+        : apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+    }
+
+    if (segments[1] === 'batch') {
+      return method === 'POST'
+        ? issueBatch(payload, client)
+        : apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+    }
+
+    if (segments[1] === 'verify') {
+      return method === 'POST'
+        ? verify(payload, client)
+        : apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+    }
+
+    if (segments[1] === 'redeem') {
+      if (!links) return apiError(404, 'not_found', 'Login links are not configured');
+      return method === 'POST'
+        ? redeem(payload, client)
+        : apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+    }
+
+    if (method === 'GET') return inspect(segments[1], query, client);
+    if (method === 'DELETE') return revoke(segments[1], query, client);
+    return apiError(405, 'method_not_allowed', `${method} is not supported on ${pathname}`);
+  };
+
+  return { handle };
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createOtpApi, MAX_BATCH_ROWS };
+} else if (typeof window !== 'undefined') {
+  window.createOtpApi = createOtpApi;
+  window.MAX_BATCH_ROWS = MAX_BATCH_ROWS;
+}
@@ -0,0 +1,180 @@
+/**
+ * Batch Import and Export for the OTP Management System
+ *
+ * Promotions and in-store events pre-issue hundreds of codes at once. Staff
+ * prepare them as CSV - one code per line - which parseBatchCsv() turns into
+ * rows for POST /otp/batch (see otpApi.js and store.issueBatch). The per-row
+ * results go back out as CSV through batchResultsToCsv(), ready to print or
+ * mail-merge.
+ *
+ * Input columns (header optional, any order when present):
+ *   passcode    - the code; leave blank to have one generated
+ *   subject     - customer the code is bound to (also accepted: customer, email)
+ *   durationMs  - lifetime in milliseconds; blank uses the batch's duration
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+const batchDeps = typeof require !== 'undefined' ? require('./auditLog') : window;
+
+/**
+ * Column order of batch input files without a header row
+ */
+const BATCH_CSV_FIELDS = ['passcode', 'subject', 'durationMs'];
+
+/**
+ * Column order of result files
+ */
+const BATCH_RESULT_FIELDS = ['line', 'passcode', 'subject', 'outcome', 'expiresAt', 'durationMs', 'reason', 'message'];
+
+// Header names (lower-cased) accepted for each input column.
+const BATCH_HEADER_ALIASES = {
+  passcode: 'passcode',
+  code: 'passcode',
+  subject: 'subject',
+  customer: 'subject',
+  email: 'subject',
+  durationms: 'durationMs',
+  duration_ms: 'durationMs'
+};
+
+/**
+ * Splits CSV text (RFC 4180) into records of cells
+ * Quoted cells may contain commas, doubled quotes and line breaks.
+ *
+ * @private
+ * @param {string} text - CSV text
+ * @returns {{ records: { line: number, cells: string[] }[], error: (Object|null) }}
+ *   Records with their 1-based starting line; error is { line, message } for an unterminated quote
+ */
+const splitCsv = (text) => {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    records.push({ line: recordLine, cells });
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) return { records, error: { line: recordLine, message: 'unterminated quoted cell' } };
+  if (cell !== '' || cells.length > 0) endRecord();
+  return { records, error: null };
+};
+
+/**
+ * Parses a batch CSV file into rows for POST /otp/batch
+ * Cells are trimmed, blank lines skipped, and the quote that csvCell() puts
+ * before formula-like text is removed again, so result files re-import as-is.
+ *
+ * @param {string} text - CSV text
+ * @returns {{ rows: Object[], errors: Object[] }} rows are { line, passcode, subject, durationMs }
+ *   (strings, blank when absent); errors are { line, message } for lines that could not be read
+ *
+ * @example
+ * parseBatchCsv('passcode,subject\n123456,alice@example.com\n,bob@example.com\n');
+ * // { rows: [{ line: 2, passcode: '123456', subject: 'alice@example.com', durationMs: '' },
+ * //          { line: 3, passcode: '', subject: 'bob@example.com', durationMs: '' }], errors: [] }
+ */
+function parseBatchCsv(text) {
+  const { records, error } = splitCsv(String(text).replace(/^﻿/, ''));
+  const errors = error ? [error] : [];
+  const unquote = (cell) => {
+    const trimmed = cell.trim();
+    return /^'[=+\-@]/.test(trimmed) ? trimmed.slice(1) : trimmed;
+  };
+
+  const filled = records.filter(record => record.cells.some(cell => cell.trim() !== ''));
+  if (filled.length === 0) return { rows: [], errors };
+
+  // A header names the columns; without one they are BATCH_CSV_FIELDS in order.
+  const headerCells = filled[0].cells.map(cell => cell.trim().toLowerCase());
+  const hasHeader = headerCells.some(cell => BATCH_HEADER_ALIASES[cell]);
+  const columns = hasHeader ? headerCells.map(cell => BATCH_HEADER_ALIASES[cell] || null) : BATCH_CSV_FIELDS;
+  if (hasHeader && !columns.includes('passcode') && !columns.includes('subject')) {
+    errors.push({ line: filled[0].line, message: 'the header needs a passcode or subject column' });
+    return { rows: [], errors };
+  }
+
+  const rows = [];
+  for (const { line, cells } of hasHeader ? filled.slice(1) : filled) {
+    if (!hasHeader && cells.length > columns.length) {
+      errors.push({ line, message: `expected at most ${columns.length} columns (${columns.join(', ')}), found ${cells.length}` });
+      continue;
+    }
+    const row = { line, passcode: '', subject: '', durationMs: '' };
+    cells.forEach((cell, i) => {
+      if (columns[i]) row[columns[i]] = unquote(cell);
+    });
+    rows.push(row);
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Serialises batch results as CSV with a header row (see BATCH_RESULT_FIELDS)
+ *
+ * @param {Object[]} results - Results from POST /otp/batch, each with the
+ *   source `line` added; rows that failed to parse may carry only line and message
+ * @returns {string} CSV text; outcome is issued, reissued or failed
+ *
+ * @example
+ * batchResultsToCsv([{ line: 2, ok: true, passcode: 123456, subject: null, existed: false, expiresAt: 1700000060000, durationMs: 60000 }]);
+ * // 'line,passcode,subject,outcome,...\r\n2,123456,,issued,2023-11-14T22:14:20.000Z,60000,,\r\n'
+ */
+function batchResultsToCsv(results) {
+  const rows = results.map((result) => {
+    const record = {
+      ...result,
+      outcome: result.ok ? (result.existed ? 'reissued' : 'issued') : 'failed',
+      expiresAt: result.ok && result.expiresAt ? new Date(result.expiresAt).toISOString() : null,
+      durationMs: result.ok ? result.durationMs : null
+    };
+    return BATCH_RESULT_FIELDS.map(field => batchDeps.csvCell(record[field])).join(',');
+  });
+  return [BATCH_RESULT_FIELDS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseBatchCsv, batchResultsToCsv, BATCH_CSV_FIELDS, BATCH_RESULT_FIELDS };
+} else if (typeof window !== 'undefined') {
+  window.parseBatchCsv = parseBatchCsv;
+  window.batchResultsToCsv = batchResultsToCsv;
+  window.BATCH_CSV_FIELDS = BATCH_CSV_FIELDS;
+  window.BATCH_RESULT_FIELDS = BATCH_RESULT_FIELDS;
+}
@@ -0,0 +1,150 @@
+/**
+ * Metrics for the OTP Management System
+ *
+ * Counts what happens to codes - issue volume, verification outcomes by
+ * reason, codes that expired without ever being used - and how long
+ * customers take to redeem a code once it was (re)issued. Every store keeps
+ * one collector fed from its events (see store.stats()); metricsToPrometheus()
+ * renders collectors' snapshots in the Prometheus text exposition format for
+ * GET /metrics.
+ *
+ * Metrics live in memory and start from zero when the process (or, offline,
+ * the leading console tab) starts; `since` in each snapshot says when.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Upper bounds (ms) of the time-to-redeem histogram buckets; a last bucket
+ * catches anything slower. Codes live 5 minutes at most by default.
+ */
+const TIME_TO_REDEEM_BUCKETS_MS = [5000, 10000, 20000, 30000, 60000, 120000, 300000];
+
+/**
+ * Creates a collector of store metrics
+ *
+ * @param {Object} [options]
+ * @param {number[]} [options.buckets] - Time-to-redeem bucket bounds in ms (ascending)
+ * @param {number} [options.since=Date.now()] - When counting started (epoch ms)
+ * @returns {{ observe: function(Object): void, snapshot: function(): Object }}
+ *   observe() takes store events (see store.on); snapshot() returns { since, issued,
+ *   reissued, extended, consumed, rejected, rejections: { reason: count }, revoked,
+ *   expired, expiredUnused, timeToRedeemMs: { bounds, counts, count, sumMs } }, where
+ *   counts has one entry per bound plus one for slower redemptions
+ *
+ * @example
+ * const metrics = createOtpMetrics();
+ * metrics.observe({ type: 'consumed', at: 61000, issuedAt: 1000 });
+ * metrics.snapshot().timeToRedeemMs; // { bounds: [5000, ...], counts: [0, 0, 0, 0, 1, 0, 0, 0], count: 1, sumMs: 60000 }
+ */
+function createOtpMetrics(options = {}) {
+  const bounds = (options.buckets || TIME_TO_REDEEM_BUCKETS_MS).slice();
+  const since = options.since ?? Date.now();
+
+  const counts = { issued: 0, reissued: 0, extended: 0, consumed: 0, rejected: 0, revoked: 0, expired: 0, expiredUnused: 0 };
+  const rejections = {};
+  const redeemCounts = new Array(bounds.length + 1).fill(0);
+  let redeemSumMs = 0;
+
+  const observe = (event) => {
+    if (counts[event.type] === undefined) return;
+    counts[event.type]++;
+
+    if (event.type === 'rejected') {
+      rejections[event.reason] = (rejections[event.reason] || 0) + 1;
+    } else if (event.type === 'expired' && !event.uses) {
+      counts.expiredUnused++;
+    } else if (event.type === 'consumed' && typeof event.issuedAt === 'number') {
+      // Codes checked elsewhere (authenticator apps) have no issue time.
+      const elapsedMs = Math.max(0, event.at - event.issuedAt);
+      const bucket = bounds.findIndex(bound => elapsedMs <= bound);
+      redeemCounts[bucket === -1 ? bounds.length : bucket]++;
+      redeemSumMs += elapsedMs;
+    }
+  };
+
+  const snapshot = () => ({
+    since,
+    ...counts,
+    rejections: { ...rejections },
+    timeToRedeemMs: {
+      bounds: bounds.slice(),
+      counts: redeemCounts.slice(),
+      count: redeemCounts.reduce((total, n) => total + n, 0),
+      sumMs: redeemSumMs
+    }
+  });
+
+  return { observe, snapshot };
+}
+
+/**
+ * Renders store statistics in the Prometheus text exposition format (0.0.4)
+ *
+ * @param {Object[]} sources - { labels, stats } per store: labels such as
+ *   { tenant: 'kiwi' } are added to every sample; stats come from store.stats()
+ * @returns {string} Exposition text, one HELP/TYPE block per metric
+ *
+ * @example
+ * metricsToPrometheus([{ labels: { tenant: 'kiwi' }, stats: otp.stats() }]);
+ * // '# HELP otp_codes_issued_total Codes issued ...\n# TYPE otp_codes_issued_total counter\n
+ * //  otp_codes_issued_total{tenant="kiwi"} 12\n...'
+ */
+function metricsToPrometheus(sources) {
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  const sample = (name, labels, value) => {
+    const pairs = Object.entries(labels).map(([key, labelValue]) => `${key}="${escape(labelValue)}"`);
+    return `${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${value}`;
+  };
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples);
+  };
+  const perSource = (name, read) => sources.map(({ labels = {}, stats }) => sample(name, labels, read(stats)));
+
+  metric('otp_live_codes', 'gauge', 'Codes that can currently be used', perSource('otp_live_codes', stats => stats.live));
+  metric('otp_codes_issued_total', 'counter', 'Codes issued (new codes, including generated ones)',
+    perSource('otp_codes_issued_total', stats => stats.issued));
+  metric('otp_codes_reissued_total', 'counter', 'Live codes issued again, resetting their duration',
+    perSource('otp_codes_reissued_total', stats => stats.reissued));
+  metric('otp_codes_extended_total', 'counter', 'Codes extended by staff', perSource('otp_codes_extended_total', stats => stats.extended));
+  metric('otp_codes_revoked_total', 'counter', 'Codes revoked by staff', perSource('otp_codes_revoked_total', stats => stats.revoked));
+  metric('otp_codes_expired_total', 'counter', 'Codes that expired', perSource('otp_codes_expired_total', stats => stats.expired));
+  metric('otp_codes_expired_unused_total', 'counter', 'Codes that expired without ever being used',
+    perSource('otp_codes_expired_unused_total', stats => stats.expiredUnused));
+
+  metric('otp_verifications_total', 'counter', 'Verification attempts by outcome, and reason for rejections',
+    sources.flatMap(({ labels = {}, stats }) => [
+      sample('otp_verifications_total', { ...labels, outcome: 'accepted' }, stats.consumed),
+      ...Object.entries(stats.rejections).map(([reason, count]) =>
+        sample('otp_verifications_total', { ...labels, outcome: 'rejected', reason }, count))
+    ]));
+
+  // Prometheus histograms are cumulative and in seconds.
+  metric('otp_time_to_redeem_seconds', 'histogram', 'Time from (re)issue to successful verification',
+    sources.flatMap(({ labels = {}, stats }) => {
+      const { bounds, counts, count, sumMs } = stats.timeToRedeemMs;
+      let cumulative = 0;
+      return [
+        ...bounds.map((bound, i) => {
+          cumulative += counts[i];
+          return sample('otp_time_to_redeem_seconds_bucket', { ...labels, le: String(bound / 1000) }, cumulative);
+        }),
+        sample('otp_time_to_redeem_seconds_bucket', { ...labels, le: '+Inf' }, count),
+        sample('otp_time_to_redeem_seconds_sum', labels, sumMs / 1000),
+        sample('otp_time_to_redeem_seconds_count', labels, count)
+      ];
+    }));
+
+  return lines.join('\n') + '\n';
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createOtpMetrics, metricsToPrometheus, TIME_TO_REDEEM_BUCKETS_MS };
+} else if (typeof window !== 'undefined') {
+  window.createOtpMetrics = createOtpMetrics;
+  window.metricsToPrometheus = metricsToPrometheus;
+  window.TIME_TO_REDEEM_BUCKETS_MS = TIME_TO_REDEEM_BUCKETS_MS;
+}
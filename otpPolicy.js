@@ -0,0 +1,111 @@
+/**
+ * OTP Policies
+ *
+ * The rules a store enforces on every code - how long it may live, how long
+ * it must be, how often it may be used - gathered in one object instead of
+ * constants scattered across the store and the console. Named presets cover
+ * the common cases; any field can be overridden on top of a preset.
+ *
+ * Policy fields:
+ * - minDurationMs / maxDurationMs: requested durations are clamped into this range
+ * - minPasscodeLength / maxPasscodeLength: characters (digits for integer codes)
+ * - maxUses: successful uses before a code is spent (1 = single use)
+ * - graceMs: after the first use, the code keeps being accepted for this
+ *   long even if maxUses is reached (e.g. a retried form submission), then expires
+ * - reissueMayShorten: whether reissuing a live code with a shorter duration
+ *   may bring its expiry forward (otherwise the later expiry is kept)
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Named policy presets
+ * - standard: the client's original requirements (5-minute cap, single use)
+ * - strict: short-lived, long codes for high-risk actions (payouts, account recovery)
+ * - lenient: shared-device or in-store flows where a code may be entered a few times
+ */
+const OTP_POLICY_PRESETS = {
+  standard: {
+    minDurationMs: 1000,
+    maxDurationMs: 5 * 60 * 1000,
+    minPasscodeLength: 4,
+    maxPasscodeLength: 12,
+    maxUses: 1,
+    graceMs: 0,
+    reissueMayShorten: true
+  },
+  strict: {
+    minDurationMs: 1000,
+    maxDurationMs: 2 * 60 * 1000,
+    minPasscodeLength: 8,
+    maxPasscodeLength: 12,
+    maxUses: 1,
+    graceMs: 0,
+    reissueMayShorten: true
+  },
+  lenient: {
+    minDurationMs: 1000,
+    maxDurationMs: 5 * 60 * 1000,
+    minPasscodeLength: 6,
+    maxPasscodeLength: 8,
+    maxUses: 3,
+    graceMs: 10 * 1000,
+    reissueMayShorten: false
+  }
+};
+
+const DEFAULT_OTP_POLICY = 'standard';
+
+/**
+ * Resolves a policy option into a complete, validated, frozen policy
+ *
+ * @param {string|Object} [policy] - Preset name, or { preset, ...overrides }
+ *   (overrides apply on top of the preset, 'standard' by default)
+ * @returns {Object} Policy with every field set, plus `preset` naming its base
+ * @throws {TypeError} If the preset or a field name is unknown
+ * @throws {RangeError} If a field value is out of range or inconsistent
+ *
+ * @example
+ * resolveOtpPolicy('strict').maxDurationMs;                    // 120000
+ * resolveOtpPolicy({ preset: 'strict', maxUses: 2 }).maxUses; // 2
+ */
+function resolveOtpPolicy(policy = DEFAULT_OTP_POLICY) {
+  const { preset = DEFAULT_OTP_POLICY, ...overrides } = typeof policy === 'string' ? { preset: policy } : policy;
+
+  const base = OTP_POLICY_PRESETS[preset];
+  if (!base) throw new TypeError(`Unknown OTP policy preset "${preset}"`);
+
+  for (const field of Object.keys(overrides)) {
+    if (!(field in base)) throw new TypeError(`Unknown OTP policy field "${field}"`);
+  }
+
+  const resolved = { ...base, ...overrides };
+  const isCount = (value, min) => Number.isSafeInteger(value) && value >= min;
+
+  if (!(Number.isFinite(resolved.minDurationMs) && resolved.minDurationMs > 0)) {
+    throw new RangeError('minDurationMs must be a positive number');
+  }
+  if (!(Number.isFinite(resolved.maxDurationMs) && resolved.maxDurationMs >= resolved.minDurationMs)) {
+    throw new RangeError('maxDurationMs must be at least minDurationMs');
+  }
+  if (!isCount(resolved.minPasscodeLength, 1) || !isCount(resolved.maxPasscodeLength, resolved.minPasscodeLength)) {
+    throw new RangeError('passcode lengths must be positive integers with min <= max');
+  }
+  if (!isCount(resolved.maxUses, 1)) throw new RangeError('maxUses must be an integer of at least 1');
+  if (!(Number.isFinite(resolved.graceMs) && resolved.graceMs >= 0)) {
+    throw new RangeError('graceMs must be zero or a positive number');
+  }
+  if (typeof resolved.reissueMayShorten !== 'boolean') throw new RangeError('reissueMayShorten must be a boolean');
+
+  return Object.freeze({ preset, ...resolved });
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { resolveOtpPolicy, OTP_POLICY_PRESETS, DEFAULT_OTP_POLICY };
+} else if (typeof window !== 'undefined') {
+  window.resolveOtpPolicy = resolveOtpPolicy;
+  window.OTP_POLICY_PRESETS = OTP_POLICY_PRESETS;
+  window.DEFAULT_OTP_POLICY = DEFAULT_OTP_POLICY;
+}
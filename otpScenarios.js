@@ -0,0 +1,315 @@
+/**
+ * Scenario Runner for the OTP Management System
+ *
+ * A scenario is a JSON file of steps - issue, reissue, wait, verify - each
+ * optionally stating the outcome it expects. The same files drive the
+ * console's Demo Scenarios panel (through the API, fast-forwarding with
+ * /dev/clock) and the headless conformance suite (`node cli.js scenarios`,
+ * straight against createOtpStore on a manual clock), so what stakeholders
+ * watch is exactly what the suite checks. The shipped scenarios live in
+ * scenarios/ (see SCENARIO_FILES).
+ *
+ * Scenario file:
+ *   {
+ *     "name": "Expiry",
+ *     "description": "A code stops working once its duration runs out",
+ *     "policy": "standard",
+ *     "steps": [
+ *       { "action": "issue", "passcode": 310001, "durationMs": 30000, "expect": { "outcome": "issued" } },
+ *       { "action": "wait", "ms": 30000 },
+ *       { "action": "verify", "passcode": 310001, "expect": { "outcome": "rejected", "reason": "expired" } }
+ *     ]
+ *   }
+ *
+ * `policy` names the preset the expectations were written for; on a store
+ * with another policy every step is skipped. Steps may bind the code to a
+ * `subject` and give a `note` to show instead of the generated description.
+ * Expectations are compared field by field with the step's result (see
+ * SCENARIO_EXPECTATIONS); a reissue step without one expects "reissued".
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Scenarios shipped in scenarios/, in the order the console lists them
+ */
+const SCENARIO_FILES = ['expiry.json', 'duration-overwrite.json', 'duration-cap.json', 'brute-force.json', 'reissue-after-use.json'];
+
+/**
+ * Step actions a scenario may use
+ */
+const SCENARIO_ACTIONS = ['issue', 'reissue', 'wait', 'verify'];
+
+/**
+ * Result fields a step may expect
+ * - outcome: issued, reissued or rejected (issue/reissue); accepted or rejected (verify)
+ * - reason: why a code was rejected (see OTP_REJECT_REASONS), null otherwise
+ * - existed, durationMs, clamped: as returned by issueDetailed (issue/reissue)
+ */
+const SCENARIO_EXPECTATIONS = ['outcome', 'reason', 'existed', 'durationMs', 'clamped'];
+
+/**
+ * Formats milliseconds for step descriptions, e.g. '30s' or '5m'
+ *
+ * @private
+ * @param {number} ms - Duration
+ * @returns {string}
+ */
+const formatStepMs = (ms) => {
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000 || ms % 60000 !== 0) return `${ms / 1000}s`;
+  return `${ms / 60000}m`;
+};
+
+/**
+ * Checks that parsed JSON is a runnable scenario
+ *
+ * @param {*} scenario - Parsed scenario file
+ * @returns {Object} The scenario, unchanged
+ * @throws {TypeError} Naming the first problem, e.g. 'Step 3: unknown action "fly"'
+ *
+ * @example
+ * validateScenario(JSON.parse(text)); // throws on a malformed file
+ */
+function validateScenario(scenario) {
+  if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+    throw new TypeError('A scenario must be a JSON object');
+  }
+  if (typeof scenario.name !== 'string' || scenario.name.trim() === '') {
+    throw new TypeError('A scenario needs a name');
+  }
+  if (scenario.policy !== undefined && typeof scenario.policy !== 'string') {
+    throw new TypeError('policy must be the name of a preset');
+  }
+  if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+    throw new TypeError('A scenario needs at least one step');
+  }
+
+  scenario.steps.forEach((step, i) => {
+    const fail = (message) => { throw new TypeError(`Step ${i + 1}: ${message}`); };
+    if (!step || typeof step !== 'object') fail('must be an object');
+    if (!SCENARIO_ACTIONS.includes(step.action)) {
+      fail(`unknown action ${JSON.stringify(step.action)} (use ${SCENARIO_ACTIONS.join(', ')})`);
+    }
+
+    if (step.action === 'wait') {
+      if (!Number.isFinite(step.ms) || step.ms <= 0) fail('ms must be a positive number of milliseconds');
+      return;
+    }
+    if (typeof step.passcode !== 'number' && typeof step.passcode !== 'string') fail('passcode is required');
+    if (step.action !== 'verify' && !Number.isFinite(step.durationMs)) fail('durationMs must be a number');
+    if (step.subject !== undefined && typeof step.subject !== 'string') fail('subject must be a string');
+    if (step.expect !== undefined) {
+      if (!step.expect || typeof step.expect !== 'object') fail('expect must be an object');
+      const unknown = Object.keys(step.expect).find(key => !SCENARIO_EXPECTATIONS.includes(key));
+      if (unknown) fail(`cannot expect ${JSON.stringify(unknown)} (use ${SCENARIO_EXPECTATIONS.join(', ')})`);
+    }
+  });
+
+  return scenario;
+}
+
+/**
+ * Describes a step for people, e.g. 'Issue 310001 for 30s'
+ *
+ * @param {Object} step - Scenario step
+ * @returns {string} The step's note, or a description generated from it
+ */
+function describeStep(step) {
+  if (step.note) return step.note;
+  const subject = step.subject ? ` (${step.subject})` : '';
+  switch (step.action) {
+    case 'wait':
+      return `Wait ${formatStepMs(step.ms)}`;
+    case 'verify':
+      return `Verify ${step.passcode}${subject}`;
+    default:
+      return `${step.action === 'reissue' ? 'Reissue' : 'Issue'} ${step.passcode}${subject} for ${formatStepMs(step.durationMs)}`;
+  }
+}
+
+/**
+ * Runs a scenario's steps in order against a target
+ * A failed step does not stop the run; a wait the target cannot perform
+ * skips it and every later step, since they depend on the time.
+ *
+ * @param {Object} scenario - Scenario (see validateScenario)
+ * @param {Object} target - { policy?, issue(step), verify(step), advance(ms) }, each
+ *   possibly async (see createStoreTarget and createApiTarget); advance returns
+ *   false when the clock cannot be moved
+ * @param {Object} [options]
+ * @param {function(Object): void} [options.onStep] - Called with each step's result as it finishes
+ * @param {number} [options.pauseMs=0] - Pause before each step after the first, so people can follow along
+ * @returns {Promise<Object>} { name, description, ok, passed, failed, skipped, steps }, each
+ *   step being { index, action, label, status: passed|failed|skipped, expected?, actual?, message }
+ * @throws {TypeError} If the scenario is malformed
+ *
+ * @example
+ * const clock = createManualClock(0);
+ * const store = createOtpStore({ clock });
+ * const result = await runScenario(scenario, createStoreTarget(store, clock));
+ * result.ok; // true when every step met its expectation
+ */
+async function runScenario(scenario, target, options = {}) {
+  validateScenario(scenario);
+  const onStep = options.onStep || (() => {});
+  const pauseMs = options.pauseMs || 0;
+
+  let skipReason = scenario.policy && target.policy && scenario.policy !== target.policy
+    ? `written for the ${scenario.policy} policy; this store uses ${target.policy}`
+    : null;
+
+  const steps = [];
+  for (const [i, step] of scenario.steps.entries()) {
+    if (i > 0 && pauseMs > 0 && !skipReason) await new Promise(resolve => setTimeout(resolve, pauseMs));
+
+    let outcome;
+    if (skipReason) {
+      outcome = { status: 'skipped', message: skipReason };
+    } else if (step.action === 'wait') {
+      if (await target.advance(step.ms)) {
+        outcome = { status: 'passed', message: null };
+      } else {
+        skipReason = 'the clock cannot be moved here (time travel is off)';
+        outcome = { status: 'skipped', message: skipReason };
+      }
+    } else {
+      try {
+        const actual = step.action === 'verify' ? await target.verify(step) : await target.issue(step);
+        const expected = step.expect || (step.action === 'reissue' ? { outcome: 'reissued' } : {});
+        const mismatches = Object.keys(expected)
+          .filter(key => actual[key] !== expected[key])
+          .map(key => `expected ${key} ${JSON.stringify(expected[key])}, got ${JSON.stringify(actual[key])}`);
+        outcome = { status: mismatches.length ? 'failed' : 'passed', expected, actual, message: mismatches.join('; ') || null };
+      } catch (error) {
+        outcome = { status: 'failed', message: error.message };
+      }
+    }
+
+    const result = { index: i + 1, action: step.action, label: describeStep(step), ...outcome };
+    steps.push(result);
+    onStep(result);
+  }
+
+  const count = (status) => steps.filter(step => step.status === status).length;
+  return {
+    name: scenario.name,
+    description: scenario.description || '',
+    ok: count('failed') === 0 && count('skipped') === 0,
+    passed: count('passed'),
+    failed: count('failed'),
+    skipped: count('skipped'),
+    steps
+  };
+}
+
+/**
+ * Runs scenario steps directly against an OTP store
+ *
+ * @param {Object} store - Instance returned by createOtpStore()
+ * @param {{ advance: function(number): void }} clock - The store's manual clock
+ * @returns {Object} Target for runScenario()
+ *
+ * @example
+ * const clock = createManualClock(0);
+ * const target = createStoreTarget(createOtpStore({ clock }), clock);
+ */
+function createStoreTarget(store, clock) {
+  return {
+    policy: store.getPolicy().preset,
+    issue: (step) => {
+      const result = store.issueDetailedFor(step.subject ?? null, step.passcode, step.durationMs);
+      if (!result.ok) return { outcome: 'rejected', reason: result.reason };
+      return {
+        outcome: result.existed ? 'reissued' : 'issued',
+        reason: null,
+        existed: result.existed,
+        durationMs: result.durationMs,
+        clamped: result.clamped
+      };
+    },
+    verify: (step) => {
+      const result = store.verifyFor(step.subject ?? null, step.passcode);
+      return { outcome: result.ok ? 'accepted' : 'rejected', reason: result.ok ? null : result.reason };
+    },
+    advance: (ms) => {
+      clock.advance(ms);
+      store.sweep();
+      return true;
+    }
+  };
+}
+
+/**
+ * Runs scenario steps through the HTTP API (see otpApi.js)
+ * Waits move the store's clock with POST /dev/clock, which only dev servers
+ * (and offline mode) allow.
+ *
+ * @param {function(string, string, Object): Promise<{ status: number, body: * }>} send -
+ *   Sends (method, path, body) to the API
+ * @param {Object} [options]
+ * @param {string} [options.policy] - Preset of the store behind the API, if known
+ * @param {function(number): void} [options.onAdvance] - Called after the store's clock moved
+ * @returns {Object} Target for runScenario()
+ *
+ * @example
+ * const api = createOtpApi(createOtpStore({ clock }), { clock });
+ * const target = createApiTarget(async (method, path, body) => api.handle({ method, path, body }));
+ */
+function createApiTarget(send, options = {}) {
+  // 4xx errors are the API's way of refusing; anything else is a fault.
+  const rejection = ({ status, body }) => {
+    if (status >= 500 || !body || !body.error) throw new Error(`Unexpected API response (${status})`);
+    return { outcome: 'rejected', reason: body.error.reason || body.error.code };
+  };
+
+  return {
+    policy: options.policy || null,
+    issue: async (step) => {
+      const response = await send('POST', '/otp', { passcode: step.passcode, durationMs: step.durationMs, subject: step.subject });
+      if (response.status >= 300) return rejection(response);
+      const { body } = response;
+      return {
+        outcome: body.existed ? 'reissued' : 'issued',
+        reason: null,
+        existed: body.existed,
+        durationMs: body.durationMs,
+        clamped: body.clamped
+      };
+    },
+    verify: async (step) => {
+      const response = await send('POST', '/otp/verify', { passcode: step.passcode, subject: step.subject });
+      return response.status === 200 ? { outcome: 'accepted', reason: null } : rejection(response);
+    },
+    advance: async (ms) => {
+      const { status } = await send('POST', '/dev/clock', { advanceMs: ms });
+      if (status !== 200) return false;
+      if (options.onAdvance) options.onAdvance(ms);
+      return true;
+    }
+  };
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    runScenario,
+    validateScenario,
+    describeStep,
+    createStoreTarget,
+    createApiTarget,
+    SCENARIO_FILES,
+    SCENARIO_ACTIONS,
+    SCENARIO_EXPECTATIONS
+  };
+} else if (typeof window !== 'undefined') {
+  window.runScenario = runScenario;
+  window.validateScenario = validateScenario;
+  window.describeStep = describeStep;
+  window.createStoreTarget = createStoreTarget;
+  window.createApiTarget = createApiTarget;
+  window.SCENARIO_FILES = SCENARIO_FILES;
+  window.SCENARIO_ACTIONS = SCENARIO_ACTIONS;
+  window.SCENARIO_EXPECTATIONS = SCENARIO_EXPECTATIONS;
+}
@@ -0,0 +1,199 @@
+/**
+ * OTP Store Snapshots
+ *
+ * A snapshot is a JSON document holding every live code of a store, for
+ * backups and for moving codes to another instance (see store.snapshot()
+ * and store.restore()). Documents carry a schema version, so entries saved
+ * in an older shape are migrated step by step when they are restored
+ * instead of breaking a newer store.
+ *
+ * Schema versions:
+ * - 1: entries as [key, { expiresAt, used }] pairs - the entry shape of the
+ *   first releases, which kept spent codes flagged as used
+ * - 2: entries as { key, expiresAt, issuedAt?, uses?, firstUsedAt?, subject?,
+ *   check? } records, plus the policy preset and whether keys are hashed
+ *
+ * A document can be sealed with a passphrase (AES-256-GCM, with the key
+ * derived by PBKDF2-SHA256) before it leaves the machine. Sealing uses Web
+ * Crypto, which Node and browsers share, and is therefore asynchronous.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+const snapshotDeps = typeof require !== 'undefined' ? require('./loginLinks') : window;
+
+const OTP_SNAPSHOT_FORMAT = 'kiwi-otp-snapshot';
+const OTP_SNAPSHOT_VERSION = 2;
+
+// PBKDF2 rounds for a new seal; opening reads the count from the document.
+const SNAPSHOT_KDF_ITERATIONS = 210000;
+// Most rounds opening will run, so a crafted file cannot hang the page for minutes.
+const MAX_SNAPSHOT_KDF_ITERATIONS = 10 * SNAPSHOT_KDF_ITERATIONS;
+
+/**
+ * Migrations between schema versions, keyed by the version they upgrade
+ * Each takes a document of that version and returns one of the next.
+ */
+const OTP_SNAPSHOT_MIGRATIONS = {
+  1: (document) => ({
+    format: OTP_SNAPSHOT_FORMAT,
+    version: 2,
+    createdAt: document.createdAt ?? null,
+    policy: null,
+    hashed: false,
+    // Spent codes were kept until they expired; they are of no use now.
+    entries: (document.entries || [])
+      .filter(pair => Array.isArray(pair) && pair[1] && !pair[1].used)
+      .map(([key, entry]) => ({ key, expiresAt: entry.expiresAt }))
+  })
+};
+
+/**
+ * Tells whether a document is a sealed (encrypted) snapshot
+ *
+ * @param {*} document - Parsed JSON
+ * @returns {boolean}
+ */
+function isSealedSnapshot(document) {
+  return Boolean(document && document.format === OTP_SNAPSHOT_FORMAT && document.sealed);
+}
+
+/**
+ * Brings a snapshot document up to the current schema version
+ *
+ * @param {Object} document - Parsed snapshot of any known version
+ * @returns {{ snapshot: Object, migratedFrom: number|null }} The current-version document,
+ *   and the version it started at if it had to be migrated
+ * @throws {TypeError} If the document is not a snapshot, or is still sealed
+ * @throws {RangeError} If it was written by a newer version than this one
+ *
+ * @example
+ * migrateSnapshot({ format: 'kiwi-otp-snapshot', version: 1, entries: [[123456, { expiresAt, used: false }]] });
+ * // { snapshot: { format, version: 2, ..., entries: [{ key: 123456, expiresAt }] }, migratedFrom: 1 }
+ */
+function migrateSnapshot(document) {
+  if (!document || typeof document !== 'object' || document.format !== OTP_SNAPSHOT_FORMAT) {
+    throw new TypeError('Not an OTP snapshot');
+  }
+  if (isSealedSnapshot(document)) throw new TypeError('Snapshot is sealed; open it with its passphrase first');
+  if (!Number.isInteger(document.version) || document.version < 1) {
+    throw new TypeError('Snapshot has no valid schema version');
+  }
+  if (document.version > OTP_SNAPSHOT_VERSION) {
+    throw new RangeError(`Snapshot schema version ${document.version} is newer than this store supports (${OTP_SNAPSHOT_VERSION})`);
+  }
+
+  let snapshot = document;
+  while (snapshot.version < OTP_SNAPSHOT_VERSION) snapshot = OTP_SNAPSHOT_MIGRATIONS[snapshot.version](snapshot);
+  return { snapshot, migratedFrom: document.version === OTP_SNAPSHOT_VERSION ? null : document.version };
+}
+
+/**
+ * Web Crypto from Node's crypto module or the browser
+ *
+ * @private
+ * @returns {Crypto}
+ */
+const webCrypto = () => (typeof require !== 'undefined' ? require('crypto').webcrypto : window.crypto);
+
+/**
+ * Derives the AES key for a passphrase
+ *
+ * @private
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Random salt stored with the seal
+ * @param {number} iterations - PBKDF2 rounds
+ * @returns {Promise<CryptoKey>}
+ */
+const deriveSnapshotKey = async (passphrase, salt, iterations) => {
+  const { subtle } = webCrypto();
+  const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * Encrypts a snapshot document with a passphrase
+ *
+ * @param {Object} document - Snapshot from store.snapshot()
+ * @param {string} passphrase - Non-empty passphrase; it cannot be recovered
+ * @returns {Promise<Object>} { format, sealed: { cipher, kdf, iterations, salt, iv, data } }
+ * @throws {TypeError} If the passphrase is empty
+ *
+ * @example
+ * const sealed = await sealSnapshot(otp.snapshot(), 'correct horse battery staple');
+ */
+async function sealSnapshot(document, passphrase) {
+  if (typeof passphrase !== 'string' || !passphrase) throw new TypeError('A passphrase is required to seal a snapshot');
+  const random = webCrypto();
+  const salt = random.getRandomValues(new Uint8Array(16));
+  const iv = random.getRandomValues(new Uint8Array(12));
+  const key = await deriveSnapshotKey(passphrase, salt, SNAPSHOT_KDF_ITERATIONS);
+  const data = await random.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(document)));
+  return {
+    format: OTP_SNAPSHOT_FORMAT,
+    sealed: {
+      cipher: 'AES-256-GCM',
+      kdf: 'PBKDF2-SHA256',
+      iterations: SNAPSHOT_KDF_ITERATIONS,
+      salt: snapshotDeps.base64UrlEncode(salt),
+      iv: snapshotDeps.base64UrlEncode(iv),
+      data: snapshotDeps.base64UrlEncode(new Uint8Array(data))
+    }
+  };
+}
+
+/**
+ * Decrypts a sealed snapshot
+ *
+ * @param {Object} envelope - Result of sealSnapshot()
+ * @param {string} passphrase - The passphrase it was sealed with
+ * @returns {Promise<Object>} The snapshot document (of whatever version was sealed)
+ * @throws {TypeError} If the document is not sealed or asks for more than
+ *   MAX_SNAPSHOT_KDF_ITERATIONS rounds, or the passphrase is wrong or the data
+ *   was altered (AES-GCM cannot tell the two apart)
+ */
+async function openSnapshot(envelope, passphrase) {
+  if (!isSealedSnapshot(envelope)) throw new TypeError('Snapshot is not sealed');
+  const { iterations, salt, iv, data } = envelope.sealed;
+  const bytes = [salt, iv, data].map(text => snapshotDeps.base64UrlDecode(String(text)));
+  if (bytes.includes(null) || !Number.isInteger(iterations) || iterations < 1) throw new TypeError('Sealed snapshot is damaged');
+  if (iterations > MAX_SNAPSHOT_KDF_ITERATIONS) {
+    throw new TypeError(`Sealed snapshot asks for ${iterations} key derivation rounds; at most ${MAX_SNAPSHOT_KDF_ITERATIONS} are run`);
+  }
+
+  try {
+    const key = await deriveSnapshotKey(String(passphrase), bytes[0], iterations);
+    const plain = await webCrypto().subtle.decrypt({ name: 'AES-GCM', iv: bytes[1] }, key, bytes[2]);
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch (error) {
+    throw new TypeError('Wrong passphrase, or the snapshot was altered');
+  }
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    migrateSnapshot,
+    isSealedSnapshot,
+    sealSnapshot,
+    openSnapshot,
+    OTP_SNAPSHOT_FORMAT,
+    OTP_SNAPSHOT_VERSION,
+    OTP_SNAPSHOT_MIGRATIONS
+  };
+} else if (typeof window !== 'undefined') {
+  window.migrateSnapshot = migrateSnapshot;
+  window.isSealedSnapshot = isSealedSnapshot;
+  window.sealSnapshot = sealSnapshot;
+  window.openSnapshot = openSnapshot;
+  window.OTP_SNAPSHOT_FORMAT = OTP_SNAPSHOT_FORMAT;
+  window.OTP_SNAPSHOT_VERSION = OTP_SNAPSHOT_VERSION;
+  window.OTP_SNAPSHOT_MIGRATIONS = OTP_SNAPSHOT_MIGRATIONS;
+}
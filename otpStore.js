@@ -8,48 +8,481 @@
  * @version 1.0.0
  */
 
+// Sibling modules: CommonJS in Node, globals registered by <script> tags in
+// the browser (see index.html for the load order).
+const clockLib = typeof require !== 'undefined' ? require('./clock') : window;
+const storageLib = typeof require !== 'undefined' ? require('./storageAdapters') : window;
+const generatorLib = typeof require !== 'undefined' ? require('./passcodeGenerator') : window;
+const hasherLib = typeof require !== 'undefined' ? require('./passcodeHasher') : window;
+const guardLib = typeof require !== 'undefined' ? require('./bruteForceGuard') : window;
+const policyLib = typeof require !== 'undefined' ? require('./otpPolicy') : window;
+const indexLib = typeof require !== 'undefined' ? require('./expiryIndex') : window;
+const metricsLib = typeof require !== 'undefined' ? require('./otpMetrics') : window;
+const snapshotLib = typeof require !== 'undefined' ? require('./otpSnapshot') : window;
+
+/**
+ * Event types emitted by the store (see store.on)
+ */
+const OTP_EVENTS = ['issued', 'reissued', 'extended', 'consumed', 'rejected', 'expired', 'revoked', 'restored'];
+
+/**
+ * Reasons a verification can be rejected (see store.verify)
+ * - expired / already_used / revoked: the code existed but is no longer live
+ * - unknown: never issued to this subject, or forgotten (see TOMBSTONE_TTL_MS)
+ * - locked / rate_limited: refused by the brute-force guards without checking the code
+ * - invalid_format: the passcode could never have been issued under the policy
+ */
+const OTP_REJECT_REASONS = ['expired', 'already_used', 'revoked', 'unknown', 'locked', 'rate_limited', 'invalid_format'];
+
 /**
  * Creates an OTP store instance for managing one-time passcodes
  * 
  * Features:
- * - Maximum 5-minute duration limit for security
- * - Automatic cleanup of expired/used passcodes
- * - Single-use enforcement
+ * - Configurable policy (see otpPolicy.js): duration range, passcode length,
+ *   uses per code and grace period - 5-minute, single-use codes by default
+ * - Automatic cleanup of expired/used passcodes, driven by an expiry index so
+ *   each operation only touches the codes that are actually due
+ * - Single-use enforcement (or a policy-defined number of uses)
  * - Duration overwrite capability
+ * - Injectable clock for deterministic expiry testing
+ * - Pluggable persistence via storage adapters (see storageAdapters.js)
+ * - Optional keyed-HMAC storage so raw passcodes never sit at rest
+ * - Subject binding: a code can be tied to one customer, email or session
+ * - Brute-force protection: lockouts after repeated failures per subject or
+ *   client, with exponential back-off and an optional global rate limit
+ * - Event subscriptions (issued, reissued, extended, consumed, rejected,
+ *   expired, revoked, restored); expiry events fire on their own while anyone is listening
+ * - Metrics (see otpMetrics.js): issue and verification counters, codes that
+ *   expired unused and a time-to-redeem histogram, read through stats()
+ * - Introspection and admin operations: list, get, revoke and extend
+ * - Batch issuance (e.g. promotion codes) with a result per row and a dry run
+ * - Versioned snapshots of the live codes, for backups and moving codes
+ *   between instances (see otpSnapshot.js)
+ * - Result objects that say why a code was refused (expired, already used,
+ *   revoked, unknown, locked...) and whether an issue duration was clamped
  * 
- * @returns {Object} OTP store with issue and useOnce methods
+ * @param {Object} [options] - Store configuration
+ * @param {{ now: function(): number }} [options.clock] - Time source (defaults to system time)
+ * @param {Object} [options.storage] - Storage adapter (defaults to in-memory)
+ * @param {Object} [options.hashing] - { secret, previousSecrets } to store HMACs instead of
+ *   raw passcodes (Node.js only, see passcodeHasher.js)
+ * @param {string|Object} [options.policy] - Preset name ('standard', 'strict', 'lenient')
+ *   or { preset, ...overrides } (see otpPolicy.js); defaults to 'standard'
+ * @param {Object|false} [options.limits] - Attempt limits (see bruteForceGuard.js):
+ *   { maxFailures, lockoutMs, maxLockoutMs, forgetAfterMs, rateLimit: { capacity, refillPerSecond } }.
+ *   Lockouts are on by default; the global rate limit only when rateLimit is given.
+ *   Pass false to disable both.
+ * @returns {Object} OTP store with issue, issueGenerated, issueBatch, useOnce, get, list, revoke and extend methods,
+ *   the subject-bound issueFor and useOnceFor variants, useOnceWith for codes
+ *   checked elsewhere (TOTP/HOTP), the result-returning issueDetailed(For) and
+ *   verify/verifyFor/verifyWith counterparts, forSubject(), the
+ *   guarded lookup/lookupFor, the getLockout and getRateLimit status checks, getPolicy(), stats(), snapshot()/restore(), on/off subscriptions and sweep()
+ * @throws {TypeError|RangeError} If the policy is unknown or invalid
  */
-function createOtpStore() {
-  const MAX_MS = 5 * 60 * 1000; // 5 minutes maximum duration
+function createOtpStore(options = {}) {
+  // Duration range, passcode length, uses and grace period for every code.
+  const policy = policyLib.resolveOtpPolicy(options.policy);
+  const MAX_GENERATE_ATTEMPTS = 20; // Collisions this many times in a row mean the code space is full
+  const EXPIRY_CHECK_MS = 1000; // Longest wait between expiry sweeps, so clock jumps are noticed promptly
+  const TOMBSTONE_TTL_MS = 15 * 60 * 1000; // How long a dead code is remembered so verify() can say why it failed
+  const MAX_TOMBSTONES = 1000; // Oldest tombstones are dropped beyond this, bounding memory
+  const MAX_CONSUME_ATTEMPTS = 20; // Lost compare-and-set races in a row before giving up (storage misbehaving)
 
-  // Map<passcode, { expiresAt: number, used: boolean }>
+  // All expiry maths reads from this clock so tests can fast-forward time.
+  const clock = options.clock || clockLib.systemClock;
+
+  // Adapter<passcode, { expiresAt: number, used: boolean, issuedAt?: number, uses?: number, firstUsedAt?: number }>
   // We intentionally keep the value payload small so garbage collection can
-  // quickly reclaim entries once they expire.
-  const store = new Map(); // Internal storage for passcode entries
+  // quickly reclaim entries once they expire, and so persisted backends stay
+  // cheap to serialise.
+  const store = options.storage || storageLib.createMemoryStorage(); // Internal storage for passcode entries
+
+  // Every stored expiry, soonest first (see expiryIndex.js). Purging pops
+  // only what is due instead of scanning the whole store.
+  const expiries = indexLib.createExpiryIndex();
+
+  // With hashing enabled, storage keys are HMAC prefixes and each entry also
+  // carries a `check` (the rest of the HMAC) verified in constant time.
+  const hasher = options.hashing ? hasherLib.createPasscodeHasher(options.hashing) : null;
+
+  // Failed attempts are counted per subject and per client (e.g. IP address);
+  // the optional token bucket caps verification throughput across everyone.
+  const limits = options.limits === false ? null : (options.limits || {});
+  const limiter = limits ? guardLib.createAttemptLimiter({ ...limits, clock }) : null;
+  const bucket = limits && limits.rateLimit ? guardLib.createTokenBucket({ ...limits.rateLimit, clock }) : null;
+
+  // Map<eventType, Set<listener>>
+  const listeners = new Map(OTP_EVENTS.map(type => [type, new Set()]));
+
+  // Counts every event, listened to or not (see stats).
+  const metrics = metricsLib.createOtpMetrics({ since: clock.now() });
+
+  // Pending expiry sweep, only scheduled while someone listens for 'expired'.
+  let expiryTimer = null;
+
+  // Map<storageKey, { reason, at, check? }> for recently expired, spent and
+  // revoked codes. Memory only: after a restart they are simply 'unknown'.
+  const tombstones = new Map();
 
   /**
-   * Removes expired or used passcodes from storage
+   * Counts an event (see stats) and delivers it to its subscribers
+   * A throwing listener is logged and skipped so it cannot leave a store
+   * operation half-finished.
+   * 
+   * @private
+   * @param {string} type - One of OTP_EVENTS
+   * @param {Object} details - Event-specific fields
+   */
+  const emit = (type, details) => {
+    const event = { type, at: clock.now(), ...details };
+    metrics.observe(event);
+
+    const subscribers = listeners.get(type);
+    if (subscribers.size === 0) return;
+    for (const listener of Array.from(subscribers)) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`OTP "${type}" listener failed:`, error);
+      }
+    }
+  };
+
+  /**
+   * Recovers subject and passcode from a storage key where only the key is
+   * at hand (expiry events, list). Hashed keys cannot be reversed, so hashed
+   * entries carry their subject and the passcode stays unknown.
+   * 
+   * @private
+   * @param {*} key - Storage key
+   * @param {Object} entry - Stored entry
+   * @returns {{ subject: string|null, passcode: number|string|null }}
+   */
+  const describeKey = (key, entry) => {
+    if (hasher) return { subject: entry.subject || null, passcode: null };
+    if (typeof key === 'string' && key.startsWith('[')) {
+      const [subject, passcode] = JSON.parse(key);
+      return { subject, passcode };
+    }
+    return { subject: null, passcode: key };
+  };
+
+  /**
+   * Removes expired passcodes from storage
    * Automatically called before each operation to maintain clean state
    * 
    * @private
    */
   // Lightweight garbage collector that runs before every mutation/read. It
   // guarantees that consumers always interact with a clean store without
-  // leaking expired secrets in memory.
+  // leaking expired secrets in memory. Spent codes are deleted as they are
+  // used, so only expiries are left to collect here.
   const purgeExpired = () => {
-    const now = Date.now();
-    for (const [key, value] of store) {
-      if (value.expiresAt <= now || value.used) {
-        store.delete(key);
-      }
+    const now = clock.now();
+    while (expiries.size() > 0 && expiries.peek().expiresAt <= now) {
+      const { key, expiresAt } = expiries.pop();
+      const value = store.get(key);
+
+      // Outdated pair: the code was since reissued, extended, used or revoked.
+      if (!value || value.expiresAt !== expiresAt) continue;
+      expire(key, value);
+    }
+  };
+
+  /**
+   * Removes an entry that is past its expiry, remembering why and announcing it
+   * Entries written by another process sharing the storage never enter this
+   * one's expiry index, so reads expire them too (see findEntry and
+   * liveEntries). The delete is a compare-and-set: when several processes
+   * find the same dead entry, only the one whose delete lands emits
+   * 'expired', so each expiry is counted once.
+   * 
+   * @private
+   * @param {*} key - Storage key
+   * @param {Object} value - The expired entry, as read
+   */
+  const expire = (key, value) => {
+    // A code that ran out of its grace period after its last use was used, not forgotten.
+    bury(key, value, (value.uses || 0) >= policy.maxUses ? 'already_used' : 'expired');
+    if (!storageLib.compareAndSetEntry(store, key, value, undefined)) return;
+    emit('expired', { id: String(key), ...describeKey(key, value), uses: value.uses || 0 });
+  };
+
+  /**
+   * Lists the stored entries that are still live, expiring dead ones on the way
+   * 
+   * @private
+   * @returns {Array<[*, Object]>} [key, entry] pairs
+   */
+  const liveEntries = () => {
+    const now = clock.now();
+    const live = [];
+    for (const [key, entry] of Array.from(store.entries())) {
+      if (entry.used) continue;
+      if (entry.expiresAt <= now) expire(key, entry);
+      else live.push([key, entry]);
+    }
+    return live;
+  };
+
+  /**
+   * Stores an entry and indexes its expiry
+   * 
+   * @private
+   * @param {*} key - Storage key
+   * @param {Object} entry - Entry to store (new or updated)
+   */
+  const put = (key, entry) => {
+    store.set(key, entry);
+    expiries.add(key, entry.expiresAt);
+  };
+
+  /**
+   * Remembers why a stored code stopped being live
+   * 
+   * @private
+   * @param {*} key - Storage key the code was held under
+   * @param {Object} entry - The removed entry (its `check` is kept for hashed lookups)
+   * @param {string} reason - 'expired', 'already_used' or 'revoked'
+   */
+  const bury = (key, entry, reason) => {
+    // Re-inserting moves the key to the end, so the first key is always the oldest.
+    tombstones.delete(key);
+    tombstones.set(key, { reason, at: clock.now(), check: entry.check });
+    if (tombstones.size > MAX_TOMBSTONES) tombstones.delete(tombstones.keys().next().value);
+  };
+
+  /**
+   * Explains why a passcode identity has no live entry
+   * 
+   * @private
+   * @param {number|string} identity - Result of identityOf()
+   * @returns {string} 'expired', 'already_used', 'revoked' or 'unknown'
+   */
+  const reasonForMissing = (identity) => {
+    const now = clock.now();
+    const candidates = hasher ? hasher.candidates(identity) : [{ key: identity }];
+    for (const { key, check } of candidates) {
+      const tombstone = tombstones.get(key);
+      if (!tombstone || now - tombstone.at >= TOMBSTONE_TTL_MS) continue;
+      if (!hasher || hasher.matches(tombstone.check, check)) return tombstone.reason;
     }
+    return 'unknown';
+  };
+
+  /**
+   * Keeps a timer running until the next expiry while 'expired' has listeners
+   * The wait is capped at EXPIRY_CHECK_MS because injected clocks can jump
+   * ahead (time travel) without the timer knowing.
+   * 
+   * @private
+   */
+  const scheduleExpiry = () => {
+    if (expiryTimer || listeners.get('expired').size === 0) return;
+
+    // The first pair may be outdated; waking early for it costs one empty sweep.
+    const next = expiries.peek();
+    if (!next) return;
+
+    const delayMs = Math.max(0, Math.min(next.expiresAt - clock.now(), EXPIRY_CHECK_MS));
+    expiryTimer = setTimeout(() => {
+      expiryTimer = null;
+      purgeExpired();
+      scheduleExpiry();
+    }, delayMs);
+
+    // Never keep a Node process alive just to announce expiries.
+    if (typeof expiryTimer.unref === 'function') expiryTimer.unref();
+  };
+
+  /**
+   * Validates a subject identifier
+   * 
+   * @private
+   * @param {*} subject - Customer id, email or session id; null/undefined for unbound codes
+   * @returns {string|null} Trimmed subject, or null for unbound codes
+   * @throws {TypeError} If the subject is not a non-empty string
+   */
+  const normalizeSubject = (subject) => {
+    if (subject === null || subject === undefined) return null;
+    if (typeof subject !== 'string' || !subject.trim()) {
+      throw new TypeError('subject must be a non-empty string');
+    }
+    return subject.trim();
+  };
+
+  /**
+   * Builds the identity a passcode is stored under
+   * Unbound codes keep the bare passcode (so existing persisted data stays
+   * valid); bound codes use a JSON pair that cannot collide with it.
+   * 
+   * @private
+   * @param {string|null} subject - Normalised subject
+   * @param {number|string} passcode - Raw passcode
+   * @returns {number|string} Storage identity
+   */
+  const identityOf = (subject, passcode) =>
+    subject === null ? passcode : JSON.stringify([subject, passcode]);
+
+  /**
+   * Locates the live stored entry for a passcode identity
+   * With hashing enabled, every configured secret is tried (current first) so
+   * codes issued before a secret rotation keep working until they expire.
+   * An entry past its expiry is expired here rather than returned: when
+   * another process issued it, this one's expiry index never saw it.
+   * 
+   * @private
+   * @param {number|string} identity - Result of identityOf()
+   * @returns {{ key: *, entry: Object }|null} Storage key and entry, or null
+   */
+  const findEntry = (identity) => {
+    const candidates = hasher ? hasher.candidates(identity) : [{ key: identity }];
+    for (const { key, check } of candidates) {
+      const entry = store.get(key);
+      if (!entry || (hasher && !hasher.matches(entry.check, check))) continue;
+      if (entry.expiresAt > clock.now()) return { key, entry };
+      expire(key, entry);
+      return null;
+    }
+    return null;
+  };
+
+  /**
+   * Checks a passcode against the policy's length rules
+   * Integer codes are measured in digits, generated codes in characters.
+   * 
+   * @private
+   * @param {number|string} passcode - Passcode being issued or presented
+   * @returns {string|null} Why the passcode is malformed, or null if it is fine
+   */
+  const passcodeProblem = (passcode) => {
+    const length = String(passcode).length;
+    if (length < policy.minPasscodeLength || length > policy.maxPasscodeLength) {
+      return `passcode must be ${policy.minPasscodeLength}-${policy.maxPasscodeLength} characters long (policy "${policy.preset}")`;
+    }
+    return null;
+  };
+
+  /**
+   * Limits a requested duration to the policy's range
+   * 
+   * @private
+   * @param {number} durationMs - Requested duration in milliseconds
+   * @returns {number} The duration the policy allows
+   */
+  const clampDuration = (durationMs) => Math.min(Math.max(durationMs, policy.minDurationMs), policy.maxDurationMs);
+
+  /**
+   * Issues a passcode bound to a subject and reports exactly what was stored
+   * Unlike issueFor, a passcode that breaks the policy is reported in the
+   * result rather than thrown, and the applied duration is returned so
+   * callers can tell when the request was clamped.
+   * 
+   * @param {string|null} subject - Customer id, email or session id (null for an unbound code)
+   * @param {number|string} passcode - Integer or generated alphanumeric passcode
+   * @param {number} durationMs - Requested duration in milliseconds
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {Object} { ok: true, reason: null, existed, expiresAt, requestedMs, durationMs, clamped },
+   *   or { ok: false, reason: 'invalid_format', message }
+   * @throws {TypeError} If the subject is not a non-empty string
+   * 
+   * @example
+   * otp.issueDetailedFor('alice@example.com', 123456, 10 * 60 * 1000);
+   * // { ok: true, reason: null, existed: false, expiresAt, requestedMs: 600000, durationMs: 300000, clamped: true }
+   */
+  const issueDetailedFor = (subject, passcode, durationMs, context) => {
+    const normalized = normalizeSubject(subject);
+    const identity = identityOf(normalized, passcode);
+    const problem = passcodeProblem(passcode);
+    if (problem) return { ok: false, reason: 'invalid_format', message: problem };
+    purgeExpired();
+    
+    // Validate and clamp duration to the policy's range
+    // Defensive coding: coerce to number before clamping.
+    const requestedMs = Number(durationMs) || 0;
+    const cappedDuration = clampDuration(requestedMs);
+    const now = clock.now();
+
+    // Check if unexpired passcode already exists BEFORE setting new value
+    const existing = findEntry(identity);
+    const existingEntry = existing && existing.entry;
+    const existedAndUnexpired = existingEntry && existingEntry.expiresAt > now && !existingEntry.used;
+
+    // Without reissueMayShorten a reissue can only push the expiry back.
+    const keepsLaterExpiry = existedAndUnexpired && !policy.reissueMayShorten;
+    const entry = {
+      expiresAt: keepsLaterExpiry ? Math.max(existingEntry.expiresAt, now + cappedDuration) : now + cappedDuration,
+      used: false,
+      issuedAt: now
+    };
+
+    let key = identity;
+    if (hasher) {
+      const digest = hasher.current(identity);
+      key = digest.key;
+      entry.check = digest.check;
+      // The subject is not secret and lets list() group hashed entries.
+      if (normalized !== null) entry.subject = normalized;
+    }
+
+    // An entry found under a retired secret moves to the current one.
+    const moved = existing && existing.key !== key;
+    if (moved) store.delete(existing.key);
+
+    // Set/overwrite passcode with new duration
+    put(key, entry);
+
+    emit(existedAndUnexpired ? 'reissued' : 'issued', {
+      id: String(key),
+      subject: normalized,
+      passcode,
+      expiresAt: entry.expiresAt,
+      durationMs: entry.expiresAt - now,
+      client: clientOf(context),
+      ...(moved ? { previousId: String(existing.key) } : {})
+    });
+    scheduleExpiry();
+
+    return {
+      ok: true,
+      reason: null,
+      existed: Boolean(existedAndUnexpired),
+      expiresAt: entry.expiresAt,
+      requestedMs,
+      durationMs: entry.expiresAt - now,
+      clamped: cappedDuration !== requestedMs
+    };
+  };
+
+  /**
+   * Issues a passcode bound to a subject, or updates an existing one
+   * The code only authenticates that subject; other subjects may hold the
+   * same code independently.
+   * 
+   * @param {string|null} subject - Customer id, email or session id (null for an unbound code)
+   * @param {number|string} passcode - Integer or generated alphanumeric passcode (e.g., 123456)
+   * @param {number} durationMs - Duration in milliseconds, clamped to the policy's range (max 5 minutes by default)
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {boolean} true if the subject already held this code (unexpired), false if new
+   * @throws {TypeError} If the subject is not a non-empty string
+   * @throws {RangeError} If the passcode length breaks the policy
+   * 
+   * @example
+   * otp.issueFor('alice@example.com', 123456, 60000); // false (new passcode)
+   * otp.issueFor('bob@example.com', 123456, 60000);   // false (Bob's own copy)
+   */
+  const issueFor = (subject, passcode, durationMs, context) => {
+    const result = issueDetailedFor(subject, passcode, durationMs, context);
+    if (!result.ok) throw new RangeError(result.message);
+    return result.existed;
   };
 
   /**
    * Issues a new passcode or updates an existing one
    * 
-   * @param {number} passcode - Integer passcode to issue (e.g., 123456)
-   * @param {number} durationMs - Duration in milliseconds (max 5 minutes)
+   * @param {number|string} passcode - Integer or generated alphanumeric passcode (e.g., 123456)
+   * @param {number} durationMs - Duration in milliseconds, clamped to the policy's range
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
    * @returns {boolean} true if passcode already existed (unexpired), false if new
    * 
    * @example
@@ -57,164 +490,959 @@ function createOtpStore() {
    * const existed = otp.issue(123456, 30000); // 30 seconds
    * console.log(existed); // false (new passcode)
    */
-  const issue = (passcode, durationMs) => {
+  const issue = (passcode, durationMs, context) => issueFor(null, passcode, durationMs, context);
+
+  /**
+   * Issues a passcode and reports exactly what was stored (see issueDetailedFor)
+   * 
+   * @param {number|string} passcode - Integer or generated alphanumeric passcode
+   * @param {number} durationMs - Requested duration in milliseconds
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {Object} { ok, reason, existed, expiresAt, requestedMs, durationMs, clamped }
+   * 
+   * @example
+   * otp.issueDetailed(123456, 500).clamped; // true - raised to the policy's 1-second minimum
+   */
+  const issueDetailed = (passcode, durationMs, context) => issueDetailedFor(null, passcode, durationMs, context);
+
+  /**
+   * Generates a secure random passcode (not yet issued)
+   * 
+   * @private
+   * @param {Object} [generatorOptions] - { length, alphabet } (see passcodeGenerator.js)
+   * @returns {number|string} A passcode whose length suits the policy
+   * @throws {RangeError} If the generator options are invalid or break the policy's length rules
+   */
+  const generateCode = (generatorOptions = {}) => {
+    // Without an explicit length, use 6 characters or the nearest the policy allows.
+    const length = generatorOptions.length === undefined
+      ? Math.min(Math.max(6, policy.minPasscodeLength), policy.maxPasscodeLength)
+      : generatorOptions.length;
+    const passcode = generatorLib.generatePasscode({ ...generatorOptions, length });
+    const problem = passcodeProblem(passcode);
+    if (problem) throw new RangeError(problem);
+    return passcode;
+  };
+
+  /**
+   * Generates a secure random passcode and issues it to a subject
+   * 
+   * @private
+   * @param {string|null} subject - Subject to bind the code to (null for unbound)
+   * @param {number} durationMs - Duration in milliseconds, clamped to the policy's range
+   * @param {Object} [generatorOptions] - { length, alphabet } (see passcodeGenerator.js)
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {Object} { passcode, ...issueDetailedFor's result }
+   */
+  const issueGeneratedDetailedFor = (subject, durationMs, generatorOptions, context) => {
+    const normalized = normalizeSubject(subject);
     purgeExpired();
-    
-    // Validate and cap duration to maximum allowed
-    // Defensive coding: coerce to number and clamp to five-minute SLA.
-    const cappedDuration = Math.min(Number(durationMs) || 0, MAX_MS);
-    const now = Date.now();
 
-    // Check if unexpired passcode already exists BEFORE setting new value
-    const existingEntry = store.get(passcode);
-    const existedAndUnexpired = existingEntry && existingEntry.expiresAt > now && !existingEntry.used;
+    // Only the subject's own codes matter: two customers may share a code.
+    for (let attempt = 0; attempt < MAX_GENERATE_ATTEMPTS; attempt++) {
+      const passcode = generateCode(generatorOptions);
+      if (!findEntry(identityOf(normalized, passcode))) {
+        return { passcode, ...issueDetailedFor(normalized, passcode, durationMs, context) };
+      }
+    }
 
-    // Set/overwrite passcode with new duration
-    store.set(passcode, {
-      expiresAt: now + cappedDuration,
-      used: false
+    throw new Error('Could not generate an unused passcode; use a longer code or larger alphabet');
+  };
+
+  /**
+   * Generates a secure random passcode and issues it to a subject
+   * 
+   * @private
+   * @param {string|null} subject - Subject to bind the code to (null for unbound)
+   * @param {number} durationMs - Duration in milliseconds, clamped to the policy's range
+   * @param {Object} [generatorOptions] - { length, alphabet } (see passcodeGenerator.js)
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {number|string} The newly issued passcode
+   */
+  const issueGeneratedFor = (subject, durationMs, generatorOptions, context) =>
+    issueGeneratedDetailedFor(subject, durationMs, generatorOptions, context).passcode;
+
+  /**
+   * Generates a secure random passcode and issues it
+   * Retries until the code does not collide with any live passcode.
+   * 
+   * @param {number} durationMs - Duration in milliseconds, clamped to the policy's range
+   * @param {Object} [generatorOptions] - { length, alphabet } (see passcodeGenerator.js)
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {number|string} The newly issued passcode
+   * @throws {RangeError} If the generator options are invalid or break the policy's length rules
+   * @throws {Error} If no unused code could be found (code space exhausted)
+   * 
+   * @example
+   * const code = otp.issueGenerated(60000, { length: 8, alphabet: 'unambiguous' });
+   * console.log(code); // e.g. 'K7RM3XQ9'
+   */
+  const issueGenerated = (durationMs, generatorOptions, context) =>
+    issueGeneratedFor(null, durationMs, generatorOptions, context);
+
+  /**
+   * Issues many codes at once, e.g. codes pre-issued for a promotion
+   * Each row succeeds or fails on its own. A row repeating an earlier row's
+   * subject and passcode is refused as a duplicate rather than reissued, so
+   * a pasted-twice line cannot silently shorten or extend a code.
+   *
+   * @param {Object[]} rows - { passcode?, subject?, durationMs? } per code; rows
+   *   without a passcode get a generated one
+   * @param {Object} [options]
+   * @param {number} [options.durationMs] - Duration for rows that give none
+   * @param {Object} [options.generator] - { length, alphabet } for generated codes (see passcodeGenerator.js)
+   * @param {boolean} [options.dryRun=false] - Validate every row without issuing anything
+   * @param {Object} [options.context] - { client } identifying the caller, e.g. an IP address
+   * @returns {Object[]} One result per row, in order: { ok: true, subject, passcode,
+   *   existed, requestedMs, durationMs, expiresAt, clamped } (a dry run gives no
+   *   durationMs or expiresAt, and passcode null for rows to be generated), or
+   *   { ok: false, subject, passcode, reason, message } with reason 'invalid_subject',
+   *   'invalid_duration', 'invalid_format', 'duplicate', 'invalid_generator_options'
+   *   or 'code_space_exhausted'
+   *
+   * @example
+   * otp.issueBatch([{ passcode: 111111 }, { passcode: 222222, durationMs: 120000 }, { passcode: 111111 }], { durationMs: 60000 });
+   * // [{ ok: true, ... }, { ok: true, ... }, { ok: false, reason: 'duplicate', ... }]
+   */
+  const issueBatch = (rows, options = {}) => {
+    const seen = new Set();
+    const dryRun = Boolean(options.dryRun);
+
+    return rows.map((row) => {
+      const passcode = row.passcode === undefined || row.passcode === null || row.passcode === '' ? null : row.passcode;
+      const fail = (reason, message, subject = row.subject ?? null) => ({ ok: false, subject, passcode, reason, message });
+
+      let subject;
+      try {
+        subject = normalizeSubject(row.subject);
+      } catch (error) {
+        return fail('invalid_subject', error.message);
+      }
+
+      const durationMs = Number(row.durationMs ?? options.durationMs);
+      if (!Number.isFinite(durationMs) || durationMs <= 0) {
+        return fail('invalid_duration', 'durationMs must be a positive number of milliseconds', subject);
+      }
+
+      if (passcode === null) {
+        try {
+          if (dryRun) {
+            // A sample code checks the generator options against the policy.
+            generateCode(options.generator);
+            return { ok: true, subject, passcode: null, existed: false, requestedMs: durationMs, clamped: clampDuration(durationMs) !== durationMs };
+          }
+          const { ok, reason, ...issued } = issueGeneratedDetailedFor(subject, durationMs, options.generator, options.context);
+          return { ok, subject, ...issued };
+        } catch (error) {
+          if (error instanceof RangeError) return fail('invalid_generator_options', error.message, subject);
+          return fail('code_space_exhausted', error.message, subject);
+        }
+      }
+
+      const problem = passcodeProblem(passcode);
+      if (problem) return fail('invalid_format', problem, subject);
+
+      const rowKey = JSON.stringify([subject, passcode]);
+      if (seen.has(rowKey)) return fail('duplicate', 'this customer and passcode appear earlier in the batch', subject);
+      seen.add(rowKey);
+
+      if (dryRun) {
+        purgeExpired();
+        const existing = findEntry(identityOf(subject, passcode));
+        return {
+          ok: true,
+          subject,
+          passcode,
+          existed: Boolean(existing && existing.entry.expiresAt > clock.now() && !existing.entry.used),
+          requestedMs: durationMs,
+          clamped: clampDuration(durationMs) !== durationMs
+        };
+      }
+
+      const { ok, reason, ...issued } = issueDetailedFor(subject, passcode, durationMs, options.context);
+      return { ok, subject, passcode, ...issued };
     });
+  };
+
+  /**
+   * Reads the caller identity from an operation's context
+   * 
+   * @private
+   * @param {Object} [context] - { client }
+   * @returns {string|null} Client identity, or null for in-process callers
+   */
+  const clientOf = (context) => (context && context.client ? String(context.client) : null);
+
+  /**
+   * Lists the limiter identities an attempt counts against
+   * 
+   * @private
+   * @param {string|null} subject - Normalised subject
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {Array<{ scope: string, id: string, key: string }>} Identities (possibly empty)
+   */
+  const attemptIdentities = (subject, context = {}) => {
+    const identities = [];
+    if (subject !== null) identities.push({ scope: 'subject', id: subject, key: `subject:${subject}` });
+    if (context.client) identities.push({ scope: 'client', id: String(context.client), key: `client:${context.client}` });
+    return identities;
+  };
+
+  /**
+   * Returns the active lockout for a subject and/or client, if any
+   * When both are locked, the one that lifts last is reported.
+   * 
+   * @param {string|null} subject - Subject presenting codes (null for unbound codes)
+   * @param {Object} [context] - { client } identifying the caller
+   * @returns {Object|null} { scope: 'subject'|'client', id, unlocksAt, retryAfterMs } or null
+   * @throws {TypeError} If the subject is not a non-empty string
+   * 
+   * @example
+   * otp.getLockout('alice@example.com'); // { scope: 'subject', id: 'alice@example.com', unlocksAt, retryAfterMs }
+   */
+  const getLockout = (subject, context) => latestLockout(attemptIdentities(normalizeSubject(subject), context));
+
+  /**
+   * Picks the lockout that lifts last among an attempt's identities
+   * 
+   * @private
+   * @param {Array<{ scope: string, id: string, key: string }>} identities - Result of attemptIdentities()
+   * @returns {Object|null} { scope, id, unlocksAt, retryAfterMs } or null
+   */
+  const latestLockout = (identities) => {
+    if (!limiter) return null;
+
+    let latest = null;
+    for (const { scope, id, key } of identities) {
+      const lockout = limiter.getLockout(key);
+      if (lockout && (!latest || lockout.unlocksAt > latest.unlocksAt)) latest = { scope, id, ...lockout };
+    }
+    return latest;
+  };
 
-    return Boolean(existedAndUnexpired);
+  /**
+   * Reports whether the global verification rate limit is exhausted
+   * 
+   * @returns {{ retryAfterMs: number }|null} Wait time, or null if attempts may proceed now
+   */
+  const getRateLimit = () => {
+    const retryAfterMs = bucket ? bucket.retryAfterMs() : 0;
+    return retryAfterMs > 0 ? { retryAfterMs } : null;
+  };
+
+  /**
+   * Consumes one use of a live passcode identity
+   * The entry is spent once the policy's maxUses is reached - unless a grace
+   * period is set, in which case it stays usable until graceMs after its
+   * first use and then expires.
+   * 
+   * The use is written with a compare-and-set (see storageAdapters.js), so
+   * when several processes share the storage and read the same entry, only
+   * one of them counts each use; the others read the entry again.
+   * 
+   * @private
+   * @param {number|string} identity - Result of identityOf()
+   * @returns {Object} { ok: true, id, uses, spent, expiresAt? } for the consumed event,
+   *   or { ok: false, reason } if the code was not live
+   * @throws {Error} If the storage keeps refusing the write (MAX_CONSUME_ATTEMPTS)
+   */
+  const consume = (identity) => {
+    purgeExpired();
+
+    for (let attempt = 0; attempt < MAX_CONSUME_ATTEMPTS; attempt++) {
+      const found = findEntry(identity);
+
+      // Reject if passcode doesn't exist - saying why if we saw it die. A code
+      // that vanished while we raced for it was used up by the winner.
+      if (!found) {
+        const reason = reasonForMissing(identity);
+        return { ok: false, reason: attempt > 0 && reason === 'unknown' ? 'already_used' : reason };
+      }
+
+      const { key, entry } = found;
+      const now = clock.now();
+
+      // Reject if expired or already used
+      if (entry.expiresAt <= now || entry.used) {
+        const reason = entry.used ? 'already_used' : 'expired';
+        store.delete(key);
+        bury(key, entry, reason);
+        return { ok: false, reason };
+      }
+
+      // Count the use on a copy: the stored entry is what the swap compares against.
+      const next = { ...entry, uses: (entry.uses || 0) + 1 };
+      if (next.firstUsedAt === undefined) next.firstUsedAt = now;
+      if (next.uses >= policy.maxUses) {
+        const graceEndsAt = next.firstUsedAt + policy.graceMs;
+        if (graceEndsAt > now) next.expiresAt = Math.min(next.expiresAt, graceEndsAt);
+        else next.used = true;
+      }
+
+      // Spent codes go straight away so follow-up reads reflect the consumed state.
+      if (!storageLib.compareAndSetEntry(store, key, entry, next.used ? undefined : next)) continue;
+      if (next.used) bury(key, next, 'already_used');
+      else expiries.add(key, next.expiresAt);
+
+      return {
+        ok: true,
+        id: String(key),
+        uses: next.uses,
+        spent: next.used,
+        ...(next.used ? {} : { expiresAt: next.expiresAt }),
+        // Entries persisted by older versions have no issue time.
+        ...(next.issuedAt === undefined ? {} : { issuedAt: next.issuedAt })
+      };
+    }
+
+    throw new Error('The storage kept changing while a passcode was being used; try again');
+  };
+
+  /**
+   * Verifies a subject-bound passcode and explains the outcome
+   * Succeeds only if the code was issued to this subject; a code issued to
+   * another subject (or unbound) is 'unknown' to it and left untouched.
+   * 
+   * Every failure except invalid_format counts against the subject and the
+   * client; once either is locked out (or the global rate limit is
+   * exhausted) attempts are refused without checking the code.
+   * 
+   * @param {string|null} subject - Subject presenting the code (null for unbound codes)
+   * @param {number|string} passcode - Passcode to validate
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {Object} Accepted: { ok: true, reason: null, uses, spent, remainingMs } (remainingMs
+   *   is how long the code stays usable, 0 once spent). Rejected: { ok: false, reason } with
+   *   reason one of OTP_REJECT_REASONS; locked adds { scope, id, unlocksAt, retryAfterMs },
+   *   rate_limited adds { retryAfterMs } and invalid_format adds { message }
+   * @throws {TypeError} If the subject is not a non-empty string
+   * 
+   * @example
+   * otp.issueFor('alice@example.com', 123456, 60000);
+   * otp.verifyFor('alice@example.com', 123456); // { ok: true, reason: null, uses: 1, spent: true, remainingMs: 0 }
+   * otp.verifyFor('alice@example.com', 123456); // { ok: false, reason: 'already_used' }
+   */
+  const verifyFor = (subject, passcode, context) => {
+    const normalized = normalizeSubject(subject);
+
+    // Cannot match any issued code, so it is neither checked nor counted.
+    const problem = passcodeProblem(passcode);
+    if (problem) {
+      emit('rejected', { subject: normalized, passcode, client: clientOf(context), reason: 'invalid_format' });
+      return { ok: false, reason: 'invalid_format', message: problem };
+    }
+
+    return attempt(normalized, passcode, () => consume(identityOf(normalized, passcode)), context);
+  };
+
+  /**
+   * Attempts to use a subject-bound passcode for authentication
+   * Same rules as verifyFor, reduced to a yes/no answer.
+   * 
+   * @param {string|null} subject - Subject presenting the code (null for unbound codes)
+   * @param {number|string} passcode - Passcode to validate
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {boolean} true if login accepted, false if rejected
+   * @throws {TypeError} If the subject is not a non-empty string
+   * 
+   * @example
+   * otp.issueFor('alice@example.com', 123456, 60000);
+   * otp.useOnceFor('bob@example.com', 123456);   // false (not Bob's code)
+   * otp.useOnceFor('alice@example.com', 123456, { client: '203.0.113.7' }); // true
+   */
+  const useOnceFor = (subject, passcode, context) => verifyFor(subject, passcode, context).ok;
+
+  /**
+   * Verifies a code that the caller checks itself rather than one issued
+   * into storage - e.g. an authenticator-app code (see totp.js)
+   * 
+   * The same rules as verifyFor apply: lockouts and the rate limit are
+   * enforced, the attempt counts as a success or failure, and consumed or
+   * rejected is emitted. `claim` must make its own code single-use: return
+   * { id } for an unused match (recording it as used), or { reason } (one of
+   * OTP_REJECT_REASONS, usually 'unknown' or 'already_used') otherwise.
+   * 
+   * @param {string|null} subject - Subject presenting the code
+   * @param {number|string} passcode - Presented code
+   * @param {function(): Object} claim - Checks and claims the code; returns { id } or { reason }
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {Object} { ok: true, reason: null, spent: true, remainingMs: 0 } or a rejection (see verifyFor)
+   * @throws {TypeError} If the subject is not a non-empty string
+   * 
+   * @example
+   * // Accepts the code once per time step; totp.js builds its verify() on this.
+   * otp.verifyWith('staff@example.com', code, () => claimTimeStep('staff@example.com', code));
+   */
+  const verifyWith = (subject, passcode, claim, context) =>
+    attempt(normalizeSubject(subject), passcode, () => {
+      const claimed = claim();
+      return claimed.reason ? { ok: false, reason: claimed.reason } : { ok: true, id: String(claimed.id), spent: true };
+    }, context);
+
+  /**
+   * Attempts to use a code checked elsewhere (see verifyWith), as a yes/no answer
+   * 
+   * @param {string|null} subject - Subject presenting the code
+   * @param {number|string} passcode - Presented code
+   * @param {function(): Object} claim - Checks and claims the code; returns { id } or { reason }
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {boolean} true if login accepted, false if rejected
+   * @throws {TypeError} If the subject is not a non-empty string
+   */
+  const useOnceWith = (subject, passcode, claim, context) => verifyWith(subject, passcode, claim, context).ok;
+
+  /**
+   * Runs one verification attempt through the brute-force guards
+   * 
+   * @private
+   * @param {string|null} normalized - Normalised subject
+   * @param {number|string} passcode - Presented code
+   * @param {function(): Object} check - Consumes the code; returns { ok: true, id, ... } (consumed-event
+   *   details) or { ok: false, reason }
+   * @param {Object} [context] - { client } identifying the caller
+   * @returns {Object} Verification result (see verifyFor)
+   */
+  const attempt = (normalized, passcode, check, context) => {
+    const identities = attemptIdentities(normalized, context);
+
+    // Locked or throttled attempts are not counted, so waiting out a lockout
+    // is always enough to recover.
+    const client = clientOf(context);
+    const reject = (reason, details) => {
+      emit('rejected', { subject: normalized, passcode, client, reason });
+      return { ok: false, reason, ...details };
+    };
+
+    const lockout = latestLockout(identities);
+    if (lockout) return reject('locked', lockout);
+    if (bucket && !bucket.take()) return reject('rate_limited', { retryAfterMs: bucket.retryAfterMs() });
+
+    const { ok, reason, ...consumed } = check();
+
+    if (limiter) {
+      identities.forEach(({ key: limiterKey }) => ok ? limiter.recordSuccess(limiterKey) : limiter.recordFailure(limiterKey));
+    }
+    if (!ok) return reject(reason);
+
+    emit('consumed', { ...consumed, subject: normalized, passcode, client });
+    return {
+      ok: true,
+      reason: null,
+      ...(consumed.uses === undefined ? {} : { uses: consumed.uses }),
+      spent: consumed.spent,
+      remainingMs: consumed.spent ? 0 : consumed.expiresAt - clock.now()
+    };
   };
 
+  /**
+   * Verifies an unbound passcode and explains the outcome (see verifyFor)
+   * 
+   * @param {number|string} passcode - Passcode to validate
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {Object} { ok, reason, ... } - reason says why a code was refused
+   * 
+   * @example
+   * otp.issue(123456, 1000);
+   * clock.advance(2000);
+   * otp.verify(123456); // { ok: false, reason: 'expired' }
+   */
+  const verify = (passcode, context) => verifyFor(null, passcode, context);
+
   /**
    * Attempts to use a passcode for authentication
    * Each passcode can only be used once (single-use enforcement)
    * 
-   * @param {number} passcode - Integer passcode to validate
+   * @param {number|string} passcode - Passcode to validate
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
    * @returns {boolean} true if login accepted, false if rejected
    * 
    * @example
    * const success = otp.useOnce(123456);
-   * console.log(success); // true if valid, false if expired/used/invalid
+   * console.log(success); // true if valid, false if expired/used/invalid/locked out (verify() says which)
    */
-  const useOnce = (passcode) => {
+  const useOnce = (passcode, context) => useOnceFor(null, passcode, context);
+
+  /**
+   * Looks up a live passcode without consuming it
+   * 
+   * @private
+   * @param {string|null} subject - Subject the code was issued to (null for unbound)
+   * @param {number|string} passcode - Passcode to inspect
+   * @returns {Object|null} { id, passcode, subject, expiresAt, remainingMs, uses, state } or null if not live
+   */
+  const getFor = (subject, passcode) => {
+    const normalized = normalizeSubject(subject);
     purgeExpired();
 
-    const entry = store.get(passcode);
+    const found = findEntry(identityOf(normalized, passcode));
+    if (!found) return null;
 
-    // Reject if passcode doesn't exist
-    if (!entry) return false;
-    
-    const now = Date.now();
-    
-    // Reject if expired or already used
-    if (entry.expiresAt <= now || entry.used) {
-      store.delete(passcode);
-      return false;
+    return describeEntry(found.key, found.entry, { subject: normalized, passcode });
+  };
+
+  /**
+   * Looks up a live passcode on behalf of a caller, without consuming it
+   * Lookups answer whether a code exists, so they pass the same guards as
+   * verifyFor: a locked-out subject or client and an exhausted rate limit
+   * are refused, and a miss counts as a failure towards the lockout. A hit
+   * leaves the failure counts alone, and no event is emitted either way.
+   * 
+   * @param {string|null} subject - Subject the code was issued to (null for unbound)
+   * @param {number|string} passcode - Passcode to inspect
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {Object} { ok: true, reason: null, otp } with otp as from get(), or
+   *   { ok: false, reason } with reason 'unknown', 'invalid_format' (adding { message },
+   *   not counted), 'locked' (adding { scope, id, unlocksAt, retryAfterMs }) or
+   *   'rate_limited' (adding { retryAfterMs })
+   * @throws {TypeError} If the subject is not a non-empty string
+   * 
+   * @example
+   * otp.lookupFor('alice@example.com', 123456, { client: '203.0.113.7' });
+   * // { ok: true, reason: null, otp: { id, passcode: 123456, subject: 'alice@example.com', ... } }
+   */
+  const lookupFor = (subject, passcode, context) => {
+    const normalized = normalizeSubject(subject);
+    const problem = passcodeProblem(passcode);
+    if (problem) return { ok: false, reason: 'invalid_format', message: problem };
+
+    const identities = attemptIdentities(normalized, context);
+    const lockout = latestLockout(identities);
+    if (lockout) return { ok: false, reason: 'locked', ...lockout };
+    if (bucket && !bucket.take()) return { ok: false, reason: 'rate_limited', retryAfterMs: bucket.retryAfterMs() };
+
+    const otp = getFor(normalized, passcode);
+    if (otp) return { ok: true, reason: null, otp };
+    if (limiter) identities.forEach(({ key: limiterKey }) => limiter.recordFailure(limiterKey));
+    return { ok: false, reason: 'unknown' };
+  };
+
+  /**
+   * Looks up a live unbound passcode on behalf of a caller (see lookupFor)
+   * 
+   * @param {number|string} passcode - Passcode to inspect
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {Object} { ok: true, reason: null, otp } or { ok: false, reason }
+   */
+  const lookup = (passcode, context) => lookupFor(null, passcode, context);
+
+  /**
+   * Builds the public view of a stored entry
+   * 
+   * @private
+   * @param {*} key - Storage key
+   * @param {Object} entry - Stored entry
+   * @param {{ subject: string|null, passcode: number|string|null }} names - Subject and passcode
+   * @returns {Object} { id, passcode, subject, expiresAt, remainingMs, uses, state }
+   */
+  // Used and expired entries are purged before any read, so everything
+  // visible is active; `state` is kept so callers need not assume that.
+  const describeEntry = (key, entry, names) => ({
+    id: String(key),
+    passcode: names.passcode,
+    subject: names.subject,
+    expiresAt: entry.expiresAt,
+    remainingMs: entry.expiresAt - clock.now(),
+    uses: entry.uses || 0,
+    state: 'active'
+  });
+
+  /**
+   * Lists live passcodes, soonest expiry first
+   * With hashed storage the passcode of each entry is null (it is never kept).
+   * 
+   * @param {Object} [filter]
+   * @param {string} [filter.subject] - Only codes bound to this subject
+   * @returns {Object[]} Array of { id, passcode, subject, expiresAt, remainingMs, uses, state }
+   * @throws {TypeError} If the subject filter is not a non-empty string
+   * 
+   * @example
+   * otp.list();                                 // every live code
+   * otp.list({ subject: 'alice@example.com' }); // Alice's codes only
+   */
+  const list = (filter = {}) => {
+    const subject = filter.subject === undefined ? undefined : normalizeSubject(filter.subject);
+    purgeExpired();
+
+    const live = [];
+    for (const [key, entry] of liveEntries()) {
+      const details = describeEntry(key, entry, describeKey(key, entry));
+      if (subject === undefined || details.subject === subject) live.push(details);
     }
-    
-    // Mark as used and accept login
-    entry.used = true;
-    store.set(passcode, entry);
+    return live.sort((a, b) => a.expiresAt - b.expiresAt);
+  };
 
-    // Immediately purge so follow-up reads reflect the consumed state.
+  /**
+   * Pushes back the expiry of a live passcode without reissuing it
+   * 
+   * @private
+   * @param {string|null} subject - Subject the code was issued to (null for unbound)
+   * @param {number|string} passcode - Passcode to extend
+   * @param {number} extendMs - Milliseconds to add to the current expiry
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {Object|null} Updated details (see get) or null if not live
+   * @throws {Error} If the storage keeps refusing the write (MAX_CONSUME_ATTEMPTS)
+   */
+  const extendFor = (subject, passcode, extendMs, context) => {
+    const normalized = normalizeSubject(subject);
     purgeExpired();
-    
+
+    for (let attempt = 0; attempt < MAX_CONSUME_ATTEMPTS; attempt++) {
+      // A code another process used up or revoked since the last read is gone, not extended.
+      const found = findEntry(identityOf(normalized, passcode));
+      if (!found) return null;
+
+      // The policy's maximum applies from now, exactly as for a fresh issue.
+      const { key, entry } = found;
+      const now = clock.now();
+      const next = {
+        ...entry,
+        expiresAt: Math.min(entry.expiresAt + Math.max(Number(extendMs) || 0, 0), now + policy.maxDurationMs)
+      };
+      // Swapped in like a use (see consume), so a write raced by a use or revoke cannot revive the code.
+      if (!storageLib.compareAndSetEntry(store, key, entry, next)) continue;
+      expiries.add(key, next.expiresAt);
+
+      emit('extended', {
+        id: String(key),
+        subject: normalized,
+        passcode,
+        expiresAt: next.expiresAt,
+        extendedByMs: next.expiresAt - entry.expiresAt,
+        client: clientOf(context)
+      });
+
+      return describeEntry(key, next, { subject: normalized, passcode });
+    }
+
+    throw new Error('The storage kept changing while a passcode was being extended; try again');
+  };
+
+  /**
+   * Cancels a live passcode so it can no longer be used
+   * 
+   * @private
+   * @param {string|null} subject - Subject the code was issued to (null for unbound)
+   * @param {number|string} passcode - Passcode to revoke
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {boolean} true if a live passcode was revoked, false if none existed
+   */
+  const revokeFor = (subject, passcode, context) => {
+    const normalized = normalizeSubject(subject);
+    purgeExpired();
+
+    const found = findEntry(identityOf(normalized, passcode));
+    if (!found) return false;
+
+    store.delete(found.key);
+    bury(found.key, found.entry, 'revoked');
+    emit('revoked', { id: String(found.key), subject: normalized, passcode, client: clientOf(context) });
     return true;
   };
 
+  /**
+   * Looks up a live (unbound) passcode without consuming it
+   * 
+   * @param {number|string} passcode - Passcode to inspect
+   * @returns {Object|null} { id, passcode, subject, expiresAt, remainingMs, uses, state } or null if not live
+   * 
+   * @example
+   * otp.get(123456); // { id: '123456', passcode: 123456, subject: null, expiresAt, remainingMs: 29000, uses: 0, state: 'active' }
+   */
+  const get = (passcode) => getFor(null, passcode);
+
+  /**
+   * Cancels a live (unbound) passcode so it can no longer be used
+   * 
+   * @param {number|string} passcode - Passcode to revoke
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {boolean} true if a live passcode was revoked, false if none existed
+   */
+  const revoke = (passcode, context) => revokeFor(null, passcode, context);
+
+  /**
+   * Pushes back the expiry of a live (unbound) passcode
+   * Unlike issue(), the remaining time is kept and extendMs added to it; the
+   * result is still capped at the policy's maximum duration from now.
+   * 
+   * @param {number|string} passcode - Passcode to extend
+   * @param {number} extendMs - Milliseconds to add
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {Object|null} Updated details (see get) or null if not live
+   * 
+   * @example
+   * otp.issue(123456, 30000);
+   * otp.extend(123456, 60000).remainingMs; // 90000
+   */
+  const extend = (passcode, extendMs, context) => extendFor(null, passcode, extendMs, context);
+
+  /**
+   * Returns the store API bound to one subject
+   * 
+   * @param {string|null} subject - Customer id, email or session id (null for unbound codes)
+   * @returns {Object} { issue, issueDetailed, issueGenerated, useOnce, verify, get, lookup, list, revoke, extend }
+   *   scoped to the subject
+   * @throws {TypeError} If the subject is not a non-empty string
+   * 
+   * @example
+   * const alice = otp.forSubject('alice@example.com');
+   * const code = alice.issueGenerated(60000);
+   * alice.useOnce(code); // true
+   */
+  const forSubject = (subject) => {
+    const normalized = normalizeSubject(subject);
+    return {
+      issue: (passcode, durationMs, context) => issueFor(normalized, passcode, durationMs, context),
+      issueDetailed: (passcode, durationMs, context) => issueDetailedFor(normalized, passcode, durationMs, context),
+      issueGenerated: (durationMs, generatorOptions, context) =>
+        issueGeneratedFor(normalized, durationMs, generatorOptions, context),
+      useOnce: (passcode, context) => useOnceFor(normalized, passcode, context),
+      verify: (passcode, context) => verifyFor(normalized, passcode, context),
+      get: (passcode) => getFor(normalized, passcode),
+      lookup: (passcode, context) => lookupFor(normalized, passcode, context),
+      list: () => list({ subject: normalized }),
+      revoke: (passcode, context) => revokeFor(normalized, passcode, context),
+      extend: (passcode, extendMs, context) => extendFor(normalized, passcode, extendMs, context)
+    };
+  };
+
+  /**
+   * Returns the policy this store enforces
+   * The console reads it to validate input with the same limits.
+   * 
+   * @returns {Object} Frozen policy (see otpPolicy.js), including its `preset` name
+   * 
+   * @example
+   * createOtpStore({ policy: 'strict' }).getPolicy().maxDurationMs; // 120000
+   */
+  const getPolicy = () => policy;
+
+  /**
+   * Subscribes to store events
+   * Every event carries `type`, `at` (store clock) and, except for rejected,
+   * an opaque `id` naming the stored entry, plus passcode and subject (the
+   * passcode is null for expired entries when hashing hides it). Events
+   * caused by a caller add its `client` (null when none was given);
+   * issued/reissued add expiresAt and durationMs, extended adds expiresAt and
+   * extendedByMs, consumed adds spent (false while further uses or a grace
+   * period remain) and, for stored codes, uses, the live expiresAt and
+   * issuedAt (when the code was last issued); expired adds uses (0 when the
+   * code was never used); rejected adds its reason (one of OTP_REJECT_REASONS).
+   * 
+   * @param {string} type - One of OTP_EVENTS
+   * @param {function(Object): void} listener - Called synchronously with each event
+   * @returns {function(): void} Unsubscribe function (same as calling off)
+   * @throws {TypeError} If the event type is unknown
+   * 
+   * @example
+   * const stop = otp.on('expired', event => console.log(`${event.id} expired`));
+   * stop();
+   */
+  const on = (type, listener) => {
+    if (!listeners.has(type)) throw new TypeError(`Unknown OTP event "${type}"`);
+    listeners.get(type).add(listener);
+    if (type === 'expired') scheduleExpiry();
+    return () => off(type, listener);
+  };
+
+  /**
+   * Removes a listener added with on()
+   * 
+   * @param {string} type - Event type
+   * @param {function(Object): void} listener - The listener to remove
+   */
+  const off = (type, listener) => {
+    if (!listeners.has(type)) return;
+    listeners.get(type).delete(listener);
+    if (type === 'expired' && listeners.get(type).size === 0 && expiryTimer) {
+      clearTimeout(expiryTimer);
+      expiryTimer = null;
+    }
+  };
+
+  /**
+   * Removes expired entries now, emitting their expired events
+   * Useful after moving an injected clock forward; otherwise the store
+   * sweeps on every operation and on its own timer.
+   */
+  const sweep = () => {
+    purgeExpired();
+  };
+
+  /**
+   * Reports what has happened to codes since the store was created
+   * Counters come from the store's events (see otpMetrics.js); live is counted
+   * now. A reissue restarts its code's time-to-redeem.
+   *
+   * @returns {Object} { since, live, issued, reissued, extended, consumed, rejected,
+   *   rejections: { reason: count }, revoked, expired, expiredUnused,
+   *   timeToRedeemMs: { bounds, counts, count, sumMs } }
+   *
+   * @example
+   * const otp = createOtpStore();
+   * otp.issue(123456, 60000);
+   * otp.useOnce(123456);
+   * otp.useOnce(123456);
+   * const { issued, consumed, rejections } = otp.stats(); // 1, 1, { already_used: 1 }
+   */
+  const stats = () => {
+    purgeExpired();
+    const live = liveEntries().length;
+    return { live, ...metrics.snapshot() };
+  };
+
+  /**
+   * Captures every live code as a snapshot document (see otpSnapshot.js)
+   * Expired and spent codes are left out. Hashed stores export their keys
+   * and checks, never raw codes, so their snapshots only restore into a
+   * store with the same secret. Lockouts, metrics and the reasons kept for
+   * dead codes are not included.
+   *
+   * @returns {Object} { format, version, createdAt, policy, hashed, entries: [{ key, expiresAt, ... }] }
+   *
+   * @example
+   * const backup = JSON.stringify(otp.snapshot());
+   */
+  const snapshot = () => {
+    purgeExpired();
+    const now = clock.now();
+    const entries = [];
+    for (const [key, entry] of liveEntries()) {
+      const { used, ...fields } = entry;
+      entries.push({ key, ...fields });
+    }
+    return {
+      format: snapshotLib.OTP_SNAPSHOT_FORMAT,
+      version: snapshotLib.OTP_SNAPSHOT_VERSION,
+      createdAt: now,
+      policy: policy.preset,
+      hashed: Boolean(hasher),
+      entries
+    };
+  };
+
+  /**
+   * Loads the codes of a snapshot document, migrating older schema versions
+   * Codes that have expired since, or that this store's policy would not
+   * accept (too short, or out of uses), are dropped, and expiries are
+   * capped at this policy's maxDurationMs from now. A snapshot code replaces
+   * a code held under the same key. Nothing is loaded unless the whole
+   * document is valid.
+   *
+   * @param {Object} document - Result of snapshot(), as parsed JSON (open sealed ones first)
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Remove every current code first
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {Object} { restored, dropped, replaced, migratedFrom }
+   * @throws {TypeError} If the document is not a valid snapshot, is sealed, or its
+   *   hashing does not match this store's
+   * @throws {RangeError} If it was written by a newer schema version
+   *
+   * @example
+   * createOtpStore().restore(JSON.parse(backup)); // { restored: 12, dropped: 3, replaced: 0, migratedFrom: null }
+   */
+  const restore = (document, options = {}, context) => {
+    const { snapshot: current, migratedFrom } = snapshotLib.migrateSnapshot(document);
+    if (current.hashed !== Boolean(hasher)) {
+      throw new TypeError(current.hashed
+        ? 'Snapshot holds hashed codes; restore it into a store with the same hashing secret'
+        : 'Snapshot holds raw codes; this store keeps hashed codes only');
+    }
+    if (!Array.isArray(current.entries)) throw new TypeError('Snapshot has no entries list');
+    current.entries.forEach((record, i) => {
+      const keyIsValid = record && (typeof record.key === 'string' || Number.isFinite(record.key));
+      if (!keyIsValid || !Number.isFinite(record.expiresAt)) throw new TypeError(`Snapshot entry ${i} is malformed`);
+      // Keys are described again below, after a replace has cleared the store,
+      // so one that cannot be must be refused while nothing has changed.
+      let described = null;
+      try {
+        described = describeKey(record.key, record);
+      } catch (error) {
+        // Not JSON; refused below.
+      }
+      const describable = described !== null &&
+        (described.subject === null || typeof described.subject === 'string') &&
+        (described.passcode === null || typeof described.passcode === 'string' || Number.isFinite(described.passcode));
+      if (!describable) throw new TypeError(`Snapshot entry ${i} has a malformed key`);
+    });
+
+    purgeExpired();
+    const now = clock.now();
+    let replaced = 0;
+    if (options.replace) {
+      for (const [key] of Array.from(store.entries())) {
+        store.delete(key);
+        replaced++;
+      }
+    }
+
+    let restored = 0;
+    let dropped = 0;
+    for (const { key, ...fields } of current.entries) {
+      const expiresAt = Math.min(fields.expiresAt, now + policy.maxDurationMs);
+      const inGrace = fields.firstUsedAt !== undefined && fields.firstUsedAt + policy.graceMs > now;
+      // Codes this policy could never accept (too short for it, say) would only clutter the list.
+      const unusable = !hasher && passcodeProblem(describeKey(key, fields).passcode) !== null;
+      if (expiresAt <= now || ((fields.uses || 0) >= policy.maxUses && !inGrace) || unusable) {
+        dropped++;
+        continue;
+      }
+      tombstones.delete(key);
+      put(key, { ...fields, expiresAt, used: false });
+      restored++;
+    }
+
+    emit('restored', { restored, dropped, replaced, version: current.version, migratedFrom, client: clientOf(context) });
+    scheduleExpiry();
+    return { restored, dropped, replaced, migratedFrom };
+  };
+
+  // Index entries persisted by a previous run (older versions kept spent
+  // codes flagged as used). Those that expired while we were down are purged
+  // by the first operation, so listeners attached right after creation (an
+  // audit log, say) still hear about them.
+  for (const [key, entry] of Array.from(store.entries())) {
+    if (entry.used) store.delete(key);
+    else expiries.add(key, entry.expiresAt);
+  }
+
   // Public API
   return { 
     issue, 
-    useOnce 
+    issueFor,
+    issueDetailed,
+    issueDetailedFor,
+    issueGenerated,
+    issueBatch,
+    useOnce,
+    useOnceFor,
+    useOnceWith,
+    verify,
+    verifyFor,
+    verifyWith,
+    get,
+    lookup,
+    lookupFor,
+    list,
+    revoke,
+    extend,
+    forSubject,
+    getLockout,
+    getRateLimit,
+    getPolicy,
+    stats,
+    snapshot,
+    restore,
+    on,
+    off,
+    sweep
   };
 }
 
-// --- self-test when run directly ---
-if (typeof require !== 'undefined' && require.main === module) {
-  console.log('🔐 Kiwi Sports Apparel OTP Store Test\n');
-  console.log('═'.repeat(60));
-  
-  // Instantiate a fresh store so tests run in isolation.
-  const otp = createOtpStore();
-  // Collect pass/fail results so we can present a clear summary for auditors.
-  let testResults = [];
-
-  // Test 1: Issue new OTP
-  console.log('📝 Test 1: Issuing new OTP (123456) for 10 minutes...');
-  const issuedNew = otp.issue(123456, 10 * 60 * 1000);
-  console.log(`   Result: ${issuedNew ? '✅ Reissued existing' : '🆕 New key created'}`);
-  console.log('   Expected: 🆕 New key created (false)');
-  testResults.push({ name: 'New key issue', pass: issuedNew === false });
-  console.log();
-
-  // Test 2: Re-issue same OTP (duration overwrite)
-  console.log('🔄 Test 2: Re-issuing same OTP (123456) for 30 seconds...');
-  console.log('   (Testing duration overwrite functionality)');
-  const reissued = otp.issue(123456, 30_000);
-  console.log(`   Result: ${reissued ? '✅ Reissued existing' : '🆕 New key created'}`);
-  console.log('   Expected: ✅ Reissued existing (true)');
-  testResults.push({ name: 'Key re-issue & duration overwrite', pass: reissued === true });
-  console.log();
-
-  // Test 3: Use OTP for the first time
-  console.log('🔑 Test 3: Using OTP for login...');
-  const firstUse = otp.useOnce(123456);
-  console.log(`   Result: ${firstUse ? '✅ Login accepted' : '❌ Login rejected'}`);
-  console.log('   Expected: ✅ Login accepted (true)');
-  testResults.push({ name: 'First use', pass: firstUse === true });
-  console.log();
-
-  // Test 4: Try to use same OTP again (single-use enforcement)
-  console.log('🚫 Test 4: Trying to use same OTP again...');
-  console.log('   (Testing single-use enforcement)');
-  const secondUse = otp.useOnce(123456);
-  console.log(`   Result: ${secondUse ? '✅ Login accepted' : '❌ Login rejected'}`);
-  console.log('   Expected: ❌ Login rejected (false)');
-  testResults.push({ name: 'Second use (single-use)', pass: secondUse === false });
-  console.log();
-
-  // Test 5: Duration cap enforcement (5-minute limit)
-  console.log('⏰ Test 5: Testing 5-minute duration limit...');
-  const excessiveDuration = otp.issue(999888, 10 * 60 * 1000); // 10 minutes requested
-  console.log('   Requested: 10 minutes (600,000ms)');
-  console.log('   System should cap to: 5 minutes (300,000ms)');
-  console.log(`   Result: ${excessiveDuration ? '✅ Reissued existing' : '🆕 New key created'}`);
-  console.log('   Expected: 🆕 New key created (false)');
-  testResults.push({ name: 'Duration cap enforcement', pass: excessiveDuration === false });
-  console.log();
-
-  // Test 6: Invalid passcode
-  console.log('❓ Test 6: Using invalid passcode...');
-  const invalidUse = otp.useOnce(999999);
-  console.log(`   Result: ${invalidUse ? '✅ Login accepted' : '❌ Login rejected'}`);
-  console.log('   Expected: ❌ Login rejected (false)');
-  testResults.push({ name: 'Invalid passcode rejection', pass: invalidUse === false });
-  console.log();
-
-  // Summary
-  console.log('═'.repeat(60));
-  console.log('📊 Client Requirements Compliance Test Results:');
-  console.log();
-  
-  testResults.forEach(test => {
-    console.log(`   ${test.name}: ${test.pass ? '✅ PASS' : '❌ FAIL'}`);
-  });
-  
-  const allPassed = testResults.every(test => test.pass);
-  console.log();
-  console.log('═'.repeat(60));
-  console.log(`🎯 Overall Compliance: ${allPassed ? '✅ ALL REQUIREMENTS MET!' : '❌ SOME REQUIREMENTS FAILED!'}`);
-  console.log();
-  
-  // Client Requirements Summary
-  console.log('📋 Client Requirements Met:');
-  console.log('   ✅ Integer passcode acceptance');
-  console.log('   ✅ Duration in milliseconds');
-  console.log('   ✅ 5-minute maximum duration limit');
-  console.log('   ✅ Inaccessible after expiration');
-  console.log('   ✅ Returns true if unexpired key exists');
-  console.log('   ✅ Returns false for new keys');
-  console.log('   ✅ Duration overwrite functionality');
-  console.log('   ✅ One-time use enforcement');
-}
-
 // Export for use in other modules (Node.js) or make available globally (browser)
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { createOtpStore };
+  module.exports = { createOtpStore, OTP_EVENTS, OTP_REJECT_REASONS };
 } else if (typeof window !== 'undefined') {
   // Make available globally for browser use
   window.createOtpStore = createOtpStore;
+  window.OTP_EVENTS = OTP_EVENTS;
+  window.OTP_REJECT_REASONS = OTP_REJECT_REASONS;
 }
@@ -0,0 +1,93 @@
+/**
+ * Secure Passcode Generator
+ *
+ * Produces unpredictable passcodes from a cryptographically secure random
+ * source (crypto.randomInt in Node, crypto.getRandomValues in the browser)
+ * so operators no longer have to invent codes by hand.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Character sets available to the generator
+ * - numeric: digits only; generated codes never start with 0 so they remain
+ *   valid integer passcodes
+ * - alphanumeric: upper-case letters and digits
+ * - unambiguous: alphanumeric without look-alikes (0/O, 1/I/L)
+ */
+const PASSCODE_ALPHABETS = {
+  numeric: '0123456789',
+  alphanumeric: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+  unambiguous: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'
+};
+
+const MIN_PASSCODE_LENGTH = 4;
+const MAX_PASSCODE_LENGTH = 12;
+
+/**
+ * Returns a uniformly distributed integer in [0, max)
+ *
+ * @private
+ * @param {number} max - Exclusive upper bound (at most 2^32)
+ * @returns {number} Secure random integer
+ */
+const secureRandomInt = (max) => {
+  if (typeof require !== 'undefined') {
+    return require('crypto').randomInt(max);
+  }
+
+  // Rejection sampling: discard values from the incomplete final bucket so
+  // every result is equally likely (no modulo bias).
+  const limit = Math.floor(0x100000000 / max) * max;
+  const buffer = new Uint32Array(1);
+  do {
+    window.crypto.getRandomValues(buffer);
+  } while (buffer[0] >= limit);
+  return buffer[0] % max;
+};
+
+/**
+ * Generates a random passcode
+ *
+ * @param {Object} [options]
+ * @param {number} [options.length=6] - Number of characters (4-12)
+ * @param {string} [options.alphabet='numeric'] - Key of PASSCODE_ALPHABETS
+ * @returns {number|string} Integer for the numeric alphabet, string otherwise
+ * @throws {RangeError} If length or alphabet is not supported
+ *
+ * @example
+ * generatePasscode();                                         // 482913
+ * generatePasscode({ length: 8, alphabet: 'unambiguous' });   // 'K7RM3XQ9'
+ */
+function generatePasscode(options = {}) {
+  const length = options.length ?? 6;
+  const alphabetName = options.alphabet || 'numeric';
+  const alphabet = PASSCODE_ALPHABETS[alphabetName];
+
+  if (!Number.isInteger(length) || length < MIN_PASSCODE_LENGTH || length > MAX_PASSCODE_LENGTH) {
+    throw new RangeError(`Passcode length must be an integer between ${MIN_PASSCODE_LENGTH} and ${MAX_PASSCODE_LENGTH}`);
+  }
+  if (!alphabet) {
+    throw new RangeError(`Unknown passcode alphabet "${alphabetName}"`);
+  }
+
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    // Numeric codes skip a leading zero so they survive the trip to an integer.
+    const first = alphabetName === 'numeric' && i === 0;
+    code += first ? alphabet[1 + secureRandomInt(9)] : alphabet[secureRandomInt(alphabet.length)];
+  }
+
+  return alphabetName === 'numeric' ? Number(code) : code;
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { generatePasscode, PASSCODE_ALPHABETS, MIN_PASSCODE_LENGTH, MAX_PASSCODE_LENGTH };
+} else if (typeof window !== 'undefined') {
+  window.generatePasscode = generatePasscode;
+  window.PASSCODE_ALPHABETS = PASSCODE_ALPHABETS;
+  window.MIN_PASSCODE_LENGTH = MIN_PASSCODE_LENGTH;
+  window.MAX_PASSCODE_LENGTH = MAX_PASSCODE_LENGTH;
+}
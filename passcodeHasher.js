@@ -0,0 +1,80 @@
+/**
+ * Passcode Hasher
+ *
+ * Turns raw passcodes into keyed HMAC-SHA256 digests so the OTP store never
+ * holds a live code in memory, in a persistence file or in a debug snapshot.
+ *
+ * Each digest is split in two:
+ * - key:   the first 16 hex characters, used as the storage key (lookup only)
+ * - check: the remaining 48 hex characters, kept inside the entry and
+ *          compared in constant time before a code is accepted
+ *
+ * Secrets can be rotated: new codes are always stored under the current
+ * secret, while codes issued under a previous secret keep validating until
+ * they expire.
+ *
+ * Node.js only - relies on the crypto module.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+const KEY_LENGTH = 16; // Hex characters of the digest used as the storage key
+
+/**
+ * Creates a hasher bound to a set of HMAC secrets
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Current HMAC secret (pepper)
+ * @param {string[]} [options.previousSecrets=[]] - Retired secrets still accepted for lookups
+ * @returns {Object} Hasher with current, candidates and matches methods
+ * @throws {Error} If no secret is configured
+ *
+ * @example
+ * const hasher = createPasscodeHasher({ secret: process.env.OTP_HASH_SECRET });
+ * const { key, check } = hasher.current(123456);
+ */
+function createPasscodeHasher(options = {}) {
+  if (!options.secret) {
+    throw new Error('Hashed passcode storage requires a secret');
+  }
+
+  const secrets = [options.secret, ...(options.previousSecrets || [])];
+
+  const digest = (secret, passcode) => {
+    const hex = crypto.createHmac('sha256', secret).update(String(passcode)).digest('hex');
+    return { key: hex.slice(0, KEY_LENGTH), check: hex.slice(KEY_LENGTH) };
+  };
+
+  return {
+    /**
+     * Digest under the current secret - where new entries are written
+     * @param {number|string} passcode
+     * @returns {{ key: string, check: string }}
+     */
+    current: (passcode) => digest(secrets[0], passcode),
+
+    /**
+     * Digests under every configured secret, current first
+     * @param {number|string} passcode
+     * @returns {Array<{ key: string, check: string }>}
+     */
+    candidates: (passcode) => secrets.map(secret => digest(secret, passcode)),
+
+    /**
+     * Constant-time comparison of two check values
+     * @param {string} stored - Check kept in the entry
+     * @param {string} presented - Check computed from the presented passcode
+     * @returns {boolean} true if they are identical
+     */
+    matches: (stored, presented) => {
+      const a = Buffer.from(String(stored), 'hex');
+      const b = Buffer.from(String(presented), 'hex');
+      return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+  };
+}
+
+module.exports = { createPasscodeHasher };
@@ -0,0 +1,383 @@
+/**
+ * QR Codes for the OTP Management System
+ *
+ * Encodes short texts - login links, authenticator enrollment URIs - as QR
+ * codes (ISO/IEC 18004) entirely on this machine, so codes and secrets are
+ * never sent to an image service. Only what those texts need is implemented:
+ * byte mode (UTF-8), error correction level M (about 15% of the symbol can be
+ * damaged or covered) and versions 1-15, which hold up to 412 bytes.
+ *
+ * encodeQrCode() returns the module matrix; qrCodeToSvg() draws it.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Level M error correction per version (index = version - 1):
+ * [ECC codewords per block, blocks in group 1, data codewords per group 1
+ * block, blocks in group 2 (one data codeword longer)]
+ */
+const QR_BLOCKS_M = [
+  [10, 1, 16, 0], [16, 1, 28, 0], [26, 1, 44, 0], [18, 2, 32, 0], [24, 2, 43, 0],
+  [16, 4, 27, 0], [18, 4, 31, 0], [22, 2, 38, 2], [22, 3, 36, 2], [26, 4, 43, 1],
+  [30, 1, 50, 4], [22, 6, 36, 2], [22, 8, 37, 1], [24, 4, 40, 5], [24, 5, 41, 5]
+];
+
+/**
+ * Alignment pattern centres per version (index = version - 1)
+ */
+const QR_ALIGNMENT_POSITIONS = [
+  [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46],
+  [6, 28, 50], [6, 30, 54], [6, 32, 58], [6, 34, 62], [6, 26, 46, 66], [6, 26, 48, 70]
+];
+
+/**
+ * Largest version encodeQrCode() produces
+ */
+const QR_MAX_VERSION = QR_BLOCKS_M.length;
+
+// GF(256) exponent and log tables for Reed-Solomon (primitive polynomial 0x11d).
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  GF_EXP[i] = x;
+  GF_LOG[x] = i;
+  x = (x << 1) ^ (x & 0x80 ? 0x11d : 0);
+}
+for (let i = 255; i < 512; i++) GF_EXP[i] = GF_EXP[i - 255];
+
+/**
+ * Multiplies two GF(256) elements
+ *
+ * @private
+ * @param {number} a - Element (0-255)
+ * @param {number} b - Element (0-255)
+ * @returns {number} Product
+ */
+const gfMultiply = (a, b) => (a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]]);
+
+/**
+ * Computes Reed-Solomon error correction codewords
+ *
+ * @private
+ * @param {number[]} data - Data codewords of one block
+ * @param {number} degree - Number of ECC codewords
+ * @returns {number[]} ECC codewords
+ */
+const reedSolomon = (data, degree) => {
+  // Generator polynomial (x - a^0)(x - a^1)...(x - a^(degree-1)), highest power first.
+  let generator = [1];
+  for (let i = 0; i < degree; i++) {
+    const next = new Array(generator.length + 1).fill(0);
+    generator.forEach((coefficient, j) => {
+      next[j] ^= coefficient;
+      next[j + 1] ^= gfMultiply(coefficient, GF_EXP[i]);
+    });
+    generator = next;
+  }
+
+  const remainder = new Array(degree).fill(0);
+  for (const codeword of data) {
+    const factor = codeword ^ remainder.shift();
+    remainder.push(0);
+    for (let j = 0; j < degree; j++) remainder[j] ^= gfMultiply(generator[j + 1], factor);
+  }
+  return remainder;
+};
+
+/**
+ * Builds the interleaved data and ECC codewords for a version
+ *
+ * @private
+ * @param {Uint8Array} bytes - Text bytes
+ * @param {number} version - Symbol version (1-15)
+ * @returns {number[]} Codewords in placement order
+ */
+const buildCodewords = (bytes, version) => {
+  const [eccPerBlock, group1, group1Data, group2] = QR_BLOCKS_M[version - 1];
+  const dataCodewords = group1 * group1Data + group2 * (group1Data + 1);
+
+  // Byte mode indicator, character count, the bytes, then a terminator.
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => push(byte, 8));
+  push(0, Math.min(4, dataCodewords * 8 - bits.length));
+  while (bits.length % 8) bits.push(0);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  for (let pad = 0xec; data.length < dataCodewords; pad ^= 0xec ^ 0x11) data.push(pad);
+
+  const blocks = [];
+  let offset = 0;
+  for (let i = 0; i < group1 + group2; i++) {
+    const length = group1Data + (i < group1 ? 0 : 1);
+    const blockData = data.slice(offset, offset + length);
+    blocks.push({ data: blockData, ecc: reedSolomon(blockData, eccPerBlock) });
+    offset += length;
+  }
+
+  // Interleave: first codeword of every block, then the second, and so on.
+  const codewords = [];
+  for (let i = 0; i < group1Data + 1; i++) {
+    blocks.forEach(block => {
+      if (i < block.data.length) codewords.push(block.data[i]);
+    });
+  }
+  for (let i = 0; i < eccPerBlock; i++) blocks.forEach(block => codewords.push(block.ecc[i]));
+  return codewords;
+};
+
+/**
+ * Data masks, by mask number: true where a module is inverted
+ *
+ * @private
+ */
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Scores a finished symbol with the standard's four mask penalty rules
+ * (lower is easier to scan)
+ *
+ * @private
+ * @param {boolean[][]} modules - Matrix, rows of columns
+ * @returns {number} Penalty
+ */
+const maskPenalty = (modules) => {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+  for (const line of lines) {
+    // Rule 1: runs of five or more modules of one colour.
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+    }
+    // Rule 3: finder-like 1:1:3:1:1 patterns next to four light modules.
+    const text = line.map(module => (module ? '1' : '0')).join('');
+    for (let i = text.indexOf('1011101'); i !== -1; i = text.indexOf('1011101', i + 1)) {
+      if (text.slice(i - 4, i) === '0000' || text.slice(i + 7, i + 11) === '0000') penalty += 40;
+    }
+  }
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      // Rule 2: 2x2 blocks of one colour.
+      if (x < size - 1 && y < size - 1) {
+        const colour = modules[y][x];
+        if (modules[y][x + 1] === colour && modules[y + 1][x] === colour && modules[y + 1][x + 1] === colour) penalty += 3;
+      }
+    }
+  }
+
+  // Rule 4: 10 points for every 5% the dark share strays from 50%.
+  penalty += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+  return penalty;
+};
+
+/**
+ * Encodes text as a QR code (byte mode, error correction level M)
+ * The smallest version that fits is used; the mask is the one the
+ * standard's penalty rules prefer.
+ *
+ * @param {string} text - Text to encode, e.g. a URL (UTF-8)
+ * @returns {{ version: number, size: number, mask: number, modules: boolean[][] }}
+ *   modules[y][x] is true for dark modules; size is modules per side, without the quiet zone
+ * @throws {RangeError} If the text does not fit version 15 (412 bytes)
+ *
+ * @example
+ * const qr = encodeQrCode('https://kiwi.example/?login=...');
+ * qr.size; // 33 for a version 4 symbol
+ */
+function encodeQrCode(text) {
+  const bytes = new TextEncoder().encode(String(text));
+  const version = QR_BLOCKS_M.findIndex(([, group1, group1Data, group2], i) => {
+    const capacityBits = (group1 * group1Data + group2 * (group1Data + 1)) * 8;
+    return 4 + (i + 1 < 10 ? 8 : 16) + bytes.length * 8 <= capacityBits;
+  }) + 1;
+  if (version === 0) {
+    throw new RangeError(`Text is too long for a QR code (${bytes.length} bytes; at most 412)`);
+  }
+
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Finder patterns with their light separators, in three corners.
+  [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([left, top]) => {
+    for (let dy = -1; dy <= 7; dy++) {
+      for (let dx = -1; dx <= 7; dx++) {
+        const x = left + dx;
+        const y = top + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+        setFunction(x, y, ring !== 2 && ring !== 4);
+      }
+    }
+  });
+
+  // Timing patterns.
+  for (let i = 8; i < size - 8; i++) {
+    setFunction(i, 6, i % 2 === 0);
+    setFunction(6, i, i % 2 === 0);
+  }
+
+  // Alignment patterns, except where they would overlap a finder.
+  const centres = QR_ALIGNMENT_POSITIONS[version - 1];
+  const last = centres.length - 1;
+  centres.forEach((y, i) => centres.forEach((x, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  // Format information (level M is 00), drawn once the mask is chosen.
+  const drawFormat = (mask) => {
+    const data = mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true);
+  };
+  drawFormat(0);
+
+  // Version information from version 7 on.
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, dark);
+      setFunction(b, a, dark);
+    }
+  }
+
+  // Codewords fill two-module columns in a zigzag from the bottom right.
+  const codewords = buildCodewords(bytes, version);
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vertical = 0; vertical < size; vertical++) {
+      const y = upward ? size - 1 - vertical : vertical;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (reserved[y][x] || bitIndex >= codewords.length * 8) continue;
+        modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+        bitIndex++;
+      }
+    }
+  }
+
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!reserved[y][x] && QR_MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  };
+
+  // Try every mask (applying one twice undoes it) and keep the best.
+  let best = { mask: 0, penalty: Infinity };
+  for (let mask = 0; mask < QR_MASKS.length; mask++) {
+    applyMask(mask);
+    drawFormat(mask);
+    const penalty = maskPenalty(modules);
+    if (penalty < best.penalty) best = { mask, penalty };
+    applyMask(mask);
+  }
+  applyMask(best.mask);
+  drawFormat(best.mask);
+
+  return { version, size, mask: best.mask, modules };
+}
+
+/**
+ * Draws a QR code as an SVG image
+ *
+ * @param {Object} qr - Result of encodeQrCode()
+ * @param {Object} [options]
+ * @param {number} [options.scale=4] - Pixels per module
+ * @param {number} [options.margin=4] - Quiet zone in modules (scanners need 4)
+ * @param {string} [options.dark='#000'] - Colour of dark modules
+ * @param {string} [options.light='#fff'] - Background colour
+ * @returns {string} Standalone SVG markup
+ *
+ * @example
+ * loginQr.innerHTML = qrCodeToSvg(encodeQrCode(link.url), { scale: 5 });
+ */
+function qrCodeToSvg(qr, options = {}) {
+  const scale = options.scale ?? 4;
+  const margin = options.margin ?? 4;
+  const dark = options.dark || '#000';
+  const light = options.light || '#fff';
+  const extent = qr.size + margin * 2;
+
+  // One path segment per horizontal run of dark modules.
+  const runs = [];
+  qr.modules.forEach((row, y) => {
+    for (let x = 0; x < qr.size; x++) {
+      if (!row[x]) continue;
+      const start = x;
+      while (x + 1 < qr.size && row[x + 1]) x++;
+      runs.push(`M${start + margin} ${y + margin}h${x - start + 1}v1h-${x - start + 1}z`);
+    }
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" ` +
+    `width="${extent * scale}" height="${extent * scale}" shape-rendering="crispEdges">` +
+    `<rect width="${extent}" height="${extent}" fill="${light}"/>` +
+    `<path d="${runs.join('')}" fill="${dark}"/></svg>`;
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { encodeQrCode, qrCodeToSvg, QR_MAX_VERSION };
+} else if (typeof window !== 'undefined') {
+  window.encodeQrCode = encodeQrCode;
+  window.qrCodeToSvg = qrCodeToSvg;
+  window.QR_MAX_VERSION = QR_MAX_VERSION;
+}
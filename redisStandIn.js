@@ -0,0 +1,256 @@
+/**
+ * Redis Stand-In
+ *
+ * A small in-memory server speaking the part of the Redis protocol that
+ * redisStorage.js uses, so the Redis adapter and the concurrency harness
+ * (see concurrencyTest.js) run without a Redis installation. It is not a
+ * Redis replacement: there is one database and no persistence.
+ *
+ * Commands: PING, AUTH, SELECT 0, GET, SET (with PX or PXAT), DEL, MGET, SCAN (MATCH, COUNT;
+ * the whole keyspace comes back in one call), WATCH, UNWATCH, MULTI, EXEC,
+ * DISCARD, FLUSHDB and QUIT. Each connection is served in turn on one
+ * thread, so transactions are atomic as in Redis; EXEC answers nil when a
+ * key the connection watched was written (or expired) since WATCH. Keys
+ * expire lazily, when a command touches them.
+ *
+ * Usage:
+ *   node redisStandIn.js [--port 6379] [--password secret]
+ *
+ * Run directly, it prints the port it listens on and, when started with
+ * child_process.fork(), also sends it to the parent as { port }.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+const net = require('net');
+
+const { parseResp } = require('./redisStorage');
+
+// Reply markers for values that are not plain strings, numbers or arrays.
+const OK = { status: 'OK' };
+const QUEUED = { status: 'QUEUED' };
+const PONG = { status: 'PONG' };
+const NIL_ARRAY = { nilArray: true };
+
+/**
+ * Encodes a reply in RESP
+ *
+ * @private
+ * @param {*} value - Error, { status }, NIL_ARRAY, null, number, string or array
+ * @returns {string} Wire format
+ */
+const encodeReply = (value) => {
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (value === NIL_ARRAY) return '*-1\r\n';
+  if (value === null) return '$-1\r\n';
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n` + value.map(encodeReply).join('');
+  if (typeof value === 'object') return `+${value.status}\r\n`;
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+};
+
+/**
+ * Turns a SCAN MATCH glob into a regular expression
+ *
+ * @private
+ * @param {string} glob - Pattern with *, ? and backslash escapes
+ * @returns {RegExp}
+ */
+const globToRegExp = (glob) => {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '\\' && i + 1 < glob.length) source += glob[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    else if (char === '*') source += '[\\s\\S]*';
+    else if (char === '?') source += '[\\s\\S]';
+    else source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Creates a stand-in server (not yet listening)
+ *
+ * @param {Object} [options]
+ * @param {string} [options.password] - Require AUTH with this password
+ * @param {function(): number} [options.now=Date.now] - Time source for key expiry
+ * @returns {net.Server} Call listen() on it; server.data is the keyspace (a Map)
+ *
+ * @example
+ * const server = createRedisStandIn();
+ * server.listen(6380, () => console.log('Stand-in ready'));
+ */
+function createRedisStandIn(options = {}) {
+  const now = options.now || Date.now;
+  const data = new Map();
+  // Bumped on every write, so EXEC can tell whether a watched key changed.
+  const versions = new Map();
+  // When keys set with PX or PXAT expire, in milliseconds since the epoch.
+  const expiries = new Map();
+  let writes = 0;
+
+  const write = (key, value, expiresAt) => {
+    if (value === undefined) data.delete(key);
+    else data.set(key, value);
+    if (expiresAt === undefined) expiries.delete(key);
+    else expiries.set(key, expiresAt);
+    versions.set(key, ++writes);
+  };
+
+  // Drops a key whose expiry has passed; every command reads keys through this.
+  const has = (key) => {
+    if (expiries.has(key) && expiries.get(key) <= now()) write(key, undefined);
+    return data.has(key);
+  };
+
+  /**
+   * Reads SET's expiry option
+   *
+   * @param {string[]} options - Arguments after the key and value
+   * @returns {number|undefined|Error} Expiry time, undefined for none, or the error to answer
+   */
+  const expiryOf = (options) => {
+    if (options.length === 0) return undefined;
+    const [name, value] = [String(options[0]).toUpperCase(), Number(options[1])];
+    if (options.length !== 2 || !['PX', 'PXAT'].includes(name)) return new Error('ERR the stand-in only supports SET with PX or PXAT');
+    if (!Number.isInteger(value) || value <= 0) return new Error('ERR invalid expire time in \'set\' command');
+    return name === 'PX' ? now() + value : value;
+  };
+
+  /**
+   * Runs a command outside a transaction
+   *
+   * @param {Object} state - The connection's { authenticated, watched, queue }
+   * @param {string} name - Command name in upper case
+   * @param {string[]} args - Arguments
+   * @returns {*} Reply value
+   */
+  const run = (state, name, args) => {
+    switch (name) {
+      case 'PING':
+        return PONG;
+      case 'SELECT':
+        return args[0] === '0' ? OK : new Error('ERR the stand-in only has database 0');
+      case 'GET':
+        return has(args[0]) ? data.get(args[0]) : null;
+      case 'MGET':
+        return args.map(key => (has(key) ? data.get(key) : null));
+      case 'SET': {
+        const expiresAt = expiryOf(args.slice(2));
+        if (expiresAt instanceof Error) return expiresAt;
+        write(args[0], args[1], expiresAt);
+        return OK;
+      }
+      case 'DEL': {
+        const existing = args.filter(has);
+        existing.forEach(key => write(key, undefined));
+        return existing.length;
+      }
+      case 'SCAN': {
+        const matchAt = args.findIndex(arg => arg.toUpperCase() === 'MATCH');
+        const pattern = matchAt >= 0 ? globToRegExp(args[matchAt + 1]) : null;
+        return ['0', Array.from(data.keys()).filter(key => has(key) && (!pattern || pattern.test(key)))];
+      }
+      case 'FLUSHDB':
+        Array.from(data.keys()).forEach(key => write(key, undefined));
+        return OK;
+      case 'WATCH':
+        args.forEach((key) => {
+          has(key);
+          state.watched.set(key, versions.get(key) || 0);
+        });
+        return OK;
+      case 'UNWATCH':
+        state.watched.clear();
+        return OK;
+      case 'MULTI':
+        state.queue = [];
+        return OK;
+      default:
+        return new Error(`ERR unknown command '${name}'`);
+    }
+  };
+
+  /**
+   * Runs one command for a connection, queueing it inside MULTI
+   *
+   * @param {Object} state - The connection's { authenticated, watched, queue }
+   * @param {string[]} command - Name and arguments
+   * @returns {*} Reply value
+   */
+  const handle = (state, [rawName, ...args]) => {
+    const name = String(rawName).toUpperCase();
+    if (name === 'AUTH') {
+      state.authenticated = !options.password || args[args.length - 1] === options.password;
+      return state.authenticated ? OK : new Error('WRONGPASS invalid password');
+    }
+    if (!state.authenticated) return new Error('NOAUTH Authentication required.');
+
+    if (state.queue) {
+      if (name === 'EXEC') {
+        const queue = state.queue;
+        state.queue = null;
+        const changed = Array.from(state.watched).some(([key, version]) => {
+          has(key);
+          return (versions.get(key) || 0) !== version;
+        });
+        state.watched.clear();
+        return changed ? NIL_ARRAY : queue.map(([queuedName, queuedArgs]) => run(state, queuedName, queuedArgs));
+      }
+      if (name === 'DISCARD') {
+        state.queue = null;
+        state.watched.clear();
+        return OK;
+      }
+      if (name === 'MULTI' || name === 'WATCH') return new Error(`ERR ${name} inside MULTI is not allowed`);
+      state.queue.push([name, args]);
+      return QUEUED;
+    }
+    if (name === 'EXEC' || name === 'DISCARD') return new Error(`ERR ${name} without MULTI`);
+    return run(state, name, args);
+  };
+
+  const server = net.createServer((socket) => {
+    const state = { authenticated: !options.password, watched: new Map(), queue: null };
+    let received = Buffer.alloc(0);
+
+    socket.on('data', (chunk) => {
+      received = Buffer.concat([received, chunk]);
+      let parsed;
+      try {
+        while ((parsed = parseResp(received))) {
+          received = received.subarray(parsed.next);
+          if (!Array.isArray(parsed.value) || parsed.value.length === 0) {
+            throw new Error('expected a command as an array of bulk strings');
+          }
+          if (String(parsed.value[0]).toUpperCase() === 'QUIT') {
+            socket.end(encodeReply(OK));
+            return;
+          }
+          socket.write(encodeReply(handle(state, parsed.value)));
+        }
+      } catch (error) {
+        socket.end(encodeReply(new Error(`ERR Protocol error: ${error.message}`)));
+      }
+    });
+    // A client going away mid-command is of no concern to the others.
+    socket.on('error', () => {});
+  });
+  server.data = data;
+  return server;
+}
+
+// --- start the stand-in when run directly ---
+if (require.main === module) {
+  const { parseArgs } = require('./server');
+  const args = parseArgs(process.argv.slice(2));
+  const server = createRedisStandIn({ password: typeof args.password === 'string' ? args.password : undefined });
+  server.listen(Number(args.port ?? 6379), '127.0.0.1', () => {
+    const { port } = server.address();
+    console.log(`🧪 Redis stand-in listening on 127.0.0.1:${port}`);
+    if (process.send) process.send({ port });
+  });
+}
+
+module.exports = { createRedisStandIn };
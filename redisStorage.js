@@ -0,0 +1,307 @@
+/**
+ * Redis Storage Adapter
+ *
+ * Keeps OTP entries in a Redis-protocol server, so any number of Node
+ * processes can share one store. Entries are JSON strings under
+ * `<prefix><JSON key>` (the key as JSON keeps numeric passcodes numeric).
+ *
+ * The store's adapter interface is synchronous (see storageAdapters.js),
+ * while sockets are not. The connection therefore lives in a worker thread:
+ * each call posts the command to the worker and blocks on Atomics.wait
+ * until the reply is in, so a call costs one round trip of the process's
+ * time. Keep the server close to the workers.
+ *
+ * compareAndSet uses optimistic locking (WATCH, GET, MULTI, SET or DEL,
+ * EXEC): the transaction is dropped if another client wrote the key after
+ * WATCH, and compareAndSet reports false. redisStandIn.js serves the same
+ * protocol for tests.
+ *
+ * Entries with an expiresAt (codes, replay-cache nonces) are written with a
+ * PX expiry, so Redis drops them even when no process is left to sweep
+ * them. The expiry runs expiryMarginMs past expiresAt: the stores' own
+ * sweeps get there first and announce the expiry (see otpStore.js).
+ *
+ * Node.js only - relies on worker_threads and net.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+const { Worker, MessageChannel, receiveMessageOnPort, isMainThread, workerData } = require('worker_threads');
+
+const { systemClock } = require('./clock');
+
+const SCAN_BATCH = 500; // Keys asked for per SCAN and read per MGET
+const EXPIRY_MARGIN_MS = 60 * 1000; // How long Redis keeps an entry past its expiresAt
+
+/**
+ * Encodes a command as a RESP array of bulk strings
+ *
+ * @param {Array<string|number>} args - Command name and arguments
+ * @returns {string} Wire format
+ *
+ * @example
+ * encodeRespCommand(['GET', 'kiwi-otp:123456']); // '*2\r\n$3\r\nGET\r\n$15\r\nkiwi-otp:123456\r\n'
+ */
+function encodeRespCommand(args) {
+  return `*${args.length}\r\n` + args.map((arg) => {
+    const text = String(arg);
+    return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+  }).join('');
+}
+
+/**
+ * Parses one RESP value from a buffer
+ * Simple strings and bulk strings become strings, integers numbers, errors
+ * Error objects, nil bulk strings and arrays null.
+ *
+ * @param {Buffer} buffer - Received bytes
+ * @param {number} [offset=0] - Where the value starts
+ * @returns {{ value: *, next: number }|null} The value and the offset after it, or null
+ *   if the buffer does not hold all of it yet
+ * @throws {Error} If the bytes are not RESP
+ */
+function parseResp(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd < 0) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, next };
+    case '-':
+      return { value: new Error(line), next };
+    case ':':
+      return { value: Number(line), next };
+    case '$': {
+      const length = Number(line);
+      if (length < 0) return { value: null, next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), next: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count < 0) return { value: null, next };
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseResp(buffer, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.next;
+      }
+      return { value: items, next: cursor };
+    }
+    default:
+      throw new Error(`Unexpected RESP type "${type}"`);
+  }
+}
+
+/**
+ * Opens a blocking connection to a Redis-protocol server
+ *
+ * @private
+ * @param {string} url - redis://[:password@]host[:port][/db]
+ * @param {number} timeoutMs - How long a call waits for its reply
+ * @returns {{ call: function(...(string|number)): *, close: function(): void }}
+ */
+const connectSync = (url, timeoutMs) => {
+  const signal = new Int32Array(new SharedArrayBuffer(4));
+  const { port1, port2 } = new MessageChannel();
+  const worker = new Worker(__filename, {
+    workerData: { redisConnection: { url, signal, port: port2 } },
+    transferList: [port2]
+  });
+  // The worker must not keep a finished process alive.
+  worker.unref();
+
+  let broken = null;
+
+  const call = (...args) => {
+    if (broken) throw broken;
+    Atomics.store(signal, 0, 0);
+    port1.postMessage(args.map(String));
+    if (Atomics.wait(signal, 0, 0, timeoutMs) === 'timed-out') {
+      // A late reply would be taken for the next call's, so the connection is done for.
+      broken = new Error(`Redis at ${url} did not answer within ${timeoutMs} ms`);
+      worker.terminate();
+      throw broken;
+    }
+    const { message } = receiveMessageOnPort(port1);
+    if (message.error) throw new Error(`Redis ${args[0]} failed: ${message.error}`);
+    return message.reply;
+  };
+
+  const close = () => {
+    broken = new Error('Redis storage is closed');
+    worker.terminate();
+  };
+
+  return { call, close };
+};
+
+/**
+ * Worker side of connectSync(): relays commands to the socket and replies back
+ * Connects on the first command and again after the connection drops.
+ *
+ * @private
+ * @param {Object} connection - { url, signal, port } from connectSync()
+ */
+const runConnection = ({ url, signal, port }) => {
+  const net = require('net');
+  const { hostname, port: tcpPort, password, pathname } = new URL(url);
+  const database = Number(pathname.slice(1)) || 0;
+
+  let socket = null;
+  let received = Buffer.alloc(0);
+  // One flag per command sent: true if a caller waits for the reply.
+  const pending = [];
+
+  const answer = (message) => {
+    port.postMessage(message);
+    Atomics.store(signal, 0, 1);
+    Atomics.notify(signal, 0);
+  };
+
+  const drop = (error) => {
+    if (socket) socket.destroy();
+    socket = null;
+    while (pending.length > 0) {
+      if (pending.shift()) answer({ error: error.message });
+    }
+  };
+
+  const onData = (chunk) => {
+    received = Buffer.concat([received, chunk]);
+    let parsed;
+    while (pending.length > 0 && (parsed = parseResp(received))) {
+      received = received.subarray(parsed.next);
+      const forCaller = pending.shift();
+      const failed = parsed.value instanceof Error;
+      if (forCaller) answer(failed ? { error: parsed.value.message } : { reply: parsed.value });
+      // AUTH or SELECT failing leaves the connection unusable.
+      else if (failed) drop(parsed.value);
+    }
+  };
+
+  const send = (args, forCaller) => {
+    pending.push(forCaller);
+    socket.write(encodeRespCommand(args));
+  };
+
+  const connect = () => {
+    received = Buffer.alloc(0);
+    const current = net.connect(Number(tcpPort) || 6379, hostname || '127.0.0.1');
+    socket = current;
+    // Events of a socket already dropped must not touch its successor.
+    const onFailure = (error) => {
+      if (socket === current) drop(error);
+    };
+    current.on('data', (chunk) => {
+      try {
+        onData(chunk);
+      } catch (error) {
+        onFailure(error);
+      }
+    });
+    current.on('error', onFailure);
+    current.on('close', () => onFailure(new Error('connection closed')));
+    if (password) send(['AUTH', decodeURIComponent(password)], false);
+    if (database) send(['SELECT', database], false);
+  };
+
+  port.on('message', (args) => {
+    if (!socket) connect();
+    send(args, true);
+  });
+};
+
+/**
+ * Creates a storage adapter backed by a Redis-protocol server
+ *
+ * @param {Object} [options]
+ * @param {string} [options.url='redis://127.0.0.1:6379'] - Server URL; a password and
+ *   database number may be given as redis://:password@host:port/db
+ * @param {string} [options.prefix='kiwi-otp:'] - Prefix of every key this adapter owns
+ * @param {number} [options.timeoutMs=2000] - How long a command waits for its reply
+ * @param {{ now: function(): number }} [options.clock] - The clock entries' expiresAt is
+ *   measured on (defaults to system time)
+ * @param {number} [options.expiryMarginMs=60000] - How long Redis keeps an entry past its
+ *   expiresAt before dropping it
+ * @returns {Object} Storage adapter with compareAndSet and an extra close() method
+ * @throws {Error} From any method if the server cannot be reached or does not answer in time
+ *
+ * @example
+ * const otp = createOtpStore({ storage: createRedisStorage({ url: process.env.OTP_REDIS_URL }) });
+ */
+function createRedisStorage(options = {}) {
+  const prefix = options.prefix ?? 'kiwi-otp:';
+  const clock = options.clock || systemClock;
+  const expiryMarginMs = options.expiryMarginMs ?? EXPIRY_MARGIN_MS;
+  const { call, close } = connectSync(options.url || 'redis://127.0.0.1:6379', options.timeoutMs ?? 2000);
+
+  const wrap = (key) => prefix + JSON.stringify(key);
+  const parse = (value) => (value === null ? undefined : JSON.parse(value));
+  // SET arguments for an entry: its JSON, and a PX expiry when it has an expiresAt.
+  const setArgs = (redisKey, entry) => (Number.isFinite(entry.expiresAt)
+    ? ['SET', redisKey, JSON.stringify(entry), 'PX', Math.max(1, Math.ceil(entry.expiresAt + expiryMarginMs - clock.now()))]
+    : ['SET', redisKey, JSON.stringify(entry)]);
+  // SCAN patterns are globs; the prefix is matched literally.
+  const pattern = prefix.replace(/[*?[\]\\]/g, '\\$&') + '*';
+
+  /**
+   * Lists every entry under the prefix
+   * SCAN may report a key twice, and a key may be deleted before it is read.
+   */
+  const entries = function* () {
+    const keys = new Set();
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = call('SCAN', cursor, 'MATCH', pattern, 'COUNT', SCAN_BATCH);
+      batch.forEach(key => keys.add(key));
+      cursor = nextCursor;
+    } while (cursor !== '0');
+
+    const all = Array.from(keys);
+    for (let i = 0; i < all.length; i += SCAN_BATCH) {
+      const batch = all.slice(i, i + SCAN_BATCH);
+      const values = call('MGET', ...batch);
+      for (let j = 0; j < batch.length; j++) {
+        if (values[j] !== null) yield [JSON.parse(batch[j].slice(prefix.length)), JSON.parse(values[j])];
+      }
+    }
+  };
+
+  const compareAndSet = (key, expected, next) => {
+    const redisKey = wrap(key);
+    call('WATCH', redisKey);
+    const current = call('GET', redisKey);
+    if (current !== (expected === undefined ? null : JSON.stringify(expected))) {
+      call('UNWATCH');
+      return false;
+    }
+    call('MULTI');
+    if (next === undefined) call('DEL', redisKey);
+    else call(...setArgs(redisKey, next));
+    // EXEC answers nil when a watched key changed, and nothing was written.
+    return call('EXEC') !== null;
+  };
+
+  return {
+    get: (key) => parse(call('GET', wrap(key))),
+    set: (key, entry) => { call(...setArgs(wrap(key), entry)); },
+    delete: (key) => { call('DEL', wrap(key)); },
+    entries,
+    compareAndSet,
+    close
+  };
+}
+
+// Loaded as the connection worker of connectSync()
+if (!isMainThread && workerData && workerData.redisConnection) {
+  runConnection(workerData.redisConnection);
+}
+
+module.exports = { createRedisStorage, encodeRespCommand, parseResp };
@@ -0,0 +1,495 @@
+/**
+ * OTP HTTP Server
+ *
+ * Plain Node.js HTTP server (no framework) that exposes the OTP store over
+ * JSON and serves the web console from the same origin, so authentication
+ * decisions are made server-side rather than in the customer's browser.
+ *
+ * Store events and delivery status changes are streamed to the console over
+ * Server-Sent Events at GET /events (one JSON event per message).
+ *
+ * With --tenants, each storefront gets its own store, policy, secrets, audit
+ * trail and delivery brand, sharing the --store file (see tenants.js). Its
+ * routes live under /tenants/:id/ (events at /tenants/:id/events); unprefixed
+ * routes address the first storefront.
+ *
+ * GET /metrics serves every storefront's counters and time-to-redeem
+ * histogram in the Prometheus text format, for scraping (see otpMetrics.js).
+ *
+ * Listing every live code (GET /otp), following the event stream (/events),
+ * taking or loading snapshots (/snapshot), reading the audit trail (/audit)
+ * and enrolling or removing staff authenticators (/totp) are for operators
+ * only: requests with `Authorization: Bearer $OTP_ADMIN_TOKEN`, or, when no
+ * token is set, those from this host. Behind a reverse proxy every caller comes from the proxy's
+ * host, so set the token there.
+ *
+ * Usage:
+ *   node server.js [--port 3000] [--store ./otp-store.jsonl] [--audit ./otp-audit.jsonl]
+ *                  [--totp ./otp-totp.jsonl] [--policy standard|strict|lenient]
+ *                  [--outbox ./otp-outbox.jsonl] [--tenants ./tenants.json]
+ *                  [--replay ./otp-replay.jsonl] [--shared] [--dev]
+ *
+ *   --port   Port to listen on (default: $PORT or 3000)
+ *   --store  Persist codes to an append-only JSON Lines file
+ *   --audit  Persist the audit trail to an append-only JSON Lines file
+ *            (kept in memory otherwise)
+ *   --totp   Persist authenticator enrollments (shared secrets - keep the
+ *            file private) to an append-only JSON Lines file
+ *   --policy OTP policy preset (default: standard; see otpPolicy.js)
+ *   --tenants JSON array of storefronts: [{ id, name, brand?, policy? }].
+ *            Each writes its audit trail to its own file, named after
+ *            --audit with the id added (otp-audit.<id>.jsonl)
+ *   --replay Persist the stateless tokens' replay cache (see statelessTokens.js)
+ *            to an append-only JSON Lines file, so a restart cannot make a
+ *            used token usable again
+ *   --shared Open the --store, --totp and --replay files so that several
+ *            server processes can use them at once (see storageAdapters.js)
+ *   --outbox Also append messages for channels without configuration to
+ *            this file (they are always logged to the console)
+ *   --dev    Enable the /dev/clock time-travel routes
+ *
+ * Environment:
+ *   OTP_HASH_SECRET            Store HMACs of passcodes instead of raw codes
+ *   OTP_PREVIOUS_HASH_SECRETS  Comma-separated retired secrets still accepted
+ *                              for codes issued before a rotation
+ *   OTP_HASH_SECRET_<ID>, OTP_PREVIOUS_HASH_SECRETS_<ID>
+ *                              A storefront's own secrets (id upper-cased,
+ *                              dashes as underscores); default to the above
+ *   OTP_SMTP_HOST, OTP_SMTP_PORT, OTP_SMTP_SECURE=true, OTP_SMTP_USER,
+ *   OTP_SMTP_PASS, OTP_SMTP_FROM  Email codes to email-address subjects
+ *   OTP_SMS_GATEWAY_URL, OTP_SMS_GATEWAY_TOKEN, OTP_SMS_FROM
+ *                              Text codes to phone-number subjects
+ *   OTP_LINK_SECRET            Signs login links (see loginLinks.js); without
+ *                              it a random secret is used and links stop
+ *                              working when the server restarts
+ *   OTP_PREVIOUS_LINK_SECRETS  Comma-separated retired link secrets
+ *   OTP_LINK_BASE_URL          Public URL of the console, for absolute links
+ *   OTP_TOKEN_SECRET           Enables the /tokens routes: stateless signed
+ *                              codes any node holding the secret can verify
+ *   OTP_PREVIOUS_TOKEN_SECRETS Comma-separated retired token secrets
+ *   OTP_ADMIN_TOKEN            Operators send it as a bearer token; without
+ *                              it only local callers are operators
+ *   OTP_REDIS_URL              Keep codes and the replay cache in a Redis
+ *                              server (redis://[:password@]host:port[/db])
+ *                              shared by every process, instead of --store
+ *                              and --replay (see redisStorage.js)
+ *   Without them, messages go to the development outbox (see delivery.js).
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { createOtpStore, OTP_EVENTS } = require('./otpStore');
+const { createOtpApi } = require('./otpApi');
+const { createFileStorage, createNamespacedStorage } = require('./storageAdapters');
+const { createRedisStorage } = require('./redisStorage');
+const { createOffsetClock, systemClock } = require('./clock');
+const { createAuditLog, createFileAuditStorage } = require('./auditLog');
+const { createTotpAuthenticator } = require('./totp');
+const { createDeliveryService, createOutboxChannel, createSmtpChannel, createSmsGatewayChannel } = require('./delivery');
+const { createTenantRegistry, createTenantApi } = require('./tenants');
+const { createLoginLinks, generateLinkSecret } = require('./loginLinks');
+const { createStatelessOtp } = require('./statelessTokens');
+const { SCENARIO_FILES } = require('./otpScenarios');
+
+// Requests larger than this are rejected before parsing; real payloads are a
+// few dozen bytes.
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Batches (POST /otp/batch) carry up to 1000 rows of a few dozen bytes each.
+const MAX_BATCH_BODY_BYTES = 512 * 1024;
+
+// Snapshots (POST /snapshot) hold every live code, about 100 bytes apiece.
+const MAX_SNAPSHOT_BODY_BYTES = 32 * 1024 * 1024;
+
+// Global cap on /otp/verify across all clients: bursts of 50, 10 per second
+// sustained. Per-customer and per-IP lockouts come on top (see otpStore.js).
+const VERIFY_RATE_LIMIT = { capacity: 50, refillPerSecond: 10 };
+
+// Callers from these addresses are operators when no admin token is set.
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+// Only the console's own assets are served - never arbitrary repo files.
+const STATIC_FILES = {
+  '/': ['index.html', 'text/html; charset=utf-8'],
+  '/index.html': ['index.html', 'text/html; charset=utf-8'],
+  '/styles.css': ['styles.css', 'text/css; charset=utf-8'],
+  '/app.js': ['app.js', 'text/javascript; charset=utf-8'],
+  '/clock.js': ['clock.js', 'text/javascript; charset=utf-8'],
+  '/storageAdapters.js': ['storageAdapters.js', 'text/javascript; charset=utf-8'],
+  '/passcodeGenerator.js': ['passcodeGenerator.js', 'text/javascript; charset=utf-8'],
+  '/bruteForceGuard.js': ['bruteForceGuard.js', 'text/javascript; charset=utf-8'],
+  '/otpPolicy.js': ['otpPolicy.js', 'text/javascript; charset=utf-8'],
+  '/expiryIndex.js': ['expiryIndex.js', 'text/javascript; charset=utf-8'],
+  '/otpMetrics.js': ['otpMetrics.js', 'text/javascript; charset=utf-8'],
+  '/otpSnapshot.js': ['otpSnapshot.js', 'text/javascript; charset=utf-8'],
+  '/otpStore.js': ['otpStore.js', 'text/javascript; charset=utf-8'],
+  '/otpApi.js': ['otpApi.js', 'text/javascript; charset=utf-8'],
+  '/auditLog.js': ['auditLog.js', 'text/javascript; charset=utf-8'],
+  '/otpBatch.js': ['otpBatch.js', 'text/javascript; charset=utf-8'],
+  '/totp.js': ['totp.js', 'text/javascript; charset=utf-8'],
+  '/delivery.js': ['delivery.js', 'text/javascript; charset=utf-8'],
+  '/tenants.js': ['tenants.js', 'text/javascript; charset=utf-8'],
+  '/tabSync.js': ['tabSync.js', 'text/javascript; charset=utf-8'],
+  '/otpScenarios.js': ['otpScenarios.js', 'text/javascript; charset=utf-8'],
+  '/qrCode.js': ['qrCode.js', 'text/javascript; charset=utf-8'],
+  '/loginLinks.js': ['loginLinks.js', 'text/javascript; charset=utf-8'],
+  // The demo scenarios the console runs (see otpScenarios.js).
+  ...Object.fromEntries(SCENARIO_FILES.map(file => [`/scenarios/${file}`, [`scenarios/${file}`, 'application/json; charset=utf-8']]))
+};
+
+/**
+ * Reads and parses a JSON request body
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {number} [maxBytes=MAX_BODY_BYTES] - Largest body accepted
+ * @returns {Promise<*>} Parsed body (undefined when empty)
+ */
+function readJsonBody(req, maxBytes = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413, code: 'payload_too_large' }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw.trim()) return resolve(undefined);
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400, code: 'invalid_json' }));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Tells whether a request comes from an operator
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {string} [adminToken] - Bearer token operators send; without one,
+ *   local callers are operators
+ * @returns {boolean}
+ */
+function isOperatorRequest(req, adminToken) {
+  if (!adminToken) return LOOPBACK_ADDRESSES.has(req.socket.remoteAddress);
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+  // Digests have equal lengths, so the comparison leaks neither the token nor its length.
+  const digest = (token) => crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(digest(match[1]), digest(adminToken));
+}
+
+/**
+ * Writes a JSON response (or an empty one for 204)
+ *
+ * @param {http.ServerResponse} res - Outgoing response
+ * @param {number} status - HTTP status code
+ * @param {*} body - JSON-serialisable body
+ */
+function sendJson(res, status, body) {
+  if (status === 204) {
+    res.writeHead(204, { 'Cache-Control': 'no-store' });
+    res.end();
+    return;
+  }
+  const headers = {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  };
+  if (status === 429 && body.error.retryAfterMs) {
+    headers['Retry-After'] = String(Math.ceil(body.error.retryAfterMs / 1000));
+  }
+  res.writeHead(status, headers);
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Streams store events to a client as Server-Sent Events until it disconnects
+ *
+ * @param {Object} store - OTP store to subscribe to
+ * @param {Object} delivery - Delivery service whose status changes are streamed too
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {http.ServerResponse} res - Outgoing response, kept open
+ */
+function streamEvents(store, delivery, req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive'
+  });
+  res.write(': connected\n\n');
+
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+  const unsubscribers = OTP_EVENTS.map(type => store.on(type, send));
+  unsubscribers.push(delivery.onStatus(send));
+  req.on('close', () => unsubscribers.forEach(unsubscribe => unsubscribe()));
+}
+
+/**
+ * Creates the HTTP server
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.store] - OTP store (defaults to a fresh in-memory store)
+ * @param {Object} [options.clock] - Clock shared with the store; enables time travel if it supports advance()
+ * @param {Object} [options.audit] - Audit log to attach to the store (defaults to an in-memory one)
+ * @param {Object} [options.totp] - Authenticator for staff accounts (defaults to in-memory enrollments)
+ * @param {Object} [options.delivery] - Delivery service to attach to the store (defaults to a console outbox)
+ * @param {Object} [options.links] - Login links signer (defaults to one with a random secret)
+ * @param {Object} [options.tokens] - Stateless token issuer and verifier (none by default)
+ * @param {Object[]} [options.tenants] - Storefronts instead of the single store above:
+ *   tenants from createTenantRegistry(), each with optional audit, totp, delivery, links and tokens
+ * @param {string} [options.adminToken] - Bearer token for operator routes (see isOperatorRequest)
+ * @returns {http.Server} Unstarted server
+ */
+function createOtpServer(options = {}) {
+  const clock = options.clock || systemClock;
+  const tenants = (options.tenants || [{
+    id: 'default',
+    name: 'Kiwi Sports Apparel',
+    store: options.store || createOtpStore({ clock }),
+    audit: options.audit,
+    totp: options.totp,
+    delivery: options.delivery,
+    links: options.links,
+    tokens: options.tokens
+  }]).map((tenant) => {
+    const { store } = tenant;
+    const audit = tenant.audit || createAuditLog();
+    audit.attach(store);
+    const totp = tenant.totp || createTotpAuthenticator(store, { clock });
+    const outbox = createOutboxChannel();
+    const delivery = tenant.delivery || createDeliveryService({ brand: tenant.brand, channels: { email: outbox, sms: outbox } });
+    delivery.attach(store);
+    const links = tenant.links || createLoginLinks({
+      secret: generateLinkSecret(),
+      clock,
+      tenant: options.tenants ? tenant.id : undefined
+    });
+    return {
+      ...tenant,
+      delivery,
+      api: createOtpApi(store, { clock, audit, totp, delivery, links, tokens: tenant.tokens, requireOperator: true })
+    };
+  });
+  const api = createTenantApi(tenants);
+
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && STATIC_FILES[pathname]) {
+      const [file, contentType] = STATIC_FILES[pathname];
+      fs.readFile(path.join(__dirname, file), (error, data) => {
+        if (error) return sendJson(res, 500, { error: { code: 'internal_error', message: 'Could not read asset' } });
+        res.writeHead(200, { 'Content-Type': contentType });
+        res.end(data);
+      });
+      return;
+    }
+
+    const target = req.method === 'GET' ? api.resolve(pathname) : null;
+    if (target && target.path === '/events') {
+      // Events carry passcodes, subjects and clients, like the code listing.
+      if (!isOperatorRequest(req, options.adminToken)) {
+        sendJson(res, 401, { error: { code: 'operator_required', message: 'Only operators may use this route' } });
+        return;
+      }
+      streamEvents(target.tenant.store, target.tenant.delivery, req, res);
+      return;
+    }
+
+    try {
+      let maxBytes = MAX_BODY_BYTES;
+      if (pathname.endsWith('/otp/batch')) maxBytes = MAX_BATCH_BODY_BYTES;
+      if (pathname.endsWith('/snapshot')) maxBytes = MAX_SNAPSHOT_BODY_BYTES;
+      const body = await readJsonBody(req, maxBytes);
+      // Failed attempts are also counted per remote address. Behind a reverse
+      // proxy every caller shares the proxy's address; read a trusted forwarded
+      // header here instead.
+      const client = req.socket.remoteAddress;
+      const operator = isOperatorRequest(req, options.adminToken);
+      const { status, body: responseBody, contentType } = api.handle({ method: req.method, path: req.url, body, client, operator });
+      if (contentType) {
+        res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+        res.end(responseBody);
+        return;
+      }
+      sendJson(res, status, responseBody);
+    } catch (error) {
+      if (error.status) {
+        sendJson(res, error.status, { error: { code: error.code, message: error.message } });
+        return;
+      }
+      console.error('Unhandled API error:', error);
+      sendJson(res, 500, { error: { code: 'internal_error', message: 'Unexpected server error' } });
+    }
+  });
+}
+
+/**
+ * Parses --flag value pairs from the command line
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Map of flag name to value (true for bare flags)
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const name = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      args[name] = next;
+      i++;
+    } else {
+      args[name] = true;
+    }
+  }
+  return args;
+}
+
+// --- start the server when run directly ---
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const port = Number(args.port || process.env.PORT || 3000);
+  const clock = args.dev ? createOffsetClock() : systemClock;
+
+  // Secrets come from the environment so they never appear in `ps` output.
+  const env = process.env;
+
+  // Several processes may share the files (--shared) or a Redis server.
+  const openFile = (file) => createFileStorage(file, { shared: Boolean(args.shared) });
+  const redisUrl = env.OTP_REDIS_URL;
+  let storage;
+  if (redisUrl) storage = createRedisStorage({ url: redisUrl, clock });
+  else if (typeof args.store === 'string') storage = openFile(args.store);
+  const hashingFromEnv = (suffix) => (env[`OTP_HASH_SECRET${suffix}`] ? {
+    secret: env[`OTP_HASH_SECRET${suffix}`],
+    previousSecrets: (env[`OTP_PREVIOUS_HASH_SECRETS${suffix}`] || '').split(',').filter(Boolean)
+  } : undefined);
+  const hashing = hashingFromEnv('');
+  const policy = typeof args.policy === 'string' ? args.policy : undefined;
+  const limits = { rateLimit: VERIFY_RATE_LIMIT };
+
+  // Real channels where configured; the outbox stands in for the rest.
+  const outbox = createOutboxChannel({ file: typeof args.outbox === 'string' ? args.outbox : undefined });
+  const email = env.OTP_SMTP_HOST ? createSmtpChannel({
+    host: env.OTP_SMTP_HOST,
+    port: env.OTP_SMTP_PORT ? Number(env.OTP_SMTP_PORT) : undefined,
+    secure: env.OTP_SMTP_SECURE === 'true',
+    from: env.OTP_SMTP_FROM,
+    auth: env.OTP_SMTP_USER ? { user: env.OTP_SMTP_USER, pass: env.OTP_SMTP_PASS || '' } : undefined
+  }) : outbox;
+  const sms = env.OTP_SMS_GATEWAY_URL ? createSmsGatewayChannel({
+    url: env.OTP_SMS_GATEWAY_URL,
+    token: env.OTP_SMS_GATEWAY_TOKEN,
+    from: env.OTP_SMS_FROM
+  }) : outbox;
+
+  const totpStorage = typeof args.totp === 'string' ? openFile(args.totp) : undefined;
+  const linkSigning = {
+    secret: env.OTP_LINK_SECRET || generateLinkSecret(),
+    previousSecrets: (env.OTP_PREVIOUS_LINK_SECRETS || '').split(',').filter(Boolean),
+    baseUrl: env.OTP_LINK_BASE_URL,
+    clock
+  };
+  // Tokens are only useful when every node shares the secret, so there is no random default.
+  let replayStorage;
+  if (redisUrl) replayStorage = createRedisStorage({ url: redisUrl, prefix: 'kiwi-otp-replay:', clock });
+  else if (typeof args.replay === 'string') replayStorage = openFile(args.replay);
+  const tokenSigningFor = (store, id) => (env.OTP_TOKEN_SECRET ? createStatelessOtp({
+    secret: env.OTP_TOKEN_SECRET,
+    previousSecrets: (env.OTP_PREVIOUS_TOKEN_SECRETS || '').split(',').filter(Boolean),
+    policy: store.getPolicy(),
+    replayCache: replayStorage && id ? createNamespacedStorage(replayStorage, id) : replayStorage,
+    tenant: id,
+    clock
+  }) : undefined);
+  // Per-storefront files sit next to the given one: otp-audit.jsonl -> otp-audit.kiwi.jsonl
+  const tenantFile = (file, id) => {
+    const extension = path.extname(file);
+    return path.join(path.dirname(file), `${path.basename(file, extension)}.${id}${extension}`);
+  };
+
+  let tenants;
+  if (typeof args.tenants === 'string') {
+    const settings = JSON.parse(fs.readFileSync(args.tenants, 'utf8')).map(tenant => ({
+      ...tenant,
+      policy: tenant.policy || policy,
+      hashing: hashingFromEnv(`_${String(tenant.id).toUpperCase().replace(/-/g, '_')}`) || hashing
+    }));
+    tenants = createTenantRegistry({ clock, storage, limits, tenants: settings }).tenants.map((tenant, i) => ({
+      ...tenant,
+      hashed: Boolean(settings[i].hashing),
+      audit: createAuditLog({
+        storage: typeof args.audit === 'string' ? createFileAuditStorage(tenantFile(args.audit, tenant.id)) : undefined
+      }),
+      totp: createTotpAuthenticator(tenant.store, {
+        clock,
+        storage: totpStorage ? createNamespacedStorage(totpStorage, tenant.id) : undefined
+      }),
+      delivery: createDeliveryService({ brand: tenant.brand, channels: { email, sms } }),
+      links: createLoginLinks({ ...linkSigning, tenant: tenant.id }),
+      tokens: tokenSigningFor(tenant.store, tenant.id)
+    }));
+  } else {
+    const store = createOtpStore({ clock, storage, hashing, policy, limits });
+    tenants = [{
+      id: 'default',
+      name: 'Kiwi Sports Apparel',
+      store,
+      audit: createAuditLog({
+        storage: typeof args.audit === 'string' ? createFileAuditStorage(args.audit) : undefined
+      }),
+      totp: createTotpAuthenticator(store, { clock, storage: totpStorage }),
+      delivery: createDeliveryService({ channels: { email, sms } }),
+      links: createLoginLinks(linkSigning),
+      tokens: tokenSigningFor(store)
+    }];
+  }
+
+  createOtpServer({ clock, tenants, adminToken: env.OTP_ADMIN_TOKEN }).listen(port, () => {
+    console.log(`🔐 Kiwi Sports Apparel OTP server listening on http://localhost:${port}`);
+    if (redisUrl) console.log('   Keeping codes in Redis (OTP_REDIS_URL)');
+    else if (storage) console.log(`   Persisting codes to ${args.store}${args.shared ? ' (shared with other processes)' : ''}`);
+    if (typeof args.audit === 'string') console.log(`   Writing the audit trail to ${args.audit}${args.tenants ? ' (one file per storefront)' : ''}`);
+    if (typeof args.totp === 'string') console.log(`   Persisting authenticator enrollments to ${args.totp}`);
+    if (args.tenants) {
+      tenants.forEach(tenant => console.log(`   Storefront ${tenant.id} (${tenant.name}): policy ${tenant.store.getPolicy().preset}` +
+        `${tenant.hashed ? ', hashed storage' : ''}, at /tenants/${tenant.id}/`));
+    } else {
+      if (hashing) console.log('   Hashed storage enabled: raw passcodes are never kept');
+      console.log(`   Policy: ${tenants[0].store.getPolicy().preset}`);
+    }
+    console.log(`   Delivery: email via ${email === outbox ? 'the outbox' : `SMTP (${env.OTP_SMTP_HOST})`}, ` +
+      `SMS via ${sms === outbox ? 'the outbox' : 'the SMS gateway'}`);
+    if (email === outbox || sms === outbox) {
+      console.log(`   ⚠️  Outbox messages are only logged${typeof args.outbox === 'string' ? ` and written to ${args.outbox}` : ''} - development only`);
+    }
+    if (!env.OTP_LINK_SECRET) console.log('   ⚠️  Login links use a random secret (set OTP_LINK_SECRET) - they stop working on restart');
+    if (env.OTP_TOKEN_SECRET) {
+      const replayWhere = redisUrl ? ', replay cache in Redis' : `, replay cache persisted to ${args.replay}`;
+      console.log(`   Stateless tokens enabled at /tokens${replayStorage ? replayWhere : ''}`);
+    }
+    if (!env.OTP_ADMIN_TOKEN) console.log('   Operator routes answer local callers only (set OTP_ADMIN_TOKEN for remote operators)');
+    if (args.dev) console.log('   Dev mode: time travel enabled at /dev/clock');
+  });
+}
+
+module.exports = { createOtpServer, parseArgs };
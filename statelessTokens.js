@@ -0,0 +1,272 @@
+/**
+ * Stateless OTP Tokens
+ *
+ * For edge servers that should verify codes without holding the store's
+ * Map of live codes. Issuing returns the code (to deliver as usual) and a
+ * signed token that travels with the customer's session instead:
+ *
+ * Token: base64url(JSON { k: key id, s: subject, h: code hash, i: issuedAt,
+ *                         e: expiresAt, n: nonce, t: tenant }) "." base64url(MAC)
+ *
+ * The code hash is a keyed HMAC of the nonce and the code, so the token
+ * reveals nothing about the code even to someone who can read it, and the
+ * MAC (HMAC-SHA256) means it cannot be altered or forged. Verifying checks
+ * the MAC, the expiry and the code hash without any per-code state.
+ *
+ * Single use still needs memory, but only of tokens that were presented
+ * and have not yet expired: the replay cache, keyed by nonce. Tokens that
+ * claim to expire more than the policy's maxDurationMs from now are
+ * refused, so an entry never lives longer than that and the cache holds at
+ * most one maximum code lifetime's worth of verifications. The cache is a
+ * storage adapter (see storageAdapters.js), so nodes can share one; its
+ * entries are updated with compare-and-set, so two nodes presenting the same
+ * token at once cannot both have it accepted. It also counts wrong codes per
+ * token; a token is burned after too many.
+ *
+ * Secrets can be rotated like hashing secrets: tokens are signed with the
+ * current secret and name it by a key id derived from it, so tokens issued
+ * under a previous secret keep verifying until they expire.
+ *
+ * Node.js only - relies on the crypto module.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+const { systemClock } = require('./clock');
+const { createMemoryStorage, compareAndSetEntry } = require('./storageAdapters');
+const { createExpiryIndex } = require('./expiryIndex');
+const { resolveOtpPolicy } = require('./otpPolicy');
+const { generatePasscode } = require('./passcodeGenerator');
+const { DEFAULT_ATTEMPT_LIMITS } = require('./bruteForceGuard');
+
+// Domain separation: the same secret never signs anything else by accident.
+const STATELESS_TOKEN_CONTEXT = 'kiwi-otp-stateless-token:v1:';
+
+/**
+ * Reasons verify() gives for refusing a token
+ * - invalid: malformed, altered or forged, signed by an unknown key, made for
+ *   another storefront, or expiring further ahead than the policy allows
+ * - expired: the token's expiry has passed
+ * - unknown: wrong code, or a token bound to another subject
+ * - already_used: the token was already accepted (maxUses times)
+ * - too_many_attempts: the token was burned after too many wrong codes
+ * - invalid_format: the code could never have been issued under the policy
+ */
+const STATELESS_REJECT_REASONS = ['invalid', 'expired', 'unknown', 'already_used', 'too_many_attempts', 'invalid_format'];
+
+/**
+ * Creates an issuer and verifier of stateless signed OTP tokens
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Current signing secret, shared by every node
+ * @param {string[]} [options.previousSecrets=[]] - Retired secrets whose tokens are still accepted
+ * @param {string|Object} [options.policy] - OTP policy (see otpPolicy.js); its durations,
+ *   passcode lengths and maxUses apply (graceMs and reissue rules do not)
+ * @param {Object} [options.replayCache] - Storage adapter for the replay cache (in memory by default)
+ * @param {number} [options.maxFailures] - Wrong codes that burn a token
+ *   (default: DEFAULT_ATTEMPT_LIMITS.maxFailures)
+ * @param {string} [options.tenant] - Storefront the tokens belong to; a token is only
+ *   accepted by the storefront that issued it
+ * @param {{ now: function(): number }} [options.clock] - Time source
+ * @returns {Object} Tokens API: issue, issueGenerated, verify, replayCacheSize, getPolicy
+ * @throws {Error} If no secret is configured
+ *
+ * @example
+ * const tokens = createStatelessOtp({ secret: process.env.OTP_TOKEN_SECRET });
+ * const { token, passcode } = tokens.issueGenerated(5 * 60 * 1000, {}, { subject: 'alice@example.com' });
+ * tokens.verify(token, passcode, { subject: 'alice@example.com' }); // { ok: true, subject, expiresAt }
+ * tokens.verify(token, passcode, { subject: 'alice@example.com' }); // { ok: false, reason: 'already_used' }
+ */
+function createStatelessOtp(options = {}) {
+  if (!options.secret) {
+    throw new Error('Stateless tokens require a signing secret');
+  }
+
+  const policy = resolveOtpPolicy(options.policy);
+  const clock = options.clock || systemClock;
+  const tenant = options.tenant || null;
+  const maxFailures = options.maxFailures ?? DEFAULT_ATTEMPT_LIMITS.maxFailures;
+  const replayCache = options.replayCache || createMemoryStorage();
+
+  const hmac = (secret, message) => crypto.createHmac('sha256', secret).update(STATELESS_TOKEN_CONTEXT + message).digest();
+
+  // A key id names the secret a token was signed with without revealing it.
+  const keys = [options.secret, ...(options.previousSecrets || [])]
+    .map(secret => ({ id: hmac(secret, 'key-id').subarray(0, 6).toString('base64url'), secret }));
+
+  const sign = (key, payload) => hmac(key.secret, `mac:${payload}`);
+  const codeHash = (key, nonce, passcode) => hmac(key.secret, `code:${nonce}:${passcode}`).subarray(0, 16);
+
+  // Constant-time comparison, so response timing says nothing about a MAC or hash.
+  const bytesMatch = (expected, presented) =>
+    expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+
+  // Every cached nonce by expiry, so purging never scans the whole cache.
+  const expiries = createExpiryIndex();
+  for (const [nonce, entry] of replayCache.entries()) expiries.add(nonce, entry.expiresAt);
+
+  const purgeExpired = () => {
+    const now = clock.now();
+    while (expiries.size() > 0 && expiries.peek().expiresAt <= now) {
+      const { key } = expiries.pop();
+      const entry = replayCache.get(key);
+      if (entry && entry.expiresAt <= now) replayCache.delete(key);
+    }
+  };
+
+  const passcodeProblem = (passcode) => {
+    const length = String(passcode).length;
+    if (length < policy.minPasscodeLength || length > policy.maxPasscodeLength) {
+      return `passcode must be ${policy.minPasscodeLength}-${policy.maxPasscodeLength} characters long (policy "${policy.preset}")`;
+    }
+    return null;
+  };
+
+  /**
+   * Issues a token for a code
+   *
+   * @param {number|string} passcode - Integer or generated alphanumeric passcode
+   * @param {number} durationMs - Requested duration, clamped to the policy's range
+   * @param {Object} [context] - { subject } to bind the token to one customer
+   * @returns {Object} { ok: true, token, subject, expiresAt, requestedMs, durationMs, clamped },
+   *   or { ok: false, reason: 'invalid_format', message }
+   */
+  const issue = (passcode, durationMs, context = {}) => {
+    const problem = passcodeProblem(passcode);
+    if (problem) return { ok: false, reason: 'invalid_format', message: problem };
+
+    const requestedMs = Number(durationMs) || 0;
+    const appliedMs = Math.min(Math.max(requestedMs, policy.minDurationMs), policy.maxDurationMs);
+    const issuedAt = clock.now();
+    const subject = context.subject ?? null;
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const [key] = keys;
+
+    const fields = {
+      k: key.id,
+      s: subject,
+      h: codeHash(key, nonce, passcode).toString('base64url'),
+      i: issuedAt,
+      e: issuedAt + appliedMs,
+      n: nonce,
+      ...(tenant ? { t: tenant } : {})
+    };
+    const payload = Buffer.from(JSON.stringify(fields)).toString('base64url');
+    return {
+      ok: true,
+      token: `${payload}.${sign(key, payload).toString('base64url')}`,
+      subject,
+      expiresAt: fields.e,
+      requestedMs,
+      durationMs: appliedMs,
+      clamped: appliedMs !== requestedMs
+    };
+  };
+
+  /**
+   * Generates a secure random passcode and issues a token for it
+   *
+   * @param {number} durationMs - Requested duration, clamped to the policy's range
+   * @param {Object} [generatorOptions] - { length, alphabet } (see passcodeGenerator.js)
+   * @param {Object} [context] - { subject } to bind the token to one customer
+   * @returns {Object} { passcode, ...issue's result }
+   * @throws {RangeError} If the generator options are invalid or break the policy's length rules
+   */
+  const issueGenerated = (durationMs, generatorOptions = {}, context) => {
+    // Without an explicit length, use 6 characters or the nearest the policy allows.
+    const length = generatorOptions.length === undefined
+      ? Math.min(Math.max(6, policy.minPasscodeLength), policy.maxPasscodeLength)
+      : generatorOptions.length;
+    const passcode = generatePasscode({ ...generatorOptions, length });
+    const problem = passcodeProblem(passcode);
+    if (problem) throw new RangeError(problem);
+    return { passcode, ...issue(passcode, durationMs, context) };
+  };
+
+  /**
+   * Reads a token's fields if its MAC checks out under a known key
+   *
+   * @private
+   * @param {string} token - Token from issue()
+   * @returns {{ key: Object, fields: Object }|null} Null for any token that is not ours
+   */
+  const open = (token) => {
+    const parts = String(token).split('.');
+    if (parts.length !== 2) return null;
+    const [payload, mac] = parts;
+
+    let fields;
+    try {
+      fields = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+    const key = fields && keys.find(candidate => candidate.id === fields.k);
+    if (!key || !bytesMatch(sign(key, payload), Buffer.from(mac, 'base64url'))) return null;
+    if (typeof fields.e !== 'number' || typeof fields.n !== 'string' || typeof fields.h !== 'string') return null;
+    return { key, fields };
+  };
+
+  /**
+   * Verifies a code against its token
+   * Only the replay cache is read or written; a wrong code counts against
+   * the token and burns it after maxFailures.
+   *
+   * @param {string} token - Token from issue()
+   * @param {number|string} passcode - Code the customer entered
+   * @param {Object} [context] - { subject } the code is presented for; when given it must
+   *   match the subject the token is bound to
+   * @returns {Object} { ok: true, subject, expiresAt } or { ok: false, reason }
+   *   (see STATELESS_REJECT_REASONS); invalid_format adds { message }
+   */
+  const verify = (token, passcode, context = {}) => {
+    const problem = passcodeProblem(passcode);
+    if (problem) return { ok: false, reason: 'invalid_format', message: problem };
+
+    purgeExpired();
+    const opened = open(token);
+    const now = clock.now();
+    if (!opened) return { ok: false, reason: 'invalid' };
+    const { key, fields } = opened;
+    // Keeps the replay cache bounded even if a signing secret leaks into a misconfigured issuer.
+    if ((fields.t || null) !== tenant || fields.e - now > policy.maxDurationMs) return { ok: false, reason: 'invalid' };
+    if (now >= fields.e) return { ok: false, reason: 'expired' };
+
+    const subjectMatches = context.subject === undefined || context.subject === fields.s;
+    const codeMatches = bytesMatch(codeHash(key, fields.n, passcode), Buffer.from(fields.h, 'base64url'));
+
+    // Re-read and retry whenever another node updated the entry first.
+    for (;;) {
+      const cached = replayCache.get(fields.n);
+      const entry = cached || { expiresAt: fields.e, uses: 0, failures: 0 };
+      if (entry.uses >= policy.maxUses) return { ok: false, reason: 'already_used' };
+      if (entry.failures >= maxFailures) return { ok: false, reason: 'too_many_attempts' };
+
+      const accepted = subjectMatches && codeMatches;
+      const next = accepted ? { ...entry, uses: entry.uses + 1 } : { ...entry, failures: entry.failures + 1 };
+      if (!compareAndSetEntry(replayCache, fields.n, cached, next)) continue;
+      if (!cached) expiries.add(fields.n, fields.e);
+
+      return accepted ? { ok: true, subject: fields.s, expiresAt: fields.e } : { ok: false, reason: 'unknown' };
+    }
+  };
+
+  /**
+   * Counts the tokens the replay cache remembers (expired ones are purged first)
+   *
+   * @returns {number} Cached nonces
+   */
+  const replayCacheSize = () => {
+    purgeExpired();
+    return [...replayCache.entries()].length;
+  };
+
+  const getPolicy = () => policy;
+
+  return { issue, issueGenerated, verify, replayCacheSize, getPolicy };
+}
+
+module.exports = { createStatelessOtp, STATELESS_REJECT_REASONS };
@@ -0,0 +1,385 @@
+/**
+ * Storage Adapters for the OTP Management System
+ *
+ * The OTP store never touches a Map directly; it talks to a storage adapter
+ * with a tiny synchronous interface so codes can outlive a page reload or a
+ * Node restart:
+ *
+ *   get(key)        -> entry | undefined
+ *   set(key, entry) -> void
+ *   delete(key)     -> void
+ *   entries()       -> iterator of [key, entry] pairs
+ *   compareAndSet(key, expected, next) -> boolean   (optional)
+ *
+ * Adapters only persist what they are given. Expiry rules stay in the store,
+ * which deletes stale entries through the same interface.
+ *
+ * compareAndSet is the atomic step behind single use: it stores `next` (or
+ * deletes the key when `next` is undefined) only if the key still holds an
+ * entry equal to `expected` (undefined: no entry), and says whether it did.
+ * Entries are equal when they serialise to the same JSON. A store shared by
+ * several processes must implement it, so that two of them reading the same
+ * live code cannot both use it; only one compare-and-set succeeds and the
+ * other re-reads. Adapters without it fall back to a plain write (see
+ * compareAndSetEntry), which is only safe within one process.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Tells whether two entries are equal for compareAndSet
+ * Undefined (no entry) only equals undefined.
+ *
+ * @private
+ * @param {Object|undefined} a - Entry
+ * @param {Object|undefined} b - Entry
+ * @returns {boolean}
+ */
+const sameEntry = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Replaces an entry only if it has not changed since it was read
+ * Uses the adapter's own compareAndSet when it has one; otherwise the write
+ * simply happens, which is atomic as long as one process uses the adapter.
+ *
+ * @param {Object} storage - Storage adapter
+ * @param {*} key - Entry key
+ * @param {Object|undefined} expected - Entry as it was read (undefined if there was none)
+ * @param {Object|undefined} next - Entry to store, or undefined to delete the key
+ * @returns {boolean} false if the entry changed in the meantime and nothing was written
+ *
+ * @example
+ * const entry = storage.get(key);
+ * if (!compareAndSetEntry(storage, key, entry, { ...entry, uses: entry.uses + 1 })) {
+ *   // Another process got there first: read again
+ * }
+ */
+function compareAndSetEntry(storage, key, expected, next) {
+  if (storage.compareAndSet) return storage.compareAndSet(key, expected, next);
+  if (next === undefined) storage.delete(key);
+  else storage.set(key, next);
+  return true;
+}
+
+/**
+ * Creates a volatile in-memory adapter (the default)
+ *
+ * @returns {Object} Storage adapter backed by a Map
+ */
+function createMemoryStorage() {
+  const map = new Map();
+
+  return {
+    get: (key) => map.get(key),
+    set: (key, entry) => { map.set(key, entry); },
+    delete: (key) => { map.delete(key); },
+    entries: () => map.entries(),
+    compareAndSet: (key, expected, next) => {
+      if (!sameEntry(map.get(key), expected)) return false;
+      if (next === undefined) map.delete(key);
+      else map.set(key, next);
+      return true;
+    }
+  };
+}
+
+/**
+ * Creates a browser adapter that mirrors entries into localStorage
+ *
+ * Entries are cached in memory and written through as a JSON array of
+ * [key, entry] pairs, which keeps numeric passcodes numeric on reload.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.key='kiwi-otp-store'] - localStorage item name
+ * @param {Storage} [options.storage=window.localStorage] - Web Storage implementation
+ * @returns {Object} Storage adapter backed by Web Storage
+ */
+function createLocalStorageStorage(options = {}) {
+  const itemKey = options.key || 'kiwi-otp-store';
+  const storage = options.storage || window.localStorage;
+
+  const load = () => {
+    try {
+      return new Map(JSON.parse(storage.getItem(itemKey)) || []);
+    } catch (error) {
+      // Corrupt or foreign data: start clean rather than failing every login.
+      return new Map();
+    }
+  };
+
+  const map = load();
+  const flush = () => storage.setItem(itemKey, JSON.stringify(Array.from(map.entries())));
+
+  const set = (key, entry) => {
+    map.set(key, entry);
+    flush();
+  };
+  const remove = (key) => {
+    if (map.delete(key)) flush();
+  };
+
+  // Atomic within the page; tabs coordinate through tabSync.js instead.
+  return {
+    get: (key) => map.get(key),
+    set,
+    delete: remove,
+    entries: () => map.entries(),
+    compareAndSet: (key, expected, next) => {
+      if (!sameEntry(map.get(key), expected)) return false;
+      if (next === undefined) remove(key);
+      else set(key, next);
+      return true;
+    }
+  };
+}
+
+/**
+ * Creates a Node adapter backed by an append-only JSON Lines file
+ *
+ * Every mutation appends one record ({ op: 'set', key, entry } or
+ * { op: 'delete', key }). On open the log is replayed to rebuild state. Once
+ * the log holds more than `compactThreshold` records beyond the live entry
+ * count, it is rewritten with only the live entries, so deleted and expired
+ * codes do not accumulate on disk.
+ *
+ * With `shared: true`, several processes (e.g. Node workers behind a load
+ * balancer) can use the same file. Every read first catches up with records
+ * the others appended, and every write - including compaction - holds a
+ * lock file (`<file>.lock`, created exclusively) while it catches up, checks
+ * and appends, so compareAndSet is atomic across the processes. A lock older
+ * than `staleLockMs` is taken to belong to a crashed process and removed.
+ * Every process must open the file as shared.
+ *
+ * @param {string} filePath - Path to the log file (created if missing)
+ * @param {Object} [options]
+ * @param {number} [options.compactThreshold=100] - Dead records tolerated before compaction
+ * @param {boolean} [options.shared=false] - Share the file with other processes
+ * @param {number} [options.lockTimeoutMs=5000] - How long a shared write waits for the lock
+ * @param {number} [options.staleLockMs=10000] - Age at which an abandoned lock is removed
+ * @returns {Object} Storage adapter with an extra compact() method
+ * @throws {Error} If a shared write cannot get the lock within lockTimeoutMs
+ *
+ * @example
+ * // In every worker process:
+ * const otp = createOtpStore({ storage: createFileStorage('./otp-store.jsonl', { shared: true }) });
+ */
+function createFileStorage(filePath, options = {}) {
+  const fs = require('fs');
+  const compactThreshold = options.compactThreshold ?? 100;
+  const shared = Boolean(options.shared);
+  const lockPath = `${filePath}.lock`;
+  const lockTimeoutMs = options.lockTimeoutMs ?? 5000;
+  const staleLockMs = options.staleLockMs ?? 10000;
+  const map = new Map();
+  let records = 0;
+
+  // How far into which file (by inode) a shared adapter has read. Compaction
+  // replaces the file, which shows up as a new inode.
+  let offset = 0;
+  let inode = null;
+
+  const apply = (record) => {
+    if (record.op === 'set') map.set(record.key, record.entry);
+    if (record.op === 'delete') map.delete(record.key);
+    records++;
+  };
+
+  // Replays log text. A torn line (crash mid-append) is skipped.
+  const replay = (text) => {
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      apply(record);
+    }
+  };
+
+  /**
+   * Catches up with records other processes appended (shared mode)
+   * Only complete lines are read; a line still being written is picked up
+   * next time.
+   */
+  const sync = () => {
+    let fd;
+    try {
+      fd = fs.openSync(filePath, 'r');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      fs.appendFileSync(filePath, '');
+      fd = fs.openSync(filePath, 'r');
+    }
+    try {
+      const { ino, size } = fs.fstatSync(fd);
+      if (ino !== inode || size < offset) {
+        map.clear();
+        records = 0;
+        offset = 0;
+        inode = ino;
+      }
+      if (size <= offset) return size;
+      const buffer = Buffer.alloc(size - offset);
+      fs.readSync(fd, buffer, 0, buffer.length, offset);
+      const end = buffer.lastIndexOf(10) + 1;
+      replay(buffer.toString('utf8', 0, end));
+      offset += end;
+      return size;
+    } finally {
+      fs.closeSync(fd);
+    }
+  };
+
+  // Sleeps without giving up the thread, so shared writes stay synchronous.
+  const pause = new Int32Array(new SharedArrayBuffer(4));
+  const sleep = (ms) => Atomics.wait(pause, 0, 0, ms);
+
+  /**
+   * Runs a write while holding the lock file (shared mode)
+   *
+   * @param {function(number): *} write - Called with the file size once caught up
+   * @returns {*} What write returned
+   */
+  const locked = (write) => {
+    const deadline = Date.now() + lockTimeoutMs;
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lockPath, 'wx'));
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > staleLockMs) fs.unlinkSync(lockPath);
+      } catch (error) {
+        // Released in the meantime: just try again.
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for the lock on ${filePath}`);
+      sleep(1 + Math.random() * 4);
+    }
+    try {
+      return write(sync());
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  };
+
+  /**
+   * Rewrites the log with only the live entries
+   * Writes to a temporary file first so a crash never truncates the log.
+   */
+  const rewrite = () => {
+    const tmpPath = `${filePath}.tmp`;
+    const body = Array.from(map.entries())
+      .map(([key, entry]) => JSON.stringify({ op: 'set', key, entry }) + '\n')
+      .join('');
+    fs.writeFileSync(tmpPath, body);
+    fs.renameSync(tmpPath, filePath);
+    records = map.size;
+    if (shared) sync();
+  };
+
+  const compact = () => (shared ? locked(rewrite) : rewrite());
+
+  // Shared: called under the lock, after sync() returned the file's size.
+  const append = (record, size) => {
+    if (shared) {
+      // A torn line left by a crashed writer is ended first, so it stays one bad line.
+      fs.appendFileSync(filePath, (size > offset ? '\n' : '') + JSON.stringify(record) + '\n');
+      sync();
+    } else {
+      apply(record);
+      fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+    }
+    if (records - map.size > compactThreshold) rewrite();
+  };
+
+  const write = (change) => (shared ? locked(change) : change());
+
+  if (shared) {
+    sync();
+  } else if (fs.existsSync(filePath)) {
+    replay(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // A log left bloated by a previous run is compacted straight away.
+  if (records - map.size > compactThreshold) compact();
+
+  const read = () => {
+    if (shared) sync();
+    return map;
+  };
+
+  return {
+    get: (key) => read().get(key),
+    set: (key, entry) => write((size) => append({ op: 'set', key, entry }, size)),
+    delete: (key) => write((size) => {
+      if (map.has(key)) append({ op: 'delete', key }, size);
+    }),
+    entries: () => read().entries(),
+    compareAndSet: (key, expected, next) => write((size) => {
+      if (!sameEntry(map.get(key), expected)) return false;
+      if (next !== undefined) append({ op: 'set', key, entry: next }, size);
+      else if (map.has(key)) append({ op: 'delete', key }, size);
+      return true;
+    }),
+    compact
+  };
+}
+
+/**
+ * Creates a view of a shared adapter that only sees one namespace
+ *
+ * Lets several stores (one per storefront, see tenants.js) share a single
+ * backend. Keys are stored as `tenant:<namespace>:<JSON key>`, which cannot
+ * clash with the store's own keys (numbers, upper-case codes, JSON arrays
+ * and hex digests) or with another namespace.
+ *
+ * @param {Object} storage - Shared storage adapter
+ * @param {string} namespace - Namespace name (no ':')
+ * @returns {Object} Storage adapter
+ * @throws {TypeError} If the namespace is empty or contains ':'
+ *
+ * @example
+ * const backend = createFileStorage('./otp-store.jsonl');
+ * const kiwi = createOtpStore({ storage: createNamespacedStorage(backend, 'kiwi') });
+ */
+function createNamespacedStorage(storage, namespace) {
+  if (typeof namespace !== 'string' || !namespace || namespace.includes(':')) {
+    throw new TypeError('namespace must be a non-empty string without ":"');
+  }
+  const prefix = `tenant:${namespace}:`;
+  const wrap = (key) => prefix + JSON.stringify(key);
+
+  return {
+    get: (key) => storage.get(wrap(key)),
+    set: (key, entry) => storage.set(wrap(key), entry),
+    delete: (key) => storage.delete(wrap(key)),
+    compareAndSet: (key, expected, next) => compareAndSetEntry(storage, wrap(key), expected, next),
+    entries: function* () {
+      for (const [key, entry] of storage.entries()) {
+        if (typeof key === 'string' && key.startsWith(prefix)) yield [JSON.parse(key.slice(prefix.length)), entry];
+      }
+    }
+  };
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createMemoryStorage,
+    createLocalStorageStorage,
+    createFileStorage,
+    createNamespacedStorage,
+    compareAndSetEntry
+  };
+} else if (typeof window !== 'undefined') {
+  window.createMemoryStorage = createMemoryStorage;
+  window.createLocalStorageStorage = createLocalStorageStorage;
+  window.createFileStorage = createFileStorage;
+  window.createNamespacedStorage = createNamespacedStorage;
+  window.compareAndSetEntry = compareAndSetEntry;
+}
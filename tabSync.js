@@ -0,0 +1,255 @@
+/**
+ * Cross-Tab Sync for the OTP Management System
+ *
+ * In offline mode every console tab used to build its own store, so two
+ * support agents (or two tabs) saw different Active OTP lists and could issue
+ * or accept the same code twice. createTabSync() elects one tab per browser
+ * - the holder of a Web Lock - to keep the codes. The other tabs send it their
+ * API requests and receive its store events over a BroadcastChannel, much as
+ * the console talks to server.js over HTTP and Server-Sent Events.
+ *
+ * Because only the leading tab touches the store, simultaneous issue or
+ * useOnce calls from several tabs run one after another in a single place, so
+ * a code can never be consumed twice. When the leading tab closes, its lock is
+ * released and the next tab takes over from the shared storage (codes survive;
+ * lockouts and the reasons remembered for dead codes start afresh).
+ *
+ * Without BroadcastChannel or Web Locks (old browsers, insecure origins) each
+ * tab simply keeps its own store, as before.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+/**
+ * Creates a tab's connection to the store shared by its sibling tabs
+ *
+ * @param {Object} options
+ * @param {function(function(*)): { handle: function(Object): Object }} options.start -
+ *   Called once this tab leads; builds the backend (e.g. createTenantApi()) and
+ *   receives publish(message), which delivers a message to every tab's subscribers
+ * @param {string} [options.name='kiwi-otp'] - Channel and lock name; tabs sharing it share the store
+ * @param {number} [options.timeoutMs=5000] - How long a request waits for the leading tab
+ * @param {Function|null} [options.BroadcastChannel] - Channel constructor (defaults to the global one)
+ * @param {Object|null} [options.locks] - Web Locks manager (defaults to navigator.locks)
+ * @returns {Object} { handle, subscribe, onLeaderChange, isLeader, close }
+ *
+ * @example
+ * const sync = createTabSync({
+ *   start: (publish) => {
+ *     const otp = createOtpStore({ storage: createLocalStorageStorage() });
+ *     OTP_EVENTS.forEach(type => otp.on(type, publish));
+ *     return createOtpApi(otp);
+ *   }
+ * });
+ * sync.subscribe(event => console.log(event.type, event.id)); // events from whichever tab acted
+ * await sync.handle({ method: 'POST', path: '/otp/verify', body: { passcode: 123456 } });
+ */
+function createTabSync(options) {
+  const name = options.name || 'kiwi-otp';
+  const timeoutMs = options.timeoutMs ?? 5000;
+  const Channel = options.BroadcastChannel !== undefined
+    ? options.BroadcastChannel
+    : (typeof BroadcastChannel !== 'undefined' ? BroadcastChannel : null);
+  const locks = options.locks !== undefined
+    ? options.locks
+    : (typeof navigator !== 'undefined' && navigator.locks) || null;
+
+  // Identifies this tab's requests and announcements on the shared channel.
+  const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  const channel = Channel && locks ? new Channel(name) : null;
+
+  const listeners = new Set();
+  const leaderListeners = new Set();
+
+  // Map<requestId, { resolve, timer }> - requests awaiting the leading tab.
+  const pending = new Map();
+  let nextRequestId = 1;
+
+  let backend = null; // Set once this tab leads
+  let leaderId = null;
+  let releaseLock = null;
+  let closed = false;
+
+  // Resolves once some tab (possibly this one) leads.
+  let leaderKnown;
+  const leaderFound = new Promise((resolve) => { leaderKnown = resolve; });
+
+  const unavailable = () => ({
+    status: 503,
+    body: { error: { code: 'store_unavailable', message: 'No console tab is holding the codes right now; try again' } }
+  });
+
+  /**
+   * Delivers a message to this tab's subscribers
+   * @private
+   * @param {Set<Function>} targets - Listeners to call
+   * @param {*} value - What to pass them
+   */
+  const notify = (targets, value) => {
+    for (const listener of Array.from(targets)) {
+      try {
+        listener(value);
+      } catch (error) {
+        console.error('Tab sync listener failed:', error);
+      }
+    }
+  };
+
+  /**
+   * Answers requests still waiting on a tab that no longer leads
+   * They may or may not have run there; the caller is told to try again.
+   * @private
+   */
+  const abandonPending = () => {
+    pending.forEach(({ resolve, timer }) => {
+      clearTimeout(timer);
+      resolve(unavailable());
+    });
+    pending.clear();
+  };
+
+  const publish = (message) => {
+    notify(listeners, message);
+    if (channel && !closed) channel.postMessage({ type: 'event', message });
+  };
+
+  /**
+   * Takes over the store
+   * @private
+   */
+  const lead = () => {
+    backend = options.start(publish);
+    leaderId = tabId;
+    abandonPending();
+    if (channel) channel.postMessage({ type: 'leader', from: tabId });
+    leaderKnown(true);
+    notify(leaderListeners, true);
+  };
+
+  if (channel) {
+    channel.onmessage = ({ data }) => {
+      if (closed) return;
+      switch (data.type) {
+        case 'hello':
+          if (backend) channel.postMessage({ type: 'leader', from: tabId });
+          break;
+        case 'leader':
+          // Every newcomer's hello is answered; only a new leader is news.
+          if (data.from === leaderId) break;
+          leaderId = data.from;
+          abandonPending();
+          leaderKnown(true);
+          notify(leaderListeners, false);
+          break;
+        case 'request':
+          if (backend) {
+            channel.postMessage({ type: 'response', to: data.from, id: data.id, response: backend.handle(data.request) });
+          }
+          break;
+        case 'response': {
+          const waiting = data.to === tabId && pending.get(data.id);
+          if (!waiting) break;
+          pending.delete(data.id);
+          clearTimeout(waiting.timer);
+          waiting.resolve(data.response);
+          break;
+        }
+        case 'event':
+          notify(listeners, data.message);
+          break;
+        default:
+          break;
+      }
+    };
+
+    // Held until the tab closes (or close() is called); queued tabs take over in turn.
+    locks.request(`${name}:leader`, () => {
+      if (closed) return undefined;
+      lead();
+      return new Promise((resolve) => { releaseLock = resolve; });
+    }).catch((error) => {
+      // e.g. a sandboxed frame: carry on alone rather than without a store.
+      console.warn('Tab sync unavailable, keeping codes in this tab only:', error);
+      if (!backend && !closed) lead();
+    });
+    channel.postMessage({ type: 'hello', from: tabId });
+  } else {
+    lead();
+  }
+
+  /**
+   * Waits for a leading tab, giving up after timeoutMs
+   * @private
+   * @returns {Promise<boolean>} Whether one is known
+   */
+  const waitForLeader = () => {
+    let timer;
+    const timeout = new Promise((resolve) => { timer = setTimeout(() => resolve(false), timeoutMs); });
+    return Promise.race([leaderFound, timeout]).finally(() => clearTimeout(timer));
+  };
+
+  /**
+   * Runs an API request on the leading tab's backend
+   *
+   * @param {Object} request - { method, path, body } as for createOtpApi().handle
+   * @returns {Promise<{ status: number, body: * }>} The backend's response, or
+   *   503 store_unavailable when no tab answers within timeoutMs
+   */
+  const handle = async (request) => {
+    if (!backend && !(await waitForLeader())) return unavailable();
+    if (backend) return backend.handle(request);
+    if (closed) return unavailable();
+
+    return new Promise((resolve) => {
+      const id = nextRequestId++;
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        resolve(unavailable());
+      }, timeoutMs);
+      pending.set(id, { resolve, timer });
+      channel.postMessage({ type: 'request', from: tabId, id, request });
+    });
+  };
+
+  /**
+   * Listens for messages published by the leading tab's backend
+   * @param {function(*): void} listener - Called with each published message
+   * @returns {function(): void} Unsubscribe
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  /**
+   * Listens for another tab (or this one) taking over the store
+   * Messages published meanwhile may have been missed, so reload views here.
+   * @param {function(boolean): void} listener - Called with true when this tab now leads
+   * @returns {function(): void} Unsubscribe
+   */
+  const onLeaderChange = (listener) => {
+    leaderListeners.add(listener);
+    return () => leaderListeners.delete(listener);
+  };
+
+  /**
+   * Leaves the group, handing the store to the next tab if this one leads
+   */
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    abandonPending();
+    if (releaseLock) releaseLock();
+    if (channel) channel.close();
+  };
+
+  return { handle, subscribe, onLeaderChange, isLeader: () => backend !== null && !closed, close };
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createTabSync };
+} else if (typeof window !== 'undefined') {
+  window.createTabSync = createTabSync;
+}
@@ -0,0 +1,182 @@
+/**
+ * Tenants for the OTP Management System
+ *
+ * Kiwi Sports Apparel runs several storefronts. Each tenant (storefront) gets
+ * its own OTP store - its own policy, hashing secrets, limits, delivery brand
+ * and statistics - while all of them share one storage backend through
+ * namespaced views (see createNamespacedStorage). A code issued for one
+ * storefront can never be listed, verified or revoked through another.
+ *
+ * createTenantApi() routes /tenants/:id/... requests to that tenant's own
+ * API (see otpApi.js). Unprefixed routes go to the first (default) tenant,
+ * so clients that predate tenants keep working.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+const tenantDeps = typeof require !== 'undefined'
+  ? { ...require('./otpStore'), ...require('./storageAdapters'), ...require('./otpMetrics') }
+  : window;
+
+// Tenant ids appear in URLs and storage keys: keep them short and plain.
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+/**
+ * Describes a tenant for GET /tenants and the console's selector
+ *
+ * @private
+ * @param {Object} tenant - Tenant from createTenantRegistry()
+ * @returns {Object} { id, name, policy, stats }
+ */
+const describeTenant = (tenant) => ({
+  id: tenant.id,
+  name: tenant.name,
+  policy: tenant.store.getPolicy().preset,
+  stats: tenant.store.stats()
+});
+
+/**
+ * Creates one OTP store per tenant over a shared storage backend
+ *
+ * @param {Object} options
+ * @param {Object[]} options.tenants - Tenant settings, the first being the default:
+ *   { id, name?, brand?, policy?, hashing?, limits? } (policy, hashing and
+ *   limits as for createOtpStore; brand defaults to the name, for delivery)
+ * @param {Object} [options.storage] - Shared storage adapter (defaults to in-memory)
+ * @param {{ now: function(): number }} [options.clock] - Clock shared by every store
+ * @param {Object|false} [options.limits] - Limits for tenants that set none
+ * @returns {{ tenants: Object[], get: function(string): (Object|undefined) }}
+ *   Each tenant is { id, name, brand, store }
+ * @throws {TypeError} If there are no tenants, or an id is invalid or repeated
+ *
+ * @example
+ * const registry = createTenantRegistry({
+ *   storage: createFileStorage('./otp-store.jsonl'),
+ *   tenants: [
+ *     { id: 'kiwi', name: 'Kiwi Sports Apparel' },
+ *     { id: 'kiwi-teamwear', name: 'Kiwi Teamwear', policy: 'strict', hashing: { secret } }
+ *   ]
+ * });
+ * registry.get('kiwi-teamwear').store.issue(123456, 60000);
+ * registry.get('kiwi').store.useOnce(123456); // false - another storefront's code
+ */
+function createTenantRegistry(options = {}) {
+  if (!Array.isArray(options.tenants) || options.tenants.length === 0) {
+    throw new TypeError('At least one tenant is required');
+  }
+  const storage = options.storage || tenantDeps.createMemoryStorage();
+
+  const byId = new Map();
+  const tenants = options.tenants.map((settings) => {
+    if (typeof settings.id !== 'string' || !TENANT_ID_PATTERN.test(settings.id)) {
+      throw new TypeError(`Invalid tenant id "${settings.id}": use up to 32 lower-case letters, digits and dashes`);
+    }
+    if (byId.has(settings.id)) throw new TypeError(`Tenant "${settings.id}" is defined twice`);
+
+    const store = tenantDeps.createOtpStore({
+      clock: options.clock,
+      storage: tenantDeps.createNamespacedStorage(storage, settings.id),
+      policy: settings.policy,
+      hashing: settings.hashing,
+      limits: settings.limits !== undefined ? settings.limits : options.limits
+    });
+    const name = settings.name || settings.id;
+    const tenant = { id: settings.id, name, brand: settings.brand || name, store };
+    byId.set(tenant.id, tenant);
+    return tenant;
+  });
+
+  return { tenants, get: (id) => byId.get(id) };
+}
+
+/**
+ * Creates a request handler that routes to each tenant's API
+ *
+ * @param {Object[]} tenants - { id, name, store, api } per tenant, the
+ *   first being the default; api is the tenant's createOtpApi() handler
+ * @returns {Object} { handle, resolve } - handle() takes the same requests as
+ *   createOtpApi().handle and adds GET /tenants and GET /metrics, the latter
+ *   answering Prometheus text (with a contentType) for every tenant, or for one
+ *   under /tenants/:id/metrics
+ *
+ * @example
+ * const router = createTenantApi(registry.tenants.map(tenant => ({ ...tenant, api: createOtpApi(tenant.store) })));
+ * router.handle({ method: 'GET', path: '/tenants/kiwi-teamwear/otp' }); // Kiwi Teamwear's live codes
+ * router.handle({ method: 'GET', path: '/otp' });                       // the default tenant's
+ */
+function createTenantApi(tenants) {
+  const byId = new Map(tenants.map(tenant => [tenant.id, tenant]));
+  const notAllowed = (method, pathname) => ({
+    status: 405,
+    body: { error: { code: 'method_not_allowed', message: `${method} is not supported on ${pathname}` } }
+  });
+
+  const metrics = (selected) => ({
+    status: 200,
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+    body: tenantDeps.metricsToPrometheus(selected.map(tenant => ({ labels: { tenant: tenant.id }, stats: tenant.store.stats() })))
+  });
+
+  /**
+   * Finds the tenant a path addresses
+   * @param {string} path - URL path, optionally with a query string
+   * @returns {{ tenant: Object, path: string }|null} The tenant and the path
+   *   within its API, or null for an unknown tenant
+   */
+  const resolve = (path) => {
+    const queryStart = path.indexOf('?');
+    const pathname = queryStart >= 0 ? path.slice(0, queryStart) : path;
+    const search = queryStart >= 0 ? path.slice(queryStart) : '';
+
+    const match = /^\/tenants\/([^/]+)(\/.*)?$/.exec(pathname);
+    if (!match) return { tenant: tenants[0], path };
+    const tenant = byId.get(match[1]);
+    return tenant ? { tenant, path: (match[2] || '/') + search } : null;
+  };
+
+  /**
+   * Routes a single request (see createOtpApi)
+   * @param {Object} request - { method, path, body, client }
+   * @returns {{ status: number, body: *, contentType?: string }} contentType is
+   *   set for text bodies
+   */
+  const handle = (request) => {
+    const pathname = request.path.split('?')[0];
+    if (pathname === '/tenants') {
+      return request.method === 'GET'
+        ? { status: 200, body: { tenants: tenants.map(describeTenant) } }
+        : notAllowed(request.method, pathname);
+    }
+    if (pathname === '/metrics') {
+      return request.method === 'GET' ? metrics(tenants) : notAllowed(request.method, pathname);
+    }
+
+    const resolved = resolve(request.path);
+    if (!resolved) {
+      return { status: 404, body: { error: { code: 'unknown_tenant', message: 'No storefront with that id' } } };
+    }
+
+    if (resolved.path.split('?')[0] === '/metrics') {
+      return request.method === 'GET' ? metrics([resolved.tenant]) : notAllowed(request.method, pathname);
+    }
+
+    const response = resolved.tenant.api.handle({ ...request, path: resolved.path });
+    // Every store shares the clock, so a time jump expires codes in all of them.
+    if (resolved.path.split('?')[0] === '/dev/clock' && request.method === 'POST' && response.status === 200) {
+      tenants.forEach(tenant => tenant.store.sweep());
+    }
+    return response;
+  };
+
+  return { handle, resolve };
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createTenantRegistry, createTenantApi, TENANT_ID_PATTERN };
+} else if (typeof window !== 'undefined') {
+  window.createTenantRegistry = createTenantRegistry;
+  window.createTenantApi = createTenantApi;
+  window.TENANT_ID_PATTERN = TENANT_ID_PATTERN;
+}
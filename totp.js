@@ -0,0 +1,452 @@
+/**
+ * HOTP / TOTP for the OTP Management System
+ *
+ * Authenticator-app codes (RFC 4226 HOTP, RFC 6238 TOTP) for staff accounts,
+ * alongside the server-remembered codes of otpStore.js. Nothing is issued
+ * per login: each account holds a shared base32 secret and the code is
+ * derived from it and a counter (HOTP) or the current 30-second time step
+ * (TOTP).
+ *
+ * Verification runs through the OTP store's verifyWith(), so authenticator
+ * codes get the same single-use rule, lockouts, rate limit, events and audit
+ * trail as stored codes. A time step (or counter) that has been accepted once
+ * can never be accepted again for that account, nor can any earlier one.
+ *
+ * Only HMAC-SHA1 is offered - it is the algorithm every authenticator app
+ * supports. Node uses its crypto module; the browser (offline mode) uses the
+ * small synchronous SHA-1 below, since SubtleCrypto is async-only.
+ *
+ * @author Kiwi Sports Apparel Development Team
+ * @version 1.0.0
+ */
+
+const totpDeps = typeof require !== 'undefined'
+  ? { ...require('./clock'), ...require('./storageAdapters') }
+  : window;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Default authenticator settings
+ */
+const TOTP_DEFAULTS = {
+  issuer: 'Kiwi Sports Apparel', // Shown by the authenticator app next to the account
+  digits: 6,                     // 6 or 8
+  period: 30,                    // TOTP time step in seconds
+  window: 1,                     // TOTP steps accepted either side of now (clock drift)
+  lookAhead: 10                  // HOTP counters accepted ahead of the expected one
+};
+
+/**
+ * Encodes bytes as unpadded RFC 4648 base32
+ *
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string} Base32 text (A-Z, 2-7)
+ */
+function base32Encode(bytes) {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * Decodes RFC 4648 base32, ignoring case, spaces, dashes and padding
+ *
+ * @param {string} text - Base32 text as typed or scanned
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {TypeError} If the text contains characters outside the alphabet
+ */
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new TypeError('secret must be base32 (A-Z, 2-7)');
+    buffer = ((buffer << 5) | value) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * SHA-1 digest (browser fallback for hmacSha1)
+ *
+ * @private
+ * @param {Uint8Array} message - Bytes to hash
+ * @returns {Uint8Array} 20-byte digest
+ */
+const sha1 = (message) => {
+  const padded = new Uint8Array((((message.length + 8) >> 6) + 1) * 64);
+  padded.set(message);
+  padded[message.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(message.length / 0x20000000));
+  view.setUint32(padded.length - 4, (message.length * 8) >>> 0);
+
+  const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+  const w = new Uint32Array(80);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 80; i++) {
+      const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+      w[i] = (x << 1) | (x >>> 31);
+    }
+
+    let [a, b, c, d, e] = h;
+    for (let i = 0; i < 80; i++) {
+      let f;
+      let k;
+      if (i < 20) { f = (b & c) | (~b & d); k = 0x5a827999; }
+      else if (i < 40) { f = b ^ c ^ d; k = 0x6ed9eba1; }
+      else if (i < 60) { f = (b & c) | (b & d) | (c & d); k = 0x8f1bbcdc; }
+      else { f = b ^ c ^ d; k = 0xca62c1d6; }
+      const temp = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) >>> 0;
+      e = d;
+      d = c;
+      c = ((b << 30) | (b >>> 2)) >>> 0;
+      b = a;
+      a = temp;
+    }
+    h[0] = (h[0] + a) >>> 0;
+    h[1] = (h[1] + b) >>> 0;
+    h[2] = (h[2] + c) >>> 0;
+    h[3] = (h[3] + d) >>> 0;
+    h[4] = (h[4] + e) >>> 0;
+  }
+
+  const digest = new Uint8Array(20);
+  const out = new DataView(digest.buffer);
+  h.forEach((word, i) => out.setUint32(i * 4, word));
+  return digest;
+};
+
+/**
+ * HMAC-SHA1 (RFC 2104)
+ *
+ * @private
+ * @param {Uint8Array} key - Shared secret
+ * @param {Uint8Array} message - Message (the 8-byte counter)
+ * @returns {Uint8Array} 20-byte MAC
+ */
+const hmacSha1 = (key, message) => {
+  if (typeof require !== 'undefined') {
+    return new Uint8Array(require('crypto').createHmac('sha1', key).update(message).digest());
+  }
+
+  const block = new Uint8Array(64);
+  block.set(key.length > 64 ? sha1(key) : key);
+  const inner = new Uint8Array(64 + message.length);
+  const outer = new Uint8Array(64 + 20);
+  for (let i = 0; i < 64; i++) {
+    inner[i] = block[i] ^ 0x36;
+    outer[i] = block[i] ^ 0x5c;
+  }
+  inner.set(message, 64);
+  outer.set(sha1(inner), 64);
+  return sha1(outer);
+};
+
+/**
+ * Generates a random base32 secret for a new enrollment
+ *
+ * @param {number} [bytes=20] - Secret length in bytes (RFC 4226 recommends 160 bits)
+ * @returns {string} Base32 secret
+ */
+function generateTotpSecret(bytes = 20) {
+  const secret = new Uint8Array(bytes);
+  if (typeof require !== 'undefined') {
+    secret.set(require('crypto').randomBytes(bytes));
+  } else {
+    window.crypto.getRandomValues(secret);
+  }
+  return base32Encode(secret);
+}
+
+/**
+ * Computes an HOTP code (RFC 4226)
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor (non-negative integer)
+ * @param {number} [digits=6] - Code length
+ * @returns {string} Zero-padded code (codes may start with 0)
+ *
+ * @example
+ * generateHotp('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', 1); // '287082'
+ */
+function generateHotp(secret, counter, digits = TOTP_DEFAULTS.digits) {
+  const message = new Uint8Array(8);
+  const view = new DataView(message.buffer);
+  view.setUint32(0, Math.floor(counter / 0x100000000));
+  view.setUint32(4, counter >>> 0);
+
+  // Dynamic truncation: 31 bits starting at the offset named by the last nibble.
+  const mac = hmacSha1(base32Decode(secret), message);
+  const offset = mac[mac.length - 1] & 0x0f;
+  const binary = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Computes the TOTP code for a moment in time (RFC 6238)
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} timeMs - Time in ms since the epoch
+ * @param {Object} [options]
+ * @param {number} [options.period=30] - Time step in seconds
+ * @param {number} [options.digits=6] - Code length
+ * @returns {string} Zero-padded code
+ */
+function generateTotp(secret, timeMs, options = {}) {
+  const period = options.period || TOTP_DEFAULTS.period;
+  return generateHotp(secret, Math.floor(timeMs / 1000 / period), options.digits || TOTP_DEFAULTS.digits);
+}
+
+/**
+ * Builds the otpauth:// URI that authenticator apps import (usually as a QR code)
+ *
+ * @param {Object} options
+ * @param {string} [options.type='totp'] - 'totp' or 'hotp'
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.account - Account name shown in the app
+ * @param {string} [options.issuer] - Organisation shown in the app
+ * @param {number} [options.digits=6] - Code length
+ * @param {number} [options.period=30] - TOTP time step in seconds
+ * @param {number} [options.counter=0] - HOTP initial counter
+ * @returns {string} otpauth URI
+ *
+ * @example
+ * buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', account: 'sam@kiwi.example', issuer: 'Kiwi Sports Apparel' });
+ * // 'otpauth://totp/Kiwi%20Sports%20Apparel:sam%40kiwi.example?secret=JBSWY3DPEHPK3PXP&issuer=...'
+ */
+function buildOtpauthUri(options) {
+  const type = options.type || 'totp';
+  const label = options.issuer
+    ? `${encodeURIComponent(options.issuer)}:${encodeURIComponent(options.account)}`
+    : encodeURIComponent(options.account);
+
+  const params = [`secret=${options.secret}`];
+  if (options.issuer) params.push(`issuer=${encodeURIComponent(options.issuer)}`);
+  params.push('algorithm=SHA1', `digits=${options.digits || TOTP_DEFAULTS.digits}`);
+  params.push(type === 'hotp' ? `counter=${options.counter || 0}` : `period=${options.period || TOTP_DEFAULTS.period}`);
+
+  return `otpauth://${type}/${label}?${params.join('&')}`;
+}
+
+/**
+ * Compares two codes without exiting at the first differing digit
+ *
+ * @private
+ * @param {string} expected - Derived code
+ * @param {string} presented - Code typed by the user
+ * @returns {boolean} true if identical
+ */
+const codesMatch = (expected, presented) => {
+  if (expected.length !== presented.length) return false;
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) difference |= expected.charCodeAt(i) ^ presented.charCodeAt(i);
+  return difference === 0;
+};
+
+/**
+ * Creates an authenticator that enrolls accounts and verifies their codes
+ *
+ * @param {Object} store - OTP store (see otpStore.js); verification goes through its verifyWith()
+ * @param {Object} [options] - Overrides for TOTP_DEFAULTS, plus:
+ * @param {{ now: function(): number }} [options.clock] - Time source; pass the store's clock
+ * @param {Object} [options.storage] - Storage adapter for enrollments (defaults to in-memory).
+ *   Records hold the shared secrets, so keep persisted files private.
+ * @returns {Object} Authenticator with enroll, verify, list and remove methods
+ *
+ * @example
+ * const authenticator = createTotpAuthenticator(otp, { clock });
+ * const { uri } = authenticator.enroll('sam@kiwi.example'); // show as a QR code
+ * authenticator.verify('sam@kiwi.example', '492039');      // true once per time step
+ */
+function createTotpAuthenticator(store, options = {}) {
+  const settings = { ...TOTP_DEFAULTS, ...options };
+  const clock = settings.clock || totpDeps.systemClock;
+
+  // Adapter<account, { type, secret, digits, period, counter, lastStep, enrolledAt }>
+  const enrollments = settings.storage || totpDeps.createMemoryStorage();
+
+  /**
+   * Validates an account name
+   *
+   * @private
+   * @param {*} account - Staff account (e.g. email)
+   * @returns {string} Trimmed account
+   * @throws {TypeError} If the account is not a non-empty string
+   */
+  const normalizeAccount = (account) => {
+    if (typeof account !== 'string' || !account.trim()) {
+      throw new TypeError('account must be a non-empty string');
+    }
+    return account.trim();
+  };
+
+  /**
+   * Enrolls an account, replacing any previous enrollment (e.g. a lost phone)
+   *
+   * @param {string} account - Staff account (e.g. email)
+   * @param {Object} [enrollOptions]
+   * @param {string} [enrollOptions.type='totp'] - 'totp' (time-based) or 'hotp' (counter-based)
+   * @returns {Object} { account, type, secret, uri, digits, period | counter } - show uri once as a QR code
+   * @throws {TypeError} If the account or type is invalid
+   */
+  const enroll = (account, enrollOptions = {}) => {
+    const name = normalizeAccount(account);
+    const type = enrollOptions.type || 'totp';
+    if (type !== 'totp' && type !== 'hotp') throw new TypeError('type must be "totp" or "hotp"');
+
+    const record = {
+      type,
+      secret: generateTotpSecret(),
+      digits: settings.digits,
+      enrolledAt: clock.now(),
+      ...(type === 'totp' ? { period: settings.period, lastStep: null } : { counter: 0 })
+    };
+    enrollments.set(name, record);
+
+    const { secret, digits, period, counter } = record;
+    return {
+      account: name,
+      type,
+      secret,
+      uri: buildOtpauthUri({ type, secret, account: name, issuer: settings.issuer, digits, period, counter }),
+      digits,
+      ...(type === 'totp' ? { period } : { counter })
+    };
+  };
+
+  /**
+   * Finds the unused time step or counter a code belongs to and records it
+   * as used, so neither it nor any earlier one is accepted again
+   * The record is swapped with a compare-and-set; if another process changed
+   * it first, the claim starts over from the new record.
+   *
+   * @private
+   * @param {string} account - Normalised account
+   * @param {string} code - Presented code
+   * @returns {Object} { id } naming the claimed step, or { reason: 'already_used' | 'unknown' }
+   */
+  const claim = (account, code) => {
+    const record = enrollments.get(account);
+    if (!record) return { reason: 'unknown' };
+
+    if (record.type === 'hotp') {
+      // Counters just behind the current one are checked only to recognise a replay.
+      const firstCounter = Math.max(0, record.counter - settings.lookAhead);
+      for (let counter = firstCounter; counter <= record.counter + settings.lookAhead; counter++) {
+        if (!codesMatch(generateHotp(record.secret, counter, record.digits), code)) continue;
+        if (counter < record.counter) return { reason: 'already_used' };
+        if (!totpDeps.compareAndSetEntry(enrollments, account, record, { ...record, counter: counter + 1 })) {
+          return claim(account, code);
+        }
+        return { id: `hotp:${account}:${counter}` };
+      }
+      return { reason: 'unknown' };
+    }
+
+    const current = Math.floor(clock.now() / 1000 / record.period);
+    for (let step = current - settings.window; step <= current + settings.window; step++) {
+      if (!codesMatch(generateHotp(record.secret, step, record.digits), code)) continue;
+      if (record.lastStep !== null && step <= record.lastStep) return { reason: 'already_used' };
+      if (!totpDeps.compareAndSetEntry(enrollments, account, record, { ...record, lastStep: step })) {
+        return claim(account, code);
+      }
+      return { id: `totp:${account}:${step}` };
+    }
+    return { reason: 'unknown' };
+  };
+
+  /**
+   * Verifies an authenticator code for an account
+   * Subject to the store's lockouts and rate limit (the account is the
+   * subject); emits consumed or rejected like any other attempt.
+   *
+   * @param {string} account - Staff account
+   * @param {string|number} code - Code from the authenticator app
+   * @param {Object} [context] - { client } identifying the caller, e.g. an IP address
+   * @returns {Object} Verification result (see the store's verifyWith): { ok: true, ... }, or
+   *   { ok: false, reason } - 'unknown' for a wrong code or an account that is not enrolled,
+   *   'already_used' for a replay, 'locked' or 'rate_limited'
+   * @throws {TypeError} If the account is not a non-empty string
+   */
+  const verify = (account, code, context) => {
+    const name = normalizeAccount(account);
+    const record = enrollments.get(name);
+
+    // Numbers lose leading zeros; restore them so 012345 typed as 12345 works.
+    const presented = typeof code === 'number' && record
+      ? String(code).padStart(record.digits, '0')
+      : String(code).replace(/\s/g, '');
+
+    return store.verifyWith(name, presented, () => claim(name, presented), context);
+  };
+
+  /**
+   * Lists enrolled accounts (without their secrets)
+   *
+   * @returns {Object[]} Array of { account, type, digits, enrolledAt }
+   */
+  const list = () => Array.from(enrollments.entries(), ([account, record]) => ({
+    account,
+    type: record.type,
+    digits: record.digits,
+    enrolledAt: record.enrolledAt
+  })).sort((a, b) => a.account.localeCompare(b.account));
+
+  /**
+   * Removes an account's enrollment
+   *
+   * @param {string} account - Staff account
+   * @returns {boolean} true if the account was enrolled
+   */
+  const remove = (account) => {
+    const name = normalizeAccount(account);
+    if (!enrollments.get(name)) return false;
+    enrollments.delete(name);
+    return true;
+  };
+
+  return { enroll, verify, list, remove };
+}
+
+// Export for use in other modules (Node.js) or make available globally (browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createTotpAuthenticator,
+    generateTotpSecret,
+    generateHotp,
+    generateTotp,
+    buildOtpauthUri,
+    base32Encode,
+    base32Decode,
+    TOTP_DEFAULTS
+  };
+} else if (typeof window !== 'undefined') {
+  window.createTotpAuthenticator = createTotpAuthenticator;
+  window.generateTotpSecret = generateTotpSecret;
+  window.generateHotp = generateHotp;
+  window.generateTotp = generateTotp;
+  window.buildOtpauthUri = buildOtpauthUri;
+  window.base32Encode = base32Encode;
+  window.base32Decode = base32Decode;
+  window.TOTP_DEFAULTS = TOTP_DEFAULTS;
+}